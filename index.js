@@ -3,7 +3,7 @@
  * SillyTavern extension that provides a web novel reader for chat JSONL data.
  */
 
-import { openReader, closeReader, isReaderOpen } from './src/reader.js';
+import { openReader, openFileReader, closeReader, isReaderOpen, getReaderSource } from './src/reader.js';
 import { loadSettings } from './src/settings.js';
 
 // Extension metadata
@@ -29,8 +29,9 @@ const extensionName = 'st-CHATNOVEL';
     registerSlashCommand();
 
     // Listen for chat changes to update button state
+    // (a past chat or imported file is unrelated to the active chat, so it stays open)
     eventSource.on(event_types.CHAT_CHANGED, () => {
-        if (isReaderOpen()) {
+        if (isReaderOpen() && getReaderSource() === 'context') {
             closeReader();
         }
     });
@@ -89,13 +90,14 @@ async function registerSlashCommand() {
 
         SlashCommandParser.addCommandObject(SlashCommand.fromProps({
             name: 'novel',
-            callback: () => {
-                openReader();
+            callback: (_args, value) => {
+                runNovelCommand(value);
                 return '';
             },
             aliases: ['chatnovel'],
             returns: 'nothing',
-            helpString: '<div>채팅을 웹소설 형태로 읽는 Chat Novel 리더를 엽니다.</div>',
+            helpString: '<div>채팅을 웹소설 형태로 읽는 Chat Novel 리더를 엽니다.</div>'
+                + '<div><code>/novel file</code> — JSONL 채팅 파일을 열어 읽습니다.</div>',
         }));
 
         console.log('[ChatNovel] /novel slash command registered (new style)');
@@ -108,10 +110,10 @@ async function registerSlashCommand() {
     try {
         const context = SillyTavern.getContext();
         if (context.registerSlashCommand) {
-            context.registerSlashCommand('novel', (_args) => {
-                openReader();
+            context.registerSlashCommand('novel', (_args, value) => {
+                runNovelCommand(value);
                 return '';
-            }, [], '<span class="monospace">Opens the Chat Novel reader</span>', true, true);
+            }, [], '<span class="monospace">Opens the Chat Novel reader (/novel file — open a JSONL file)</span>', true, true);
             console.log('[ChatNovel] /novel slash command registered (legacy)');
         }
     } catch (e) {
@@ -119,6 +121,19 @@ async function registerSlashCommand() {
     }
 }
 
+/**
+ * Dispatch the /novel command by its unnamed argument.
+ * @param {string} [value] - '' opens the current chat, 'file' opens the import dialog
+ */
+function runNovelCommand(value) {
+    const arg = String(value ?? '').trim().toLowerCase();
+    if (arg === 'file') {
+        openFileReader();
+    } else {
+        openReader();
+    }
+}
+
 /**
  * Wait for a DOM element to appear.
  * @param {string} selector
@@ -0,0 +1,150 @@
+/**
+ * Chat Novel — Alternates
+ * Non-chosen swipes of messages, numbered and rendered as footnotes
+ * or an appendix for exports.
+ */
+
+import { renderChapter, renderMessage } from './renderer.js';
+import { escapeHtml } from './utils.js';
+
+/** Title of the appendix chapter */
+export const APPENDIX_TITLE = '부록 — 다른 답변';
+
+/**
+ * @typedef {Object} AlternateNote
+ * @property {number} number - Note number, sequential across the book
+ * @property {number} chapterIndex
+ * @property {Object} message - Message the alternate belongs to
+ * @property {number} swipeIndex - 0-based swipe index
+ * @property {number} swipeCount
+ * @property {string} text - Raw alternate text
+ */
+
+/**
+ * Get the swipes of a message other than the one shown — the swipe the reader
+ * switched to, or else the chosen one.
+ * @param {Object} msg - Parsed message (as viewed)
+ * @returns {Array<{swipeIndex: number, text: string}>}
+ */
+export function getAlternates(msg) {
+    if (!Array.isArray(msg.swipes) || msg.swipes.length < 2) return [];
+
+    const shown = msg._viewSwipe ?? msg.swipe_id;
+    return msg.swipes
+        .map((text, swipeIndex) => ({ swipeIndex, text }))
+        .filter(alt => alt.swipeIndex !== shown
+            && typeof alt.text === 'string'
+            && alt.text.trim()
+            && alt.text !== msg.mes);
+}
+
+/**
+ * Number every alternate of the given chapters.
+ * @param {Array} chapters - Chapter objects from chapterizer
+ * @returns {{notes: AlternateNote[], refs: Map<number, number[]>}} Notes, and note numbers by message _index
+ */
+export function collectAlternateNotes(chapters) {
+    const notes = [];
+    const refs = new Map();
+
+    chapters.forEach((chapter, chapterIndex) => {
+        for (const msg of chapter.messages) {
+            for (const alt of getAlternates(msg)) {
+                const note = {
+                    number: notes.length + 1,
+                    chapterIndex,
+                    message: msg,
+                    swipeIndex: alt.swipeIndex,
+                    swipeCount: msg.swipes.length,
+                    text: alt.text,
+                };
+                notes.push(note);
+                if (!refs.has(msg._index)) refs.set(msg._index, []);
+                refs.get(msg._index).push(note.number);
+            }
+        }
+    });
+
+    return { notes, refs };
+}
+
+/**
+ * Label of a note, e.g. "Alice · 답변 2/4".
+ * @param {AlternateNote} note
+ * @returns {string}
+ */
+export function formatNoteLabel(note) {
+    const name = note.message.is_system ? '' : (note.message.name || '');
+    return `${name ? `${name} · ` : ''}답변 ${note.swipeIndex + 1}/${note.swipeCount}`;
+}
+
+/**
+ * Get the message object to render for an alternate.
+ * Attached images belong to the chosen swipe, so they're left out.
+ * @param {AlternateNote} note
+ * @returns {Object}
+ */
+export function noteMessage(note) {
+    return { ...note.message, mes: note.text, extra: {} };
+}
+
+/**
+ * Render notes to HTML.
+ * @param {AlternateNote[]} notes
+ * @param {Object} renderOptions
+ * @returns {string}
+ */
+function renderNotes(notes, renderOptions) {
+    return notes.map(note => `
+        <div class="cn-alt-note">
+            <div class="cn-alt-note-label">[${note.number}] ${escapeHtml(formatNoteLabel(note))}</div>
+            <div class="cn-msg-body">${renderMessage(noteMessage(note), renderOptions)}</div>
+        </div>`).join('');
+}
+
+/**
+ * Render chapters for EPUB / print export, optionally with alternates as
+ * footnotes at the end of each chapter or collected in an appendix chapter.
+ * @param {Array} chapters - Chapter objects from chapterizer
+ * @param {Object} renderOptions
+ * @param {string} [mode='none'] - 'none' | 'footnotes' | 'appendix'
+ * @returns {Array<{title: string, html: string}>}
+ */
+export function renderExportChapters(chapters, renderOptions, mode = 'none') {
+    if (mode !== 'footnotes' && mode !== 'appendix') {
+        return chapters.map(ch => ({ title: ch.title, html: renderChapter(ch, renderOptions) }));
+    }
+
+    const { notes, refs } = collectAlternateNotes(chapters);
+
+    const result = chapters.map((ch, i) => {
+        const withRefs = {
+            ...ch,
+            messages: ch.messages.map(msg => (refs.has(msg._index)
+                ? { ...msg, _alternateRefs: refs.get(msg._index) }
+                : msg)),
+        };
+        let html = renderChapter(withRefs, renderOptions);
+
+        const chapterNotes = notes.filter(n => n.chapterIndex === i);
+        if (mode === 'footnotes' && chapterNotes.length > 0) {
+            html += `<div class="cn-alt-notes"><h3 class="cn-alt-notes-title">다른 답변</h3>${renderNotes(chapterNotes, renderOptions)}</div>`;
+        }
+        return { title: ch.title, html };
+    });
+
+    if (mode === 'appendix' && notes.length > 0) {
+        const sections = chapters.map((ch, i) => {
+            const chapterNotes = notes.filter(n => n.chapterIndex === i);
+            if (chapterNotes.length === 0) return '';
+            return `<h3 class="cn-alt-notes-title">${escapeHtml(ch.title)}</h3>${renderNotes(chapterNotes, renderOptions)}`;
+        }).join('');
+
+        result.push({
+            title: APPENDIX_TITLE,
+            html: `<div class="cn-chapter cn-alt-appendix"><h2 class="cn-chapter-title">${APPENDIX_TITLE}</h2><div class="cn-chapter-content">${sections}</div></div>`,
+        });
+    }
+
+    return result;
+}
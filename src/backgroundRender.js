@@ -0,0 +1,108 @@
+/**
+ * Chat Novel — Background Render
+ * Renders a chat's message bodies in the render worker and feeds them into
+ * the render cache chapter by chapter, so the reader builds its DOM from cache hits.
+ */
+
+import { getDisplayRegexScripts } from './regexEngine.js';
+import { getCachedRender, setCachedRender } from './renderCache.js';
+import { runWatchedWorker, toWorkerMessage } from './regexSandbox.js';
+
+/**
+ * @typedef {Object} RenderProgress
+ * @property {number} messages - Messages rendered (or already cached)
+ * @property {number} totalMessages
+ * @property {number} chapters - Chapters finished
+ * @property {number} totalChapters
+ */
+
+/**
+ * @typedef {Object} RenderOutcome
+ * @property {boolean} complete - Every chapter was rendered
+ * @property {Object|null} stalledMessage - Message the worker exceeded the time budget on
+ */
+
+/**
+ * Render every not-yet-cached message of some chapters in the worker.
+ * Not complete if the worker can't be used — callers then simply render
+ * on the main thread as before (the cache just misses). A message that takes
+ * longer than the sandbox's time budget stops the worker and is reported.
+ * @param {Array} chapters - Chapter objects (as viewed)
+ * @param {Object} renderOptions - From buildRenderOptions(); needs renderCacheKey
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal] - Abort to stop the worker
+ * @param {Function} [opts.onProgress] - Callback(RenderProgress)
+ * @param {Function} [opts.onChapter] - Callback(chapter) once all of a chapter's renders are cached
+ * @param {number} [opts.timeoutMs] - Time budget per message (see runWatchedWorker)
+ * @returns {Promise<RenderOutcome>}
+ */
+export async function renderChaptersInWorker(chapters, renderOptions, opts = {}) {
+    const progress = {
+        messages: 0,
+        totalMessages: chapters.reduce((sum, ch) => sum + ch.messages.length, 0),
+        chapters: 0,
+        totalChapters: chapters.length,
+    };
+
+    // Only send what the cache doesn't have
+    const pending = new Map();
+    for (const chapter of chapters) {
+        const messages = chapter.messages.filter(msg => getCachedRender(msg, renderOptions) === undefined);
+        if (messages.length > 0) {
+            pending.set(chapter.index, messages);
+        } else {
+            progress.chapters++;
+            opts.onChapter?.(chapter);
+        }
+        progress.messages += chapter.messages.length - messages.length;
+    }
+    opts.onProgress?.({ ...progress });
+
+    if (pending.size === 0) return { complete: true, stalledMessage: null };
+
+    const run = await runWatchedWorker(new URL('./renderWorker.js', import.meta.url), buildRenderJob(pending, renderOptions), {
+        signal: opts.signal,
+        timeoutMs: opts.timeoutMs,
+        onMessage: (data) => {
+            if (data.type !== 'chapter') return;
+            const messages = pending.get(data.index) || [];
+            messages.forEach((msg, i) => setCachedRender(msg, renderOptions, data.bodies[i]));
+            progress.messages += messages.length;
+            progress.chapters++;
+            opts.onProgress?.({ ...progress });
+            const chapter = chapters.find(ch => ch.index === data.index);
+            if (chapter) opts.onChapter?.(chapter);
+        },
+    });
+
+    const tick = run.lastTick;
+    return {
+        complete: run.status === 'done',
+        stalledMessage: run.status === 'timeout' && tick ? pending.get(tick.index)?.[tick.position] ?? null : null,
+    };
+}
+
+/**
+ * Build the render job for the worker.
+ * @param {Map<number, Array>} pending - Chapter index → messages to render
+ * @param {Object} renderOptions
+ * @returns {Object}
+ */
+function buildRenderJob(pending, renderOptions) {
+    return {
+        type: 'render',
+        options: {
+            userName: renderOptions.userName,
+            characterName: renderOptions.characterName,
+            characterKey: renderOptions.characterKey,
+            macros: renderOptions.macros,
+            dialogueEnabled: renderOptions.dialogueEnabled,
+            showImages: renderOptions.showImages,
+            regexScripts: getDisplayRegexScripts(renderOptions.excludedScripts),
+        },
+        chapters: [...pending].map(([index, messages]) => ({
+            index,
+            messages: messages.map(toWorkerMessage),
+        })),
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * Chat Novel — Chapter Summaries
+ * Asks ST's configured generation API for a short title and a 2–3 sentence
+ * summary of each chapter. The generator can be swapped for a local stub.
+ */
+
+import { messagePlainText } from './textExporter.js';
+
+/** Characters of chapter text sent to the model; longer chapters keep their start and end */
+const MAX_CHAPTER_CHARS = 12000;
+
+const SYSTEM_PROMPT = '너는 웹소설 편집자다. 주어진 챕터 원문을 읽고 챕터 제목과 줄거리 요약을 쓴다. 원문에 없는 내용은 지어내지 않는다.';
+
+const INSTRUCTION = `위 챕터에 어울리는 짧은 제목(20자 이내)과 2~3문장짜리 줄거리 요약을 한국어로 써라.
+다른 말 없이 아래 형식만 지켜서 답하라.
+제목: <제목>
+요약: <요약>`;
+
+/**
+ * @typedef {Object} ChapterSummary
+ * @property {string} title
+ * @property {string} summary
+ */
+
+/**
+ * @callback SummaryGenerator
+ * @param {string} prompt - Chapter text followed by the instruction
+ * @param {string} systemPrompt
+ * @returns {Promise<string>} Raw model response
+ */
+
+/**
+ * Generate the title and summary of one chapter.
+ * @param {Object} chapter - Chapter from chapterizer
+ * @param {Object} options
+ * @param {Object} options.renderOptions - Renderer options (names, regexProcessor)
+ * @param {SummaryGenerator} [options.generate] - Defaults to ST's generateRaw / generateQuietPrompt
+ * @returns {Promise<ChapterSummary>}
+ */
+export async function summarizeChapter(chapter, options) {
+    const generate = options.generate || generateWithST;
+    const text = buildChapterText(chapter, options.renderOptions);
+    if (!text) {
+        throw new Error('챕터에 요약할 본문이 없습니다.');
+    }
+
+    const response = await generate(`${text}\n\n---\n\n${INSTRUCTION}`, SYSTEM_PROMPT);
+    const result = parseSummaryResponse(response);
+    if (!result.summary) {
+        throw new Error('요약 응답을 해석하지 못했습니다.');
+    }
+    return result;
+}
+
+/**
+ * Generate summaries for several chapters one after another.
+ * A failed chapter is reported and skipped; aborting stops before the next chapter
+ * (a response already on its way is still delivered).
+ * @param {Array} chapters
+ * @param {Object} options
+ * @param {Object} options.renderOptions
+ * @param {SummaryGenerator} [options.generate]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onResult] - Callback(chapter, summary) after each chapter
+ * @param {Function} [options.onError] - Callback(chapter, error)
+ * @returns {Promise<number>} Number of chapters summarized
+ */
+export async function summarizeChapters(chapters, options) {
+    let done = 0;
+    for (const chapter of chapters) {
+        if (options.signal?.aborted) break;
+        try {
+            const result = await summarizeChapter(chapter, options);
+            options.onResult?.(chapter, result);
+            done++;
+        } catch (e) {
+            console.warn(`[ChatNovel] Failed to summarize chapter ${chapter.index + 1}:`, e);
+            options.onError?.(chapter, e);
+        }
+    }
+    return done;
+}
+
+/**
+ * Parse a "제목: … / 요약: …" response. Falls back to the whole text as the summary.
+ * @param {string} response
+ * @returns {ChapterSummary}
+ */
+export function parseSummaryResponse(response) {
+    const text = String(response || '').replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+    const title = text.match(/^\s*(?:\*\*)?(?:제목|title)(?:\*\*)?\s*[:：]\s*(.+)$/im)?.[1] || '';
+    const summary = text.match(/^\s*(?:\*\*)?(?:요약|summary)(?:\*\*)?\s*[:：]\s*([\s\S]+)$/im)?.[1]
+        || (title ? '' : text);
+
+    return {
+        title: cleanLine(title).replace(/^["'「『]|["'」』]$/g, '').slice(0, 60),
+        summary: cleanLine(summary.replace(/\s*\n\s*/g, ' ')).slice(0, 600),
+    };
+}
+
+/**
+ * Build the chapter text sent to the model: "이름: 대사" lines without markup.
+ * @param {Object} chapter
+ * @param {Object} renderOptions
+ * @returns {string}
+ */
+function buildChapterText(chapter, renderOptions) {
+    const lines = [];
+    for (const msg of chapter.messages) {
+        const body = messagePlainText(msg, renderOptions);
+        if (!body) continue;
+        lines.push(msg.is_system || !msg.name ? body : `${msg.name}: ${body}`);
+    }
+
+    const text = lines.join('\n\n');
+    if (text.length <= MAX_CHAPTER_CHARS) return text;
+
+    const half = Math.floor(MAX_CHAPTER_CHARS / 2);
+    return `${text.slice(0, half)}\n\n(…중략…)\n\n${text.slice(-half)}`;
+}
+
+/**
+ * Generate with ST's configured API, outside of the active chat's prompt.
+ * @type {SummaryGenerator}
+ */
+async function generateWithST(prompt, systemPrompt) {
+    const context = SillyTavern.getContext();
+    if (typeof context.generateRaw === 'function') {
+        // Older builds: generateRaw(prompt, api, instructOverride, quietToLoud, systemPrompt)
+        return takesPositionalArgs(context.generateRaw)
+            ? context.generateRaw(prompt, null, false, false, systemPrompt)
+            : context.generateRaw({ prompt, systemPrompt });
+    }
+    if (typeof context.generateQuietPrompt === 'function') {
+        const quietPrompt = `${systemPrompt}\n\n${prompt}`;
+        // Older builds: generateQuietPrompt(quietPrompt, quietToLoud, ...)
+        return takesPositionalArgs(context.generateQuietPrompt)
+            ? context.generateQuietPrompt(quietPrompt)
+            : context.generateQuietPrompt({ quietPrompt });
+    }
+    throw new Error('이 SillyTavern 버전은 생성 API를 제공하지 않습니다.');
+}
+
+/**
+ * Tell ST's older positional generation functions from the newer ones that take
+ * a single options object. The newer ones destructure it with a default
+ * (`({ prompt, ... } = {})`), so they declare no required parameter.
+ * @param {Function} fn
+ * @returns {boolean}
+ */
+function takesPositionalArgs(fn) {
+    return fn.length > 0;
+}
+
+/**
+ * Strip Markdown emphasis and surrounding whitespace from a response line.
+ * @param {string} line
+ * @returns {string}
+ */
+function cleanLine(line) {
+    return String(line || '').replace(/\*\*|__/g, '').trim();
+}
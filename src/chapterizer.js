@@ -1,6 +1,6 @@
 /**
  * Chat Novel — Chapterizer
- * Splits messages into chapters based on message count and time gaps.
+ * Splits messages into chapters based on message count, time gaps or scene markers.
  */
 
 /**
@@ -14,17 +14,42 @@
 
 /**
  * @typedef {Object} ChapterizeOptions
- * @property {string} mode - 'count' | 'time' | 'both' | 'none'
+ * @property {string} mode - 'count' | 'time' | 'both' | 'marker' | 'none'
  * @property {number} messagesPerChapter - Messages per chapter (default: 20)
  * @property {number} timeGapHours - Hours gap to trigger a new chapter (default: 6)
+ * @property {boolean} sceneBreaks - marker mode: `---` / `***` lines start a chapter (default: true)
+ * @property {string} markerPatterns - marker mode: user regexes, one per line (`/source/flags` or plain source)
+ * @property {ChapterBreaks} [breaks] - Manual break edits layered on top of the automatic split
+ */
+
+/**
+ * @typedef {Object} ChapterBreaks
+ * @property {number[]} add - Message _index values that start a chapter
+ * @property {number[]} remove - Message _index values that must not start a chapter
  */
 
 const DEFAULT_OPTIONS = {
     mode: 'count',
     messagesPerChapter: 20,
     timeGapHours: 6,
+    sceneBreaks: true,
+    markerPatterns: '',
 };
 
+// ===== Marker Patterns =====
+
+/** `---`, `***`, `* * *`, `___` on a line of their own */
+const SCENE_BREAK_PATTERN = /^[ \t]*(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$/gm;
+
+/** `# 제N장 ...`, `## Chapter N ...`, `# 第N章 ...` headings */
+const CHAPTER_HEADING_PATTERN = /^[ \t]*#{1,3}[ \t]*((?:제[ \t]*\d+[ \t]*[장화막부]|chapter[ \t]+\d+|第[ \t]*\d+[ \t]*章).*)$/gim;
+
+/** `<chapter>`, `<chapter title="...">`, `<chapter>Title</chapter>` */
+const CHAPTER_TAG_PATTERN = /<chapter\b([^>]*)>(?:([^<\n]{1,80})<\/chapter>)?/gi;
+
+/** Any Markdown heading — used for titles only */
+const HEADING_PATTERN = /^[ \t]*#{1,6}[ \t]+(.+?)[ \t#]*$/gm;
+
 /**
  * Split messages into chapters.
  * @param {Array} messages - Array of parsed messages
@@ -38,19 +63,18 @@ export function chapterize(messages, options = {}) {
         return [];
     }
 
-    if (opts.mode === 'none') {
-        return [{
-            index: 0,
-            title: 'Chapter 1',
-            messages: [...messages],
-            startDate: messages[0]._parsedDate || new Date(0),
-            endDate: messages[messages.length - 1]._parsedDate || new Date(0),
-        }];
-    }
-
     let chapters = [];
 
     switch (opts.mode) {
+        case 'none':
+            chapters = [{
+                index: 0,
+                title: '',
+                messages: [...messages],
+                startDate: new Date(0),
+                endDate: new Date(0),
+            }];
+            break;
         case 'count':
             chapters = chapterizeByCount(messages, opts.messagesPerChapter);
             break;
@@ -60,14 +84,21 @@ export function chapterize(messages, options = {}) {
         case 'both':
             chapters = chapterizeByBoth(messages, opts.messagesPerChapter, opts.timeGapHours);
             break;
+        case 'marker':
+            chapters = chapterizeByMarker(messages, opts);
+            break;
         default:
             chapters = chapterizeByCount(messages, opts.messagesPerChapter);
     }
 
-    // Assign titles
+    if (opts.breaks) {
+        chapters = applyChapterBreaks(chapters, opts.breaks);
+    }
+
+    // Assign titles (marker chapters keep the heading they found)
     chapters.forEach((ch, i) => {
         ch.index = i;
-        ch.title = `Chapter ${i + 1}`;
+        ch.title = ch.title || `Chapter ${i + 1}`;
         if (ch.messages.length > 0) {
             ch.startDate = ch.messages[0]._parsedDate || new Date(0);
             ch.endDate = ch.messages[ch.messages.length - 1]._parsedDate || new Date(0);
@@ -77,6 +108,40 @@ export function chapterize(messages, options = {}) {
     return chapters;
 }
 
+/**
+ * Layer manual break edits on top of an automatic split. A merged chapter keeps
+ * the title of its first part; a chapter split off gets a numbered title.
+ * @param {Chapter[]} chapters
+ * @param {ChapterBreaks} breaks
+ * @returns {Chapter[]}
+ */
+function applyChapterBreaks(chapters, breaks) {
+    const add = new Set(breaks.add || []);
+    const remove = new Set(breaks.remove || []);
+    if (add.size === 0 && remove.size === 0) return chapters;
+
+    const titles = new Map(chapters.map(ch => [ch.messages[0]?._index, ch.title]));
+    const result = [];
+    let currentChapter = null;
+
+    for (const msg of chapters.flatMap(ch => ch.messages)) {
+        const isStart = (titles.has(msg._index) || add.has(msg._index)) && !remove.has(msg._index);
+        if (!currentChapter || isStart) {
+            currentChapter = {
+                index: 0,
+                title: titles.get(msg._index) || '',
+                messages: [],
+                startDate: new Date(0),
+                endDate: new Date(0),
+            };
+            result.push(currentChapter);
+        }
+        currentChapter.messages.push(msg);
+    }
+
+    return result;
+}
+
 /**
  * Split by message count.
  * @param {Array} messages
@@ -194,3 +259,166 @@ function chapterizeByBoth(messages, count, gapHours) {
 
     return chapters;
 }
+
+/**
+ * Split at scene markers the model writes: `---` / `***` lines, `# 제N장` headings,
+ * `<chapter>` tags and user-defined regexes. The first heading in a chapter becomes its title.
+ * A chapter starts at the message containing the marker, or after it when the marker
+ * ends the message.
+ * @param {Array} messages
+ * @param {ChapterizeOptions} opts
+ * @returns {Chapter[]}
+ */
+function chapterizeByMarker(messages, opts) {
+    const patterns = buildMarkerPatterns(opts);
+    const chapters = [];
+    let currentChapter = {
+        index: 0,
+        title: '',
+        messages: [],
+        startDate: new Date(0),
+        endDate: new Date(0),
+    };
+
+    for (const msg of messages) {
+        const text = stripNonProse(msg.mes || '');
+        const markers = findMarkers(text, patterns);
+
+        let breakAfter = false;
+        if (markers.length > 0) {
+            const before = text.slice(0, markers[0].index).trim();
+            const after = text.slice(markers[markers.length - 1].end).trim();
+
+            if (before && !after) {
+                breakAfter = true;
+            } else if (currentChapter.messages.length > 0) {
+                chapters.push(currentChapter);
+                currentChapter = {
+                    index: 0,
+                    title: '',
+                    messages: [],
+                    startDate: new Date(0),
+                    endDate: new Date(0),
+                };
+            }
+        }
+
+        // A marker ending the message introduces the next chapter, and so does its title
+        const splitAt = breakAfter ? markers[0].index : text.length;
+        currentChapter.messages.push(msg);
+        if (!currentChapter.title) {
+            currentChapter.title = findHeading(text, markers, 0, splitAt);
+        }
+
+        if (breakAfter) {
+            chapters.push(currentChapter);
+            currentChapter = {
+                index: 0,
+                title: findHeading(text, markers, splitAt),
+                messages: [],
+                startDate: new Date(0),
+                endDate: new Date(0),
+            };
+        }
+    }
+
+    if (currentChapter.messages.length > 0) {
+        chapters.push(currentChapter);
+    }
+
+    return chapters;
+}
+
+/**
+ * Build the list of marker patterns for the given options.
+ * @param {ChapterizeOptions} opts
+ * @returns {RegExp[]} Global patterns; capture group 1 (if any) is a title
+ */
+function buildMarkerPatterns(opts) {
+    const patterns = [CHAPTER_HEADING_PATTERN, CHAPTER_TAG_PATTERN];
+    if (opts.sceneBreaks !== false) {
+        patterns.push(SCENE_BREAK_PATTERN);
+    }
+
+    for (const line of String(opts.markerPatterns || '').split('\n')) {
+        const source = line.trim();
+        if (!source) continue;
+
+        const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+        const flags = new Set(`${literal ? literal[2] : ''}gm`);
+        try {
+            patterns.push(new RegExp(literal ? literal[1] : source, [...flags].join('')));
+        } catch (e) {
+            console.warn(`[ChatNovel] Invalid chapter marker pattern: ${source}`, e.message);
+        }
+    }
+
+    return patterns;
+}
+
+/**
+ * Remove parts of a message that aren't prose — code blocks, HTML documents,
+ * folded status blocks — so separators inside them don't count as scene breaks.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripNonProse(text) {
+    return text
+        .replace(/```[\s\S]*?```/g, '')
+        .replace(/<!DOCTYPE\s+html[^>]*>[\s\S]*?<\/html>|<html[^>]*>[\s\S]*?<\/html>/gi, '')
+        .replace(/<(style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<details\b[^>]*>[\s\S]*?<\/details>/gi, '');
+}
+
+/**
+ * Find every marker in a text, in order.
+ * @param {string} text
+ * @param {RegExp[]} patterns
+ * @returns {Array<{index: number, end: number, title: string}>}
+ */
+function findMarkers(text, patterns) {
+    const markers = [];
+    for (const pattern of patterns) {
+        for (const match of text.matchAll(pattern)) {
+            if (match[0].length === 0) continue;
+            let title = match[1] || '';
+            if (pattern === CHAPTER_TAG_PATTERN) {
+                title = (match[1].match(/\b(?:title|name)\s*=\s*["']([^"']*)["']/i)?.[1]) || match[2] || '';
+            }
+            markers.push({ index: match.index, end: match.index + match[0].length, title: cleanTitle(title) });
+        }
+    }
+    return markers.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Find the first heading of a message: a titled marker or any Markdown heading.
+ * @param {string} text - Text with non-prose parts removed
+ * @param {Array<{index: number, title: string}>} markers
+ * @param {number} [from=0] - Only headings starting in [from, to)
+ * @param {number} [to=text.length]
+ * @returns {string} Title, or '' when none
+ */
+function findHeading(text, markers, from = 0, to = text.length) {
+    const candidates = markers.filter(m => m.title);
+    for (const match of text.matchAll(HEADING_PATTERN)) {
+        const title = cleanTitle(match[1]);
+        if (title) candidates.push({ index: match.index, title });
+    }
+    const inRange = candidates.filter(c => c.index >= from && c.index < to);
+    if (inRange.length === 0) return '';
+    return inRange.reduce((a, b) => (b.index < a.index ? b : a)).title;
+}
+
+/**
+ * Strip Markdown emphasis and HTML tags from a heading.
+ * @param {string} title
+ * @returns {string}
+ */
+function cleanTitle(title) {
+    return String(title || '')
+        .replace(/<[^>]+>/g, '')
+        .replace(/(\*\*|__|\*|_|~~)(.+?)\1/g, '$2')
+        .trim()
+        .slice(0, 80);
+}
@@ -0,0 +1,93 @@
+/**
+ * Chat Novel — Chat Files
+ * Lists and fetches the current character's chat files through ST's server API,
+ * without switching the active chat.
+ */
+
+import { normalizeSendDate } from './parser.js';
+
+/**
+ * @typedef {Object} ChatFileInfo
+ * @property {string} fileName - Chat file name without the .jsonl extension
+ * @property {number} messageCount
+ * @property {Date} lastDate - Date of the last message
+ * @property {string} preview - Last message text
+ */
+
+/**
+ * Get the character the chat files belong to.
+ * @param {Object} context - SillyTavern context
+ * @returns {Object|null} Character object, or null in group chats / no selection
+ */
+function getCurrentCharacter(context) {
+    if (context.groupId || context.characterId == null) return null;
+    return context.characters?.[context.characterId] || null;
+}
+
+/**
+ * List every chat file of the current character, newest first.
+ * @returns {Promise<ChatFileInfo[]>}
+ */
+export async function listCharacterChats() {
+    const context = SillyTavern.getContext();
+    const character = getCurrentCharacter(context);
+    if (!character) {
+        throw new Error('캐릭터 채팅에서만 사용할 수 있습니다.');
+    }
+
+    const response = await fetch('/api/characters/chats', {
+        method: 'POST',
+        headers: context.getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: character.avatar }),
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    // Older ST versions return an index-keyed object instead of an array
+    const data = await response.json();
+    const entries = Array.isArray(data) ? data : Object.values(data || {});
+
+    return entries
+        .filter(entry => entry && entry.file_name)
+        .map(entry => ({
+            fileName: String(entry.file_name).replace(/\.jsonl$/i, ''),
+            messageCount: Number(entry.chat_items) || 0,
+            lastDate: normalizeSendDate(entry.last_mes),
+            preview: entry.mes || '',
+        }))
+        .sort((a, b) => b.lastDate.getTime() - a.lastDate.getTime());
+}
+
+/**
+ * Fetch the raw entries of one of the current character's chat files.
+ * The first entry is the chat header (metadata), like a JSONL export.
+ * @param {string} fileName - Chat file name without the .jsonl extension
+ * @returns {Promise<Array>}
+ */
+export async function fetchCharacterChat(fileName) {
+    const context = SillyTavern.getContext();
+    const character = getCurrentCharacter(context);
+    if (!character) {
+        throw new Error('캐릭터 채팅에서만 사용할 수 있습니다.');
+    }
+
+    const response = await fetch('/api/chats/get', {
+        method: 'POST',
+        headers: context.getRequestHeaders(),
+        body: JSON.stringify({
+            ch_name: character.name,
+            file_name: fileName,
+            avatar_url: character.avatar,
+        }),
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('채팅 파일이 비어 있습니다.');
+    }
+    return data;
+}
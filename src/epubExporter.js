@@ -0,0 +1,370 @@
+/**
+ * Chat Novel — EPUB Exporter
+ * Packages rendered chapters as an EPUB 3 book for e-readers.
+ */
+
+import { THEMES } from './themes.js';
+import { cleanExportDom } from './exporter.js';
+import { createZip } from './zip.js';
+import { escapeHtml } from './utils.js';
+
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+/** Image media types allowed in an EPUB 3 manifest without fallbacks */
+const IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+};
+
+const EXTENSION_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+};
+
+/**
+ * Export rendered chapters as an EPUB 3 file.
+ * @param {Object} options
+ * @param {string} options.title - Book title
+ * @param {string} [options.author] - Book author (character name)
+ * @param {string} options.bookId - Stable identifier, so re-exports update the same book
+ * @param {Array<{title: string, html: string}>} options.chapters - Rendered chapter HTML (renderChapter output)
+ * @param {string} options.theme - Theme ID
+ * @param {Object} options.typography - Typography settings
+ * @returns {Promise<Blob>} EPUB file
+ */
+export async function exportToEpub(options) {
+    const { title, author, bookId, chapters, theme, typography } = options;
+    const themeData = THEMES[theme] || THEMES['dark-noble'];
+
+    // Parse every chapter first so images can be collected across the whole book
+    const doc = document.implementation.createHTMLDocument('');
+    const roots = chapters.map(ch => {
+        const root = doc.createElement('div');
+        root.className = 'cn-epub-chapter';
+        root.innerHTML = ch.html;
+        cleanExportDom(root);
+        return root;
+    });
+
+    const images = await packageImages(roots);
+
+    const chapterFiles = chapters.map((ch, i) => ({
+        id: `chapter-${String(i + 1).padStart(3, '0')}`,
+        href: `chapter-${String(i + 1).padStart(3, '0')}.xhtml`,
+        title: ch.title,
+        body: new XMLSerializer().serializeToString(roots[i]),
+    }));
+
+    const entries = [
+        // The mimetype entry must come first and be stored uncompressed
+        { name: 'mimetype', data: 'application/epub+zip' },
+        { name: 'META-INF/container.xml', data: generateContainerXml() },
+        { name: 'OEBPS/content.opf', data: generatePackageDocument({ title, author, bookId, chapterFiles, images }) },
+        { name: 'OEBPS/nav.xhtml', data: generateNavDocument(title, chapterFiles) },
+        { name: 'OEBPS/toc.ncx', data: generateNcx(title, bookId, chapterFiles) },
+        { name: 'OEBPS/style.css', data: generateEpubCSS(themeData, typography) },
+        ...chapterFiles.map(file => ({
+            name: `OEBPS/${file.href}`,
+            data: generateChapterDocument(file.title, file.body),
+        })),
+        ...images.map(img => ({ name: `OEBPS/${img.href}`, data: img.bytes })),
+    ];
+
+    return createZip(entries, 'application/epub+zip');
+}
+
+// ===== Images =====
+
+/**
+ * Fetch every image referenced in the chapters and rewrite their sources
+ * to point at the packaged copies. Images that can't be fetched become their alt text.
+ * @param {HTMLElement[]} roots - Chapter roots
+ * @returns {Promise<Array<{id: string, href: string, mediaType: string, bytes: Uint8Array}>>}
+ */
+async function packageImages(roots) {
+    const imgElements = roots.flatMap(root => [...root.querySelectorAll('img')]);
+    const sources = [...new Set(imgElements.map(img => img.getAttribute('src')).filter(Boolean))];
+
+    const results = await Promise.allSettled(sources.map(fetchImageBytes));
+    const images = [];
+    const hrefBySrc = new Map();
+
+    results.forEach((result, i) => {
+        if (result.status !== 'fulfilled' || !result.value) {
+            console.warn('[ChatNovel] EPUB image skipped:', sources[i]);
+            return;
+        }
+        const { bytes, mediaType } = result.value;
+        const id = `img-${String(images.length + 1).padStart(3, '0')}`;
+        const href = `images/${id}.${IMAGE_TYPES[mediaType]}`;
+        images.push({ id, href, mediaType, bytes });
+        hrefBySrc.set(sources[i], href);
+    });
+
+    for (const img of imgElements) {
+        const href = hrefBySrc.get(img.getAttribute('src'));
+        if (href) {
+            img.setAttribute('src', href);
+            if (!img.hasAttribute('alt')) img.setAttribute('alt', '');
+        } else {
+            const fallback = img.ownerDocument.createElement('span');
+            fallback.className = 'cn-image-fallback';
+            fallback.textContent = `🖼️ ${img.getAttribute('alt') || ''}`.trim();
+            img.replaceWith(fallback);
+        }
+    }
+
+    return images;
+}
+
+/**
+ * Download an image as bytes.
+ * @param {string} src - Image URL (relative, absolute or data URI)
+ * @returns {Promise<{bytes: Uint8Array, mediaType: string}|null>} null for unsupported formats
+ */
+async function fetchImageBytes(src) {
+    const response = await fetch(src);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+
+    let mediaType = (blob.type || '').split(';')[0].trim().toLowerCase();
+    if (!IMAGE_TYPES[mediaType]) {
+        const ext = src.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        mediaType = EXTENSION_TYPES[ext] || '';
+    }
+    if (!IMAGE_TYPES[mediaType]) return null;
+
+    return { bytes: new Uint8Array(await blob.arrayBuffer()), mediaType };
+}
+
+// ===== Package Files =====
+
+/**
+ * @returns {string} META-INF/container.xml
+ */
+function generateContainerXml() {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>`;
+}
+
+/**
+ * Generate the OPF package document (metadata, manifest, spine).
+ * @param {Object} data
+ * @returns {string}
+ */
+function generatePackageDocument({ title, author, bookId, chapterFiles, images }) {
+    // dcterms:modified requires second precision without milliseconds
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="ko">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="book-id">urn:chat-novel:${escapeHtml(bookId)}</dc:identifier>
+        <dc:title>${escapeHtml(title)}</dc:title>
+        ${author ? `<dc:creator>${escapeHtml(author)}</dc:creator>` : ''}
+        <dc:language>ko</dc:language>
+        <meta property="dcterms:modified">${modified}</meta>
+    </metadata>
+    <manifest>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+        <item id="style" href="style.css" media-type="text/css"/>
+${chapterFiles.map(file => `        <item id="${file.id}" href="${file.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+${images.map(img => `        <item id="${img.id}" href="${img.href}" media-type="${img.mediaType}"/>`).join('\n')}
+    </manifest>
+    <spine toc="ncx">
+${chapterFiles.map(file => `        <itemref idref="${file.id}"/>`).join('\n')}
+    </spine>
+</package>`;
+}
+
+/**
+ * Generate the EPUB 3 navigation document (table of contents).
+ * @param {string} title
+ * @param {Array} chapterFiles
+ * @returns {string}
+ */
+function generateNavDocument(title, chapterFiles) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="${XHTML_NS}" xmlns:epub="http://www.idpf.org/2007/ops" lang="ko" xml:lang="ko">
+<head>
+    <meta charset="UTF-8"/>
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+    <nav epub:type="toc" id="toc">
+        <h1>목차</h1>
+        <ol>
+${chapterFiles.map(file => `            <li><a href="${file.href}">${escapeHtml(file.title)}</a></li>`).join('\n')}
+        </ol>
+    </nav>
+</body>
+</html>`;
+}
+
+/**
+ * Generate the legacy NCX table of contents for EPUB 2 readers.
+ * @param {string} title
+ * @param {string} bookId
+ * @param {Array} chapterFiles
+ * @returns {string}
+ */
+function generateNcx(title, bookId, chapterFiles) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+    <head>
+        <meta name="dtb:uid" content="urn:chat-novel:${escapeHtml(bookId)}"/>
+    </head>
+    <docTitle><text>${escapeHtml(title)}</text></docTitle>
+    <navMap>
+${chapterFiles.map((file, i) => `        <navPoint id="nav-${i + 1}" playOrder="${i + 1}">
+            <navLabel><text>${escapeHtml(file.title)}</text></navLabel>
+            <content src="${file.href}"/>
+        </navPoint>`).join('\n')}
+    </navMap>
+</ncx>`;
+}
+
+/**
+ * Wrap a serialized chapter body in an XHTML content document.
+ * @param {string} title - Chapter title
+ * @param {string} body - XHTML-serialized chapter root
+ * @returns {string}
+ */
+function generateChapterDocument(title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="${XHTML_NS}" xmlns:epub="http://www.idpf.org/2007/ops" lang="ko" xml:lang="ko">
+<head>
+    <meta charset="UTF-8"/>
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Generate the book stylesheet from the reader theme.
+ * Layout is left to the e-reader; only colors and typography carry over.
+ * @param {Object} theme
+ * @param {Object} typography
+ * @returns {string}
+ */
+function generateEpubCSS(theme, typography) {
+    return `body {
+    background: ${theme.background};
+    color: ${theme.text};
+    font-family: ${typography?.fontFamily === 'serif'
+        ? "'Noto Serif KR', 'Batang', Georgia, serif"
+        : "'Pretendard', 'Noto Sans KR', sans-serif"};
+    line-height: ${typography?.lineHeight || 1.8};
+    word-break: keep-all;
+    overflow-wrap: break-word;
+}
+
+nav#toc ol { list-style: none; padding-left: 0; }
+nav#toc li { margin: 0.4em 0; }
+nav#toc a { color: ${theme.text}; text-decoration: none; }
+
+.cn-chapter-title {
+    font-size: 1.4em;
+    color: ${theme.chapterTitle};
+    margin: 1em 0 0.3em;
+    padding-bottom: 0.3em;
+    border-bottom: 1px solid ${theme.border};
+}
+
+.cn-chapter-date {
+    font-size: 0.8em;
+    color: ${theme.textSecondary};
+    margin-bottom: 2em;
+}
+
+.cn-chapter-recap {
+    margin: -1em 0 2em;
+    padding: 0.6em 1em;
+    border-left: 3px solid ${theme.border};
+    font-size: 0.9em;
+    color: ${theme.textSecondary};
+}
+
+.cn-chapter-recap-label {
+    display: block;
+    font-size: 0.85em;
+    font-weight: bold;
+    color: ${theme.chapterTitle};
+}
+
+.cn-message { margin-bottom: 1.4em; }
+
+.cn-msg-sender {
+    font-size: 0.85em;
+    font-weight: bold;
+    margin-bottom: 0.2em;
+}
+
+.cn-msg-user .cn-msg-sender { color: ${theme.senderUser}; }
+.cn-msg-character .cn-msg-sender { color: ${theme.senderChar}; }
+.cn-msg-system .cn-msg-sender { color: ${theme.textSecondary}; }
+
+.cn-paragraph { margin: 0 0 0.6em; }
+.cn-dialogue { color: ${theme.dialogue}; }
+a { color: ${theme.linkColor}; }
+
+.cn-blockquote {
+    margin: 0.8em 0;
+    padding-left: 1em;
+    border-left: 3px solid ${theme.accent};
+    color: ${theme.textSecondary};
+}
+
+.cn-hr { border: none; border-top: 1px solid ${theme.border}; margin: 1.5em 0; }
+
+.cn-code-block, .cn-inline-code {
+    background: ${theme.codeBg};
+    font-family: monospace;
+    font-size: 0.9em;
+}
+.cn-code-block { padding: 0.8em; white-space: pre-wrap; }
+
+.cn-image-container, .cn-extra-images { text-align: center; margin: 1em 0; }
+.cn-image { max-width: 100%; height: auto; }
+.cn-image-fallback { color: ${theme.textSecondary}; font-style: italic; }
+
+.cn-iframe-text, .cn-choices-container {
+    margin: 1em 0;
+    padding: 0.8em;
+    background: ${theme.cardBg};
+    border: 1px solid ${theme.cardBorder};
+    font-size: 0.9em;
+}
+
+.cn-choices-header { font-weight: bold; color: ${theme.accent}; margin-bottom: 0.4em; }
+.cn-choice-card { margin: 0.3em 0; }
+.cn-choice-number { margin-right: 0.4em; color: ${theme.accent}; }
+
+.cn-alt-refs { font-size: 0.75em; color: ${theme.textSecondary}; text-align: right; }
+.cn-alt-notes { margin-top: 2em; padding-top: 1em; border-top: 1px solid ${theme.border}; font-size: 0.9em; }
+.cn-alt-notes-title { font-size: 1.1em; color: ${theme.chapterTitle}; }
+.cn-alt-note { margin-bottom: 1em; }
+.cn-alt-note-label { font-size: 0.85em; font-weight: bold; color: ${theme.accent}; }
+`;
+}
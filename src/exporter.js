@@ -85,7 +85,15 @@ ${generateExportJS(chapters.length)}
  * @param {string} filename - Download filename
  */
 export function downloadHtml(html, filename) {
-    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), filename);
+}
+
+/**
+ * Trigger download of an arbitrary Blob.
+ * @param {Blob} blob
+ * @param {string} filename - Download filename
+ */
+export function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -96,6 +104,75 @@ export function downloadHtml(html, filename) {
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Strip reader-only UI and scripting from rendered chapter HTML
+ * for static formats (EPUB, print).
+ * @param {HTMLElement} root
+ */
+export function cleanExportDom(root) {
+    root.querySelectorAll('.cn-msg-actions, .cn-msg-swipes, script, style, button').forEach(el => el.remove());
+    replaceIframesWithText(root);
+
+    root.querySelectorAll('*').forEach(el => {
+        for (const attr of [...el.attributes]) {
+            if (/^on/i.test(attr.name) || attr.name === 'loading' || attr.name.startsWith('data-')) {
+                el.removeAttribute(attr.name);
+            }
+        }
+    });
+}
+
+/**
+ * Replace regex-output iframes (status panels etc.) with their plain text.
+ * Static formats can't run the iframe's document, so its visible text is kept instead.
+ * @param {HTMLElement} root - Element containing rendered chapter HTML
+ */
+export function replaceIframesWithText(root) {
+    root.querySelectorAll('iframe').forEach(iframe => {
+        let html = iframe.getAttribute('srcdoc') || '';
+        const b64 = iframe.getAttribute('data-cn-html');
+        if (b64) {
+            try {
+                html = decodeURIComponent(escape(atob(b64)));
+            } catch { /* ignore */ }
+        }
+
+        const lines = extractDocumentText(html);
+        if (lines.length === 0) {
+            iframe.remove();
+            return;
+        }
+
+        const block = root.ownerDocument.createElement('div');
+        block.className = 'cn-iframe-text';
+        lines.forEach((line, i) => {
+            if (i > 0) block.appendChild(root.ownerDocument.createElement('br'));
+            block.appendChild(root.ownerDocument.createTextNode(line));
+        });
+        iframe.replaceWith(block);
+    });
+}
+
+/**
+ * Extract the visible text lines of an HTML document.
+ * @param {string} html
+ * @returns {string[]}
+ */
+export function extractDocumentText(html) {
+    if (!html) return [];
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll('script, style, noscript, template').forEach(el => el.remove());
+
+    // Keep block boundaries as line breaks (textContent alone would glue them together)
+    doc.body.querySelectorAll('br, p, div, li, tr, h1, h2, h3, h4, h5, h6, summary, section, article, header, footer, table')
+        .forEach(el => el.after(doc.createTextNode('\n')));
+
+    return (doc.body.textContent || '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
 /**
  * Embed all images as base64 in the HTML string.
  * Uses Promise.allSettled for parallel processing.
@@ -310,6 +387,24 @@ function generateExportCSS(theme, typography) {
             margin-bottom: 24px;
         }
 
+        .cn-chapter-recap {
+            margin: -8px 0 24px;
+            padding: 12px 16px;
+            border-left: 3px solid ${theme.border};
+            background: ${theme.cardBg};
+            border-radius: 4px;
+            font-size: 0.9em;
+            color: ${theme.textSecondary};
+        }
+
+        .cn-chapter-recap-label {
+            display: block;
+            font-size: 0.85em;
+            font-weight: 600;
+            margin-bottom: 4px;
+            color: ${theme.chapterTitle};
+        }
+
         /* Dialogue */
         .cn-dialogue { color: ${theme.dialogue}; }
 
@@ -0,0 +1,98 @@
+/**
+ * Chat Novel — File Import
+ * Dialog for picking or dropping an exported chat JSONL file.
+ */
+
+import { applyTheme } from './themes.js';
+
+/**
+ * Check whether a File looks like a chat JSONL export.
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isJsonlFile(file) {
+    return !!file && /\.jsonl$/i.test(file.name);
+}
+
+/**
+ * Show the file import dialog.
+ * Resolves with the chosen file, or null when the dialog is dismissed.
+ * @param {HTMLElement} container - Element to attach the dialog to (reader overlay or body)
+ * @param {string} themeId - Theme used for the dialog colors
+ * @returns {Promise<File|null>}
+ */
+export function showFileImportDialog(container, themeId) {
+    return new Promise((resolve) => {
+        const backdrop = document.createElement('div');
+        backdrop.className = 'cn-import-backdrop';
+        backdrop.innerHTML = `
+            <div class="cn-import-dialog">
+                <div class="cn-import-header">
+                    <h3>📂 파일 열기</h3>
+                    <button class="cn-import-close" title="닫기">✕</button>
+                </div>
+                <div class="cn-import-dropzone">
+                    <div class="cn-import-dropzone-icon">📄</div>
+                    <div>.jsonl 채팅 파일을 여기에 끌어다 놓거나</div>
+                    <button class="cn-import-pick">파일 선택</button>
+                </div>
+                <div class="cn-import-hint">SillyTavern에서 내보낸 채팅 파일을 현재 채팅과 상관없이 읽을 수 있습니다.</div>
+                <input type="file" class="cn-import-input" accept=".jsonl" hidden />
+            </div>
+        `;
+
+        applyTheme(backdrop, themeId);
+        container.appendChild(backdrop);
+
+        const dropzone = backdrop.querySelector('.cn-import-dropzone');
+        const input = backdrop.querySelector('.cn-import-input');
+
+        const finish = (file) => {
+            document.removeEventListener('keydown', keyHandler, true);
+            backdrop.remove();
+            resolve(file);
+        };
+
+        const accept = (file) => {
+            if (!isJsonlFile(file)) {
+                toastr.warning('.jsonl 파일만 열 수 있습니다.');
+                return;
+            }
+            finish(file);
+        };
+
+        // ESC closes only the dialog — captured before the reader's own ESC handler
+        const keyHandler = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                finish(null);
+            }
+        };
+        document.addEventListener('keydown', keyHandler, true);
+
+        backdrop.addEventListener('click', (e) => {
+            if (e.target === backdrop) finish(null);
+        });
+        backdrop.querySelector('.cn-import-close').addEventListener('click', () => finish(null));
+        backdrop.querySelector('.cn-import-pick').addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            if (input.files?.[0]) accept(input.files[0]);
+        });
+
+        // Drag & drop
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('cn-import-dragover');
+        });
+        dropzone.addEventListener('dragleave', () => {
+            dropzone.classList.remove('cn-import-dragover');
+        });
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('cn-import-dragover');
+            const file = e.dataTransfer?.files?.[0];
+            if (file) accept(file);
+        });
+    });
+}
@@ -48,7 +48,7 @@ function resolveImagePath(filename, characterName) {
 /**
  * Create HTML for an image element.
  * No inline onclick — uses event delegation via setupImageClickDelegation().
- * IMPORTANT: Must be single-line to survive markdown renderer's line-by-line processing.
+ * IMPORTANT: Must be single-line so the markdown stage takes it as one HTML block.
  * @param {string} src - Image source URL
  * @param {string} alt - Alt text
  * @returns {string} HTML string
@@ -0,0 +1,47 @@
+/**
+ * Chat Novel — Live Sync
+ * Works out how a rendered chapter has to change when the chat it shows changes,
+ * so live follow can patch the content instead of rendering it again.
+ */
+
+import { messageKey } from './renderCache.js';
+
+/**
+ * @typedef {Object} ChapterSyncPlan
+ * @property {Array} rerender - Messages already shown whose rendering changed
+ * @property {Array} append - Messages added to the end of the chapter
+ * @property {Array} remove - Old messages no longer in the chapter
+ */
+
+/**
+ * Plan the update of a rendered chapter whose message indices still line up
+ * with the new one (the reader checks that before asking).
+ * @param {Object} old - Chapter as rendered
+ * @param {Object} chapter - Same chapter from the new chat data
+ * @param {Object} renderOptions - From buildRenderOptions()
+ * @returns {ChapterSyncPlan}
+ */
+export function planChapterSync(old, chapter, renderOptions) {
+    const shared = Math.min(old.messages.length, chapter.messages.length);
+    return {
+        rerender: chapter.messages.slice(0, shared)
+            .filter((msg, j) => messageSignature(msg, renderOptions) !== messageSignature(old.messages[j], renderOptions)),
+        append: chapter.messages.slice(shared),
+        remove: old.messages.slice(shared),
+    };
+}
+
+/**
+ * Summarize what a message's rendered block depends on, to tell whether a
+ * live update changed it.
+ * @param {Object} msg - Parsed message
+ * @param {Object} renderOptions
+ * @returns {string}
+ */
+function messageSignature(msg, renderOptions) {
+    // The body's cache key covers its text, swipe, images and variable snapshot, and
+    // the depth it renders differently at: every new message pushes the older ones a
+    // level deeper (in and out of depth-limited scripts) and takes the last place
+    // (and its current-variables note) from the one before
+    return JSON.stringify([msg.name, msg.swipes?.length, messageKey(msg, renderOptions)]);
+}
@@ -0,0 +1,258 @@
+/**
+ * Chat Novel — Macros
+ * Substitutes SillyTavern macros ({{user}}, {{random}}, {{getvar}}, {{time}}…)
+ * in message text and regex output. Done here rather than through ST's
+ * substituteParams(): it has to run in the render worker, give the same result
+ * on every render (the render cache relies on it) and never write chat variables.
+ */
+
+import { hashString } from './utils.js';
+
+/**
+ * @typedef {Object} MacroContext
+ * What macros read besides the names and the message — plain data, safe to post to a worker.
+ * @property {string} seed - Seeds {{random}} / {{pick}} / {{roll}} (the chat ID)
+ * @property {string} persona - User persona description
+ * @property {string} description - Character card fields
+ * @property {string} personality
+ * @property {string} scenario
+ * @property {Object} localVariables - Chat variables as they are now ({{getvar}})
+ * @property {Object} globalVariables - Global variables ({{getglobalvar}})
+ */
+
+/** Most dice a {{roll}} throws */
+const MAX_DICE = 1000;
+
+/**
+ * Gather the macro context of a chat from ST.
+ * Card fields come from the character whose avatar matches the key, or else by name.
+ * @param {Object} opts
+ * @param {string} opts.seed - Stable per chat (the chat ID)
+ * @param {Object} [opts.chatMetadata] - chat_metadata of the chat (holds its variables)
+ * @param {string} [opts.characterKey]
+ * @param {string} [opts.characterName]
+ * @returns {MacroContext}
+ */
+export function getMacroContext({ seed, chatMetadata, characterKey, characterName }) {
+    const context = SillyTavern.getContext();
+    const characters = context.characters || [];
+    const character = characters.find(c => c.avatar && c.avatar.replace(/\.png$/i, '') === characterKey)
+        || characters.find(c => c.name === characterName);
+    const card = field => character?.[field] || character?.data?.[field] || '';
+
+    // Plain copies — chat metadata and settings may be Proxies
+    return JSON.parse(JSON.stringify({
+        seed: seed || '',
+        persona: context.powerUserSettings?.persona_description || '',
+        description: card('description'),
+        personality: card('personality'),
+        scenario: card('scenario'),
+        localVariables: chatMetadata?.variables || {},
+        globalVariables: context.extensionSettings?.variables?.global || {},
+    }));
+}
+
+/**
+ * Substitute macros in a string, in ST's order: variables, {{newline}} / {{trim}},
+ * names and card fields, {{reverse}}, comments, date and time, then random rolls.
+ * Unknown macros are left as they are, like ST does.
+ *
+ * {{random}}, {{pick}} and {{roll}} are seeded by the chat, the text and the
+ * macro's position, so a message renders the same every time. Date and time
+ * macros use the message's send date (the time of rendering if it has none).
+ * Chat variables are read as of the message when it has them (see
+ * getStoredVariables in parser.js), falling back to their current values.
+ * {{setvar}} and friends only change a copy for the rest of the string.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.userName]
+ * @param {string} [options.characterName]
+ * @param {MacroContext} [options.macros]
+ * @param {number} [options.date] - Send date of the message (ms)
+ * @param {Object} [options.variables] - Chat variables as of the message
+ * @param {Function} [options.onCurrentVariable] - Callback(name) when {{getvar}} shows
+ *   a current value because the message has none stored for it
+ * @param {Function} [transform] - Applied to each substituted value (e.g. regex escaping)
+ * @returns {string}
+ */
+export function substituteMacros(text, options = {}, transform = value => value) {
+    if (!text || !text.includes('{{')) return text;
+
+    const ctx = options.macros || {};
+    const put = value => transform(String(value ?? ''));
+    const random = seededRandom(`${ctx.seed || ''}\u0000${hashString(text)}`);
+
+    // 1. Variables
+    text = substituteVariableMacros(text, 'var', {
+        vars: { ...ctx.localVariables, ...options.variables },
+        stored: new Set(Object.keys(options.variables || {})),
+        onCurrent: options.onCurrentVariable,
+    }, put);
+    text = substituteVariableMacros(text, 'globalvar', { vars: { ...ctx.globalVariables } }, put);
+
+    // 2. Layout
+    text = text
+        .replace(/\{\{newline\}\}/gi, () => put('\n'))
+        .replace(/(?:\r?\n)*\{\{trim\}\}(?:\r?\n)*/gi, '')
+        .replace(/\{\{noop\}\}/gi, '');
+
+    // 3. Names and card fields (names left alone when unknown)
+    const values = {
+        user: options.userName,
+        char: options.characterName,
+        group: options.characterName,
+        persona: ctx.persona,
+        description: ctx.description,
+        personality: ctx.personality,
+        scenario: ctx.scenario,
+    };
+    text = text.replace(/\{\{(user|char|group|persona|description|personality|scenario)\}\}/gi, (match, name) => {
+        const value = values[name.toLowerCase()];
+        return value == null ? match : put(value);
+    });
+
+    // 4. Text
+    text = text
+        .replace(/\{\{reverse:(.+?)\}\}/gi, (_, str) => put([...str].reverse().join('')))
+        .replace(/\{\{\/\/[\s\S]*?\}\}/g, '');
+
+    // 5. Date and time
+    const date = new Date(options.date || Date.now());
+    text = text
+        .replace(/\{\{time\}\}/gi, () => put(date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })))
+        .replace(/\{\{date\}\}/gi, () => put(date.toLocaleDateString(undefined, { dateStyle: 'long' })))
+        .replace(/\{\{weekday\}\}/gi, () => put(date.toLocaleDateString(undefined, { weekday: 'long' })))
+        .replace(/\{\{isotime\}\}/gi, () => put(`${pad(date.getHours())}:${pad(date.getMinutes())}`))
+        .replace(/\{\{isodate\}\}/gi, () => put(`${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`))
+        .replace(/\{\{time_UTC([-+]\d+)\}\}/gi, (_, offset) => {
+            const shifted = new Date(date.getTime() + Number(offset) * 3600000);
+            return put(shifted.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' }));
+        });
+
+    // 6. Random rolls
+    text = text
+        .replace(/\{\{random\s?::?([^}]+)\}\}/gi, (_, list, offset) =>
+            put(pickItem(list, random(`random${offset}`))))
+        .replace(/\{\{pick\s?::?([^}]+)\}\}/gi, (_, list, offset) =>
+            put(pickItem(list, random(`pick${offset}`))))
+        .replace(/\{\{roll[ :]([^}]+)\}\}/gi, (_, formula, offset) =>
+            put(rollDice(formula, i => random(`roll${offset}:${i}`))));
+
+    return text;
+}
+
+/**
+ * Substitute one scope's variable macros ({{setvar}}, {{addvar}}, {{incvar}},
+ * {{decvar}}, {{getvar}} or their global forms), in ST's order.
+ * @param {string} text
+ * @param {'var'|'globalvar'} suffix
+ * @param {Object} scope
+ * @param {Object} scope.vars - Working copy of the scope's variables
+ * @param {Set<string>} [scope.stored] - Names whose value is as of the message;
+ *   reading any other reports it through onCurrent
+ * @param {Function} [scope.onCurrent] - Callback(name)
+ * @param {Function} put - Formats a substituted value
+ * @returns {string}
+ */
+function substituteVariableMacros(text, suffix, scope, put) {
+    const { vars, stored } = scope;
+    const macro = (name, args) => new RegExp(`\\{\\{${name}${suffix}::${args}\\}\\}`, 'gi');
+    const write = (name, value) => {
+        vars[name] = value;
+        stored?.add(name);
+        return value;
+    };
+    return text
+        .replace(macro('set', '([^:]+?)::([^}]*?)'), (_, name, value) => {
+            write(name.trim(), value);
+            return '';
+        })
+        .replace(macro('add', '([^:]+?)::([^}]*?)'), (_, name, value) => {
+            write(name.trim(), addToVariable(vars[name.trim()], value));
+            return '';
+        })
+        .replace(macro('inc', '([^}]+?)'), (_, name) => put(write(name.trim(), (Number(vars[name.trim()]) || 0) + 1)))
+        .replace(macro('dec', '([^}]+?)'), (_, name) => put(write(name.trim(), (Number(vars[name.trim()]) || 0) - 1)))
+        .replace(macro('get', '([^}]+?)'), (_, name) => {
+            name = name.trim();
+            if (stored && !stored.has(name) && vars[name] !== undefined) scope.onCurrent?.(name);
+            return put(formatVariable(vars[name]));
+        });
+}
+
+/**
+ * ST's {{addvar}}: appends to a list, adds numbers, concatenates anything else.
+ * @param {*} current
+ * @param {string} value
+ * @returns {*}
+ */
+function addToVariable(current, value) {
+    if (Array.isArray(current)) return [...current, value];
+    const sum = Number(current ?? 0) + Number(value);
+    return isNaN(sum) ? `${current ?? ''}${value}` : sum;
+}
+
+/**
+ * Show a variable's value the way {{getvar}} does.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatVariable(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Pick one item of a {{random}} / {{pick}} list — "::"-separated, or
+ * comma-separated in the old form (with "\," for a literal comma).
+ * @param {string} list
+ * @param {number} roll - In [0, 1)
+ * @returns {string}
+ */
+function pickItem(list, roll) {
+    const items = list.includes('::')
+        ? list.split('::')
+        : list.replace(/\\,/g, '\u0000').split(',').map(item => item.trim().replace(/\u0000/g, ','));
+    return items[Math.floor(roll * items.length)] ?? '';
+}
+
+/**
+ * Roll a dice formula like "2d6+1" (a plain number means one die with that many sides).
+ * @param {string} formula
+ * @param {Function} random - (die index) => number in [0, 1)
+ * @returns {string} The total, or '' for a formula that can't be rolled
+ */
+function rollDice(formula, random) {
+    formula = formula.trim();
+    if (/^\d+$/.test(formula)) formula = `1d${formula}`;
+
+    const match = formula.match(/^(\d*)d(\d+)\s*([-+]\s*\d+)?$/i);
+    if (!match) return '';
+    const count = Number(match[1] || 1);
+    const sides = Number(match[2]);
+    if (count < 1 || count > MAX_DICE || sides < 1) return '';
+
+    let total = Number((match[3] || '0').replace(/\s/g, ''));
+    for (let i = 0; i < count; i++) {
+        total += Math.floor(random(i) * sides) + 1;
+    }
+    return String(total);
+}
+
+/**
+ * Make a random source that always gives the same number for the same key.
+ * @param {string} seed
+ * @returns {Function} (key) => number in [0, 1)
+ */
+function seededRandom(seed) {
+    return key => (parseInt(hashString(`${seed}\u0000${key}`), 36) % 4294967296) / 4294967296;
+}
+
+/**
+ * Pad a number to two digits.
+ * @param {number} n
+ * @returns {string}
+ */
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
@@ -0,0 +1,981 @@
+/**
+ * Chat Novel — Markdown
+ * CommonMark block and inline parser, set up like ST's Showdown converter:
+ * single newlines are line breaks, __text__ underlines, underscores inside words
+ * stay literal, :emoji: shortcodes and "..." ellipses are converted, and GFM tables
+ * and ~~strikethrough~~ are on. Block-level HTML from regex scripts passes
+ * through untouched, as Showdown leaves it.
+ */
+
+import { escapeHtml } from './utils.js';
+import { EMOJI } from './emoji.js';
+
+/** Tags that make a line starting with them an HTML block (no markdown inside) */
+const HTML_BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'audio', 'blockquote', 'canvas', 'center', 'dd', 'details', 'dialog',
+    'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5',
+    'h6', 'header', 'hgroup', 'hr', 'iframe', 'li', 'main', 'math', 'nav', 'noscript', 'ol', 'p', 'pre',
+    'script', 'section', 'style', 'summary', 'svg', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+    'ul', 'video',
+]);
+
+/** Container tags counted to find where a multi-line HTML block ends — blank lines don't end it */
+const HTML_CONTAINER_RE = /<(\/?)(div|details|section|article|aside|nav|header|footer|form|fieldset|figure|main|iframe|pre|dl|blockquote|ul|ol|center)\b[^>]*?(\/?)>/gi;
+
+/** Blocks protected anywhere in the text, even mid-line (they may hold markdown-like characters) */
+const PROTECTED_HTML_RE = /<(style|script|svg|table)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+const FENCE_RE = /^(`{3,})([^`]*)$|^(~{3,})(.*)$/;
+/** Showdown doesn't need a space after the #s (#hashtag is a heading) */
+const ATX_RE = /^(#{1,6})(?:[ \t]*([^#\s].*?)(?:[ \t]*#+)?)?[ \t]*$/;
+const HR_RE = /^(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const SETEXT_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+const TABLE_DELIMITER_RE = /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?$/;
+const HTML_BLOCK_START_RE = /^<(?:\/?([a-zA-Z][\w-]*)(?=[\s/>]|$)|!--)/;
+const LINK_DEFINITION_RE = /^ {0,3}\[((?:[^\]\\]|\\.)+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+("[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*(?:\n|$)/;
+
+/** Lines that are a placeholder token alone: protected HTML or an iframe (see renderer.js) */
+const TOKEN_LINE_RE = /^(?:\x00HTMLBLOCK\d+\x00|%%%CN_IFRAME_\d+%%%)[ \t]*$/;
+
+const INLINE_LINK_RE = /^\(\s*(<[^<>\n]*>|[^\s()<>]*(?:\([^\s()]*\)[^\s()<>]*)*)(?:\s+=(\d+(?:px|%)?|\*)x(\d+(?:px|%)?|\*))?(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?\s*\)/;
+const HTML_TAG_RE = /^(?:<[a-zA-Z][a-zA-Z0-9-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>|<\/[a-zA-Z][a-zA-Z0-9-]*\s*>|<!--[\s\S]*?-->)/;
+const AUTOLINK_RE = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/;
+const EMAIL_AUTOLINK_RE = /^<([^\s@<>\\]+@[^\s@<>\\]+\.[^\s@<>\\]+)>/;
+const ENTITY_RE = /^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/;
+const PLAIN_TEXT_RE = /^[^\\`\x00%<>&*_~!\[\]\n:]+/;
+const EMOJI_RE = /^:(\S+?):/;
+const OPEN_TAG_RE = /^<([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*?(\/?)>$/;
+const ASCII_PUNCTUATION_RE = /[!-/:-@[-`{-~]/;
+const PUNCTUATION_RE = /[\p{P}\p{S}]/u;
+
+/** Emphasis tags per delimiter character and run length used */
+const EMPHASIS_TAGS = {
+    '*': { 1: ['<em>', '</em>'], 2: ['<strong>', '</strong>'] },
+    '_': { 1: ['<em>', '</em>'], 2: ['<u>', '</u>'], 3: ['<u>', '</u>'] },
+    '~': { 2: ['<del>', '</del>'] },
+};
+
+/**
+ * Render markdown to HTML.
+ * Placeholder tokens (\x00HTMLBLOCKn\x00, %%%CN_IFRAME_n%%%) pass through as they are.
+ * @param {string} text
+ * @returns {string}
+ */
+export function renderMarkdown(text) {
+    if (!text) return '';
+
+    const { text: masked, blocks } = protectHtmlBlocks(text);
+    const lines = masked.replace(/\r\n?/g, '\n').split('\n').map(expandIndentTabs);
+    const refs = new Map();
+    const html = renderBlocks(parseBlocks(lines, refs), refs);
+
+    // Restore protected HTML (function callback avoids $ special-char interpretation)
+    return html.replace(/\x00HTMLBLOCK(\d+)\x00/g, (match, i) => blocks[Number(i)] ?? match);
+}
+
+// ===== Protection =====
+
+/**
+ * Swap <style>, <script>, <svg> and <table> elements for placeholder tokens,
+ * leaving the ones written inside code alone.
+ * @param {string} text
+ * @returns {{text: string, blocks: string[]}}
+ */
+function protectHtmlBlocks(text) {
+    const code = [];
+    const mask = match => {
+        code.push(match);
+        return `\x01${code.length - 1}\x01`;
+    };
+    const unmask = str => str.replace(/\x01(\d+)\x01/g, (match, i) => code[Number(i)]);
+
+    const masked = text
+        .replace(/(`{3,}|~{3,})[\s\S]*?(?:\1|$)/g, mask)
+        .replace(/`[^`\n]+`/g, mask);
+
+    const blocks = [];
+    const protectedText = masked.replace(PROTECTED_HTML_RE, (match) => {
+        blocks.push(unmask(match));
+        return `\x00HTMLBLOCK${blocks.length - 1}\x00`;
+    });
+    return { text: unmask(protectedText), blocks };
+}
+
+// ===== Blocks =====
+
+/**
+ * Expand tabs in a line's indentation to 4-column tab stops.
+ * @param {string} line
+ * @returns {string}
+ */
+function expandIndentTabs(line) {
+    if (!line.includes('\t')) return line;
+    return line.replace(/^[ \t]+/, (ws) => {
+        let out = '';
+        for (const ch of ws) out += ch === '\t' ? ' '.repeat(4 - (out.length % 4)) : ch;
+        return out;
+    });
+}
+
+/**
+ * @param {string} line
+ * @returns {number} Leading spaces
+ */
+function indentOf(line) {
+    return line.length - line.trimStart().length;
+}
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isBlank(line) {
+    return !line || /^[ \t]*$/.test(line);
+}
+
+/**
+ * Read a list marker ("- ", "* ", "+ ", "1. ", "1) ") at the start of a line.
+ * @param {string} rest - Line without its indentation
+ * @returns {{ordered: boolean, char: string, start: number, width: number, spaces: number, empty: boolean}|null}
+ *   width = marker length, spaces = spaces after it
+ */
+function listMarker(rest) {
+    const m = rest.match(/^([*+-])( *)(.?)/) || rest.match(/^(\d{1,9})([.)])( *)(.?)/);
+    if (!m) return null;
+
+    const ordered = /\d/.test(m[1]);
+    const spaces = ordered ? m[3] : m[2];
+    const next = ordered ? m[4] : m[3];
+    if (next && !spaces) return null; // "-foo" / "1.foo" aren't items
+
+    return {
+        ordered,
+        char: ordered ? m[2] : m[1],
+        start: ordered ? Number(m[1]) : 1,
+        width: ordered ? m[1].length + 1 : 1,
+        spaces: spaces.length,
+        empty: !next,
+    };
+}
+
+/**
+ * Whether a line starts an HTML block.
+ * @param {string} rest - Line without its indentation
+ * @returns {boolean}
+ */
+function isHtmlBlockStart(rest) {
+    const m = rest.match(HTML_BLOCK_START_RE);
+    return !!m && (!m[1] || HTML_BLOCK_TAGS.has(m[1].toLowerCase()));
+}
+
+/**
+ * Whether a line ends the paragraph before it by starting another block.
+ * @param {string} line
+ * @returns {boolean}
+ */
+function interruptsParagraph(line) {
+    if (indentOf(line) >= 4) return false;
+    const rest = line.trimStart();
+    if (FENCE_RE.test(rest) || ATX_RE.test(rest) || HR_RE.test(rest) || TOKEN_LINE_RE.test(rest)) return true;
+    if (rest.startsWith('>') || isHtmlBlockStart(rest)) return true;
+    // Only non-empty items interrupt, and ordered ones must start at 1
+    const marker = listMarker(rest);
+    return !!marker && !marker.empty && (!marker.ordered || marker.start === 1);
+}
+
+/**
+ * Parse lines into block nodes.
+ * @param {string[]} lines
+ * @param {Map<string, Object>} refs - Collects link reference definitions
+ * @returns {Object[]}
+ */
+function parseBlocks(lines, refs) {
+    const blocks = [];
+    let blankBefore = false;
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (isBlank(line)) {
+            blankBefore = true;
+            i++;
+            continue;
+        }
+
+        const start = blocks.length;
+        const indent = indentOf(line);
+        const rest = line.slice(indent);
+        let m;
+
+        if (indent >= 4) {
+            i = parseIndentedCode(lines, i, blocks);
+        } else if ((m = rest.match(FENCE_RE))) {
+            i = parseFencedCode(lines, i, indent, m, blocks);
+        } else if ((m = rest.match(ATX_RE))) {
+            blocks.push({ type: 'heading', level: m[1].length, text: m[2] || '' });
+            i++;
+        } else if (HR_RE.test(rest)) {
+            blocks.push({ type: 'hr' });
+            i++;
+        } else if (TOKEN_LINE_RE.test(rest)) {
+            blocks.push({ type: 'html', html: rest.trim() });
+            i++;
+        } else if (rest.startsWith('>')) {
+            i = parseBlockquote(lines, i, blocks, refs);
+        } else if (isHtmlBlockStart(rest)) {
+            i = parseHtmlBlock(lines, i, blocks);
+        } else if (listMarker(rest)) {
+            i = parseList(lines, i, blocks, refs);
+        } else if (isTableStart(lines, i)) {
+            i = parseTable(lines, i, blocks);
+        } else {
+            i = parseParagraph(lines, i, blocks, refs);
+        }
+
+        if (blocks.length > start) blocks[start].blankBefore = blankBefore && start > 0;
+        blankBefore = false;
+    }
+    return blocks;
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} i
+ * @param {Object[]} blocks
+ * @returns {number} Next line
+ */
+function parseIndentedCode(lines, i, blocks) {
+    const code = [];
+    while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+        code.push(lines[i].slice(Math.min(4, indentOf(lines[i]))));
+        i++;
+    }
+    while (code.length && isBlank(code[code.length - 1])) code.pop();
+    blocks.push({ type: 'code', text: code.join('\n') });
+    return i;
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} i
+ * @param {number} indent - Indentation of the opening fence
+ * @param {Array} m - FENCE_RE match
+ * @param {Object[]} blocks
+ * @returns {number} Next line
+ */
+function parseFencedCode(lines, i, indent, m, blocks) {
+    const fence = m[1] || m[3];
+    const info = (m[2] ?? m[4] ?? '').trim().split(/\s+/)[0];
+    const closeRe = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+    const code = [];
+
+    i++;
+    while (i < lines.length && !closeRe.test(lines[i])) {
+        code.push(lines[i].slice(Math.min(indent, indentOf(lines[i]))));
+        i++;
+    }
+    blocks.push({ type: 'code', lang: info, text: code.join('\n') });
+    return i + 1;
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} i
+ * @param {Object[]} blocks
+ * @param {Map<string, Object>} refs
+ * @returns {number} Next line
+ */
+function parseBlockquote(lines, i, blocks, refs) {
+    const inner = [];
+    while (i < lines.length) {
+        const line = lines[i];
+        const m = line.match(/^ {0,3}> ?(.*)$/);
+        if (m) {
+            inner.push(m[1]);
+        } else if (!isBlank(line) && inner.length && !isBlank(inner[inner.length - 1]) && !interruptsParagraph(line)) {
+            // Lazy continuation of a paragraph in the quote
+            inner.push(line);
+        } else {
+            break;
+        }
+        i++;
+    }
+    blocks.push({ type: 'quote', children: parseBlocks(inner, refs) });
+    return i;
+}
+
+/**
+ * An HTML block runs until its container tags are balanced, across blank lines
+ * (like Showdown, unlike CommonMark) so regex-made panels stay whole.
+ * @param {string[]} lines
+ * @param {number} i
+ * @param {Object[]} blocks
+ * @returns {number} Next line
+ */
+function parseHtmlBlock(lines, i, blocks) {
+    const html = [];
+
+    if (lines[i].trimStart().startsWith('<!--')) {
+        while (i < lines.length) {
+            html.push(lines[i]);
+            if (lines[i++].includes('-->')) break;
+        }
+    } else {
+        let depth = 0;
+        do {
+            html.push(lines[i]);
+            depth += containerDepthChange(lines[i]);
+            i++;
+        } while (i < lines.length && depth > 0);
+    }
+
+    blocks.push({ type: 'html', html: html.join('\n') });
+    return i;
+}
+
+/**
+ * @param {string} line
+ * @returns {number} Container tags opened minus closed on the line
+ */
+function containerDepthChange(line) {
+    let change = 0;
+    for (const m of line.matchAll(HTML_CONTAINER_RE)) {
+        if (m[1]) change--;
+        else if (!m[3]) change++;
+    }
+    return change;
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} i
+ * @param {Object[]} blocks
+ * @param {Map<string, Object>} refs
+ * @returns {number} Next line
+ */
+function parseList(lines, i, blocks, refs) {
+    const first = listMarker(lines[i].trimStart());
+    const list = { type: 'list', ordered: first.ordered, start: first.start, loose: false, items: [] };
+
+    while (i < lines.length) {
+        const indent = indentOf(lines[i]);
+        const marker = indent < 4 ? listMarker(lines[i].slice(indent)) : null;
+        if (!marker || marker.ordered !== first.ordered || marker.char !== first.char
+            || HR_RE.test(lines[i].slice(indent))) break;
+
+        const item = collectListItem(lines, i, indent, marker);
+        const children = parseBlocks(item.lines, refs);
+        if (children.some(child => child.blankBefore)) list.loose = true;
+        list.items.push(children);
+        i = item.next;
+
+        // Blank lines before another item of this list make it loose
+        let next = i;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        if (next === i || next === lines.length) continue;
+        const nextIndent = indentOf(lines[next]);
+        const nextMarker = nextIndent < 4 ? listMarker(lines[next].slice(nextIndent)) : null;
+        if (!nextMarker || nextMarker.ordered !== first.ordered || nextMarker.char !== first.char) break;
+        list.loose = true;
+        i = next;
+    }
+
+    blocks.push(list);
+    return i;
+}
+
+/**
+ * Collect the lines of one list item, without its indentation.
+ * @param {string[]} lines
+ * @param {number} i - Line with the marker
+ * @param {number} indent - Indentation of the marker
+ * @param {Object} marker - From listMarker()
+ * @returns {{lines: string[], next: number}} next = line after the item (trailing blank lines excluded)
+ */
+function collectListItem(lines, i, indent, marker) {
+    // Content starts after the marker and 1–4 spaces; with 5+ it's indented code after one space
+    const padding = marker.empty || marker.spaces > 4 ? 1 : marker.spaces;
+    const width = indent + marker.width + padding;
+    const item = [marker.empty ? '' : lines[i].slice(width)];
+    i++;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (isBlank(line)) {
+            // An item can start with at most one blank line
+            if (item.length === 1 && item[0] === '') break;
+            item.push('');
+        } else if (indentOf(line) >= width) {
+            item.push(line.slice(width));
+        } else if (!isBlank(item[item.length - 1]) && !interruptsParagraph(line)
+            && !listMarker(line.trimStart())) {
+            // Lazy continuation of the item's paragraph
+            item.push(line.trimStart());
+        } else {
+            break;
+        }
+        i++;
+    }
+
+    let trailing = 0;
+    while (item.length > 1 && item[item.length - 1] === '') {
+        item.pop();
+        trailing++;
+    }
+    return { lines: item, next: i - trailing };
+}
+
+/**
+ * Split a table row into cell sources.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+    for (let i = 0; i < row.length; i++) {
+        const ch = row[i];
+        if (ch === '\\' && row[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (ch === '`') {
+            inCode = !inCode;
+            cell += ch;
+        } else if (ch === '|' && !inCode) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Whether a GFM table (header row + delimiter row) starts at a line.
+ * @param {string[]} lines
+ * @param {number} i
+ * @returns {boolean}
+ */
+function isTableStart(lines, i) {
+    const header = lines[i];
+    const delimiter = lines[i + 1];
+    if (!header.includes('|') || delimiter === undefined || indentOf(delimiter) >= 4) return false;
+    if (!TABLE_DELIMITER_RE.test(delimiter.trim())) return false;
+    // Showdown wants at least two dashes in the first two columns
+    const cells = splitTableRow(delimiter);
+    if (!cells.slice(0, 2).every(cell => /-{2,}/.test(cell))) return false;
+    return splitTableRow(header).length === cells.length;
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} i
+ * @param {Object[]} blocks
+ * @returns {number} Next line
+ */
+function parseTable(lines, i, blocks) {
+    const head = splitTableRow(lines[i]);
+    const align = splitTableRow(lines[i + 1]).map((cell) => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return '';
+    });
+
+    const rows = [];
+    i += 2;
+    while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(head.map((_, col) => cells[col] ?? ''));
+        i++;
+    }
+
+    blocks.push({ type: 'table', head, align, rows });
+    return i;
+}
+
+/**
+ * A paragraph, or a setext heading when underlined with = or -.
+ * Link reference definitions at its start are collected into refs.
+ * @param {string[]} lines
+ * @param {number} i
+ * @param {Object[]} blocks
+ * @param {Map<string, Object>} refs
+ * @returns {number} Next line
+ */
+function parseParagraph(lines, i, blocks, refs) {
+    const para = [lines[i].trim()];
+    let heading = 0;
+    i++;
+
+    while (i < lines.length && !isBlank(lines[i])) {
+        const setext = lines[i].match(SETEXT_RE);
+        if (setext) {
+            heading = setext[1][0] === '=' ? 1 : 2;
+            i++;
+            break;
+        }
+        if (interruptsParagraph(lines[i])) break;
+        para.push(lines[i].trim());
+        i++;
+    }
+
+    let text = para.join('\n');
+    let m;
+    while ((m = text.match(LINK_DEFINITION_RE))) {
+        const label = normalizeLabel(m[1]);
+        if (!refs.has(label)) refs.set(label, { href: m[2], title: m[3] ? m[3].slice(1, -1) : '' });
+        text = text.slice(m[0].length);
+    }
+
+    if (heading && text) {
+        blocks.push({ type: 'heading', level: heading, text });
+    } else if (text) {
+        blocks.push({ type: 'paragraph', text });
+    } else if (heading === 2) {
+        // Only definitions above a "---" — it's a thematic break then
+        blocks.push({ type: 'hr' });
+    }
+    return i;
+}
+
+/**
+ * @param {string} label
+ * @returns {string} Key for refs
+ */
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Render block nodes to HTML.
+ * @param {Object[]} blocks
+ * @param {Map<string, Object>} refs
+ * @param {boolean} [tight] - In a tight list: paragraphs without <p>
+ * @returns {string}
+ */
+function renderBlocks(blocks, refs, tight = false) {
+    return blocks.map((block) => {
+        switch (block.type) {
+            case 'paragraph': {
+                const html = renderInline(block.text, refs);
+                return tight ? html : `<p class="cn-paragraph">${html}</p>`;
+            }
+            case 'heading':
+                return `<h${block.level} class="cn-heading">${renderInline(block.text, refs)}</h${block.level}>`;
+            case 'hr':
+                return '<hr class="cn-hr" />';
+            case 'code': {
+                const lang = block.lang ? ` class="language-${escapeHtml(block.lang)}"` : '';
+                // Showdown ends code with a newline
+                return `<pre class="cn-code-block"><code${lang}>${escapeHtml(block.text)}\n</code></pre>`;
+            }
+            case 'html':
+                return block.html;
+            case 'quote':
+                return `<blockquote class="cn-blockquote">${renderBlocks(block.children, refs)}</blockquote>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const items = block.items.map(children =>
+                    `<li class="cn-list-item">${renderBlocks(children, refs, !block.loose)}</li>`);
+                return `<${tag} class="cn-list"${start}>\n${items.join('\n')}\n</${tag}>`;
+            }
+            case 'table':
+                return renderTable(block, refs);
+            default:
+                return '';
+        }
+    }).join('\n');
+}
+
+/**
+ * @param {Object} table - Table block
+ * @param {Map<string, Object>} refs
+ * @returns {string}
+ */
+function renderTable(table, refs) {
+    const cell = (tag, text, col) => {
+        const style = table.align[col] ? ` style="text-align:${table.align[col]};"` : '';
+        return `<${tag}${style}>${renderInline(text, refs)}</${tag}>`;
+    };
+    const head = `<thead>\n<tr>${table.head.map((text, col) => cell('th', text, col)).join('')}</tr>\n</thead>`;
+    const body = table.rows.length
+        ? `\n<tbody>\n${table.rows.map(row => `<tr>${row.map((text, col) => cell('td', text, col)).join('')}</tr>`).join('\n')}\n</tbody>`
+        : '';
+    return `<table class="cn-table">\n${head}${body}\n</table>`;
+}
+
+// ===== Inline =====
+
+/**
+ * Render the inline content of a block.
+ * @param {string} text
+ * @param {Map<string, Object>} refs
+ * @returns {string}
+ */
+function renderInline(text, refs) {
+    return serializeInline(parseInline(text.trim(), refs));
+}
+
+/**
+ * Parse inline markdown into nodes:
+ *   { t: 'html', v } — output as is
+ *   { t: 'delim', ch, n, orig, open, close } — emphasis delimiter run (n left)
+ *   { t: 'bracket', v, image, active, pos } — "[" or "![" not (yet) part of a link
+ *   { t: 'el', open, close, children } — emphasis or link
+ * @param {string} s
+ * @param {Map<string, Object>} refs
+ * @returns {Object[]}
+ */
+function parseInline(s, refs) {
+    const nodes = [];
+    const brackets = [];
+    const html = v => nodes.push({ t: 'html', v });
+    let pos = 0;
+    let emojiSkip = 0;
+
+    while (pos < s.length) {
+        const ch = s[pos];
+        const after = s.slice(pos);
+        let m;
+
+        if (ch === '\\') {
+            const next = s[pos + 1];
+            if (next === '\n') {
+                html('<br />\n');
+                pos += 2;
+            } else if (next && ASCII_PUNCTUATION_RE.test(next)) {
+                html(escapeText(next));
+                pos += 2;
+            } else {
+                html('\\');
+                pos++;
+            }
+        } else if (ch === '`') {
+            pos = parseCodeSpan(s, pos, html);
+        } else if (ch === '\x00' && (m = after.match(/^\x00HTMLBLOCK\d+\x00/))) {
+            html(m[0]);
+            pos += m[0].length;
+        } else if (ch === '%' && (m = after.match(/^%%%CN_IFRAME_\d+%%%/))) {
+            html(m[0]);
+            pos += m[0].length;
+        } else if (ch === '<') {
+            if ((m = after.match(AUTOLINK_RE)) || (m = after.match(EMAIL_AUTOLINK_RE))) {
+                const href = m[1].includes('@') && !m[1].includes(':') ? `mailto:${m[1]}` : m[1];
+                html(`<a href="${escapeHtml(safeUrl(href))}" target="_blank" rel="noopener">${escapeHtml(m[1])}</a>`);
+            } else if ((m = after.match(HTML_TAG_RE))) {
+                html(m[0]);
+            } else {
+                m = ['<'];
+                html('&lt;');
+            }
+            pos += m[0].length;
+        } else if (ch === '>') {
+            html('&gt;');
+            pos++;
+        } else if (ch === '&') {
+            m = after.match(ENTITY_RE);
+            html(m ? m[0] : '&amp;');
+            pos += m ? m[0].length : 1;
+        } else if (ch === '*' || ch === '_' || ch === '~') {
+            pos = pushDelimiterRun(s, pos, nodes);
+        } else if (ch === '!' && s[pos + 1] === '[') {
+            const node = { t: 'bracket', v: '![', image: true, active: true, pos };
+            nodes.push(node);
+            brackets.push(node);
+            pos += 2;
+        } else if (ch === '[') {
+            const node = { t: 'bracket', v: '[', image: false, active: true, pos };
+            nodes.push(node);
+            brackets.push(node);
+            pos++;
+        } else if (ch === ']') {
+            pos = closeBracket(s, pos, nodes, brackets, refs);
+        } else if (ch === '\n') {
+            // simpleLineBreaks: every newline in a paragraph is a line break
+            nodes.push({ t: 'html', v: '<br />\n', br: true });
+            pos++;
+            while (s[pos] === ' ') pos++;
+        } else if (ch === ':' && pos >= emojiSkip && (m = after.match(EMOJI_RE))) {
+            if (Object.hasOwn(EMOJI, m[1])) {
+                html(EMOJI[m[1]]);
+                pos += m[0].length;
+            } else {
+                // Like Showdown's scan, no shortcode starts inside one that wasn't an emoji
+                html(':');
+                emojiSkip = pos + m[0].length;
+                pos++;
+            }
+        } else {
+            m = after.match(PLAIN_TEXT_RE);
+            let run = m ? m[0] : ch;
+            pos += run.length;
+            // Spaces before a line break are dropped
+            if (s[pos] === '\n') run = run.replace(/ +$/, '');
+            html(run.replace(/\.\.\./g, '…'));
+        }
+    }
+
+    processEmphasis(nodes);
+    keepNewlinesInElements(nodes);
+    return nodes;
+}
+
+/**
+ * Turn the line breaks inside emphasis, links and inline HTML elements back into
+ * plain newlines: Showdown sets whole elements aside before it makes line breaks.
+ * @param {Object[]} nodes
+ * @param {boolean} [inside] - The nodes are inside an element
+ */
+function keepNewlinesInElements(nodes, inside = false) {
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if (node.t === 'el') {
+            keepNewlinesInElements(node.children, true);
+        } else if (node.br && inside) {
+            node.v = '\n';
+        } else if (!inside && node.t === 'html') {
+            // An HTML tag up to the first closing tag of the same name
+            const m = node.v.match(OPEN_TAG_RE);
+            if (!m || m[2]) continue;
+            const closeTag = new RegExp(`^</${m[1]}\\s*>$`);
+            const end = nodes.findIndex((other, j) => j > i && other.t === 'html' && closeTag.test(other.v));
+            if (end === -1) continue;
+            keepNewlinesInElements(nodes.slice(i + 1, end), true);
+            i = end;
+        }
+    }
+}
+
+/**
+ * Escape text for HTML output. Quotes stay as they are — dialogue styling looks for them.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Drop script URLs from links and images.
+ * @param {string} url
+ * @returns {string}
+ */
+function safeUrl(url) {
+    return /^\s*(?:javascript|vbscript):/i.test(url) ? '#' : url;
+}
+
+/**
+ * Parse a code span starting at a backtick run; literal backticks if it isn't closed.
+ * @param {string} s
+ * @param {number} pos
+ * @param {Function} html - Pushes an HTML node
+ * @returns {number} Position after it
+ */
+function parseCodeSpan(s, pos, html) {
+    const run = s.slice(pos).match(/^`+/)[0];
+    const closeRe = /`+/g;
+    closeRe.lastIndex = pos + run.length;
+
+    let m;
+    while ((m = closeRe.exec(s))) {
+        if (m[0].length !== run.length) continue;
+        let code = s.slice(pos + run.length, m.index).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+        html(`<code class="cn-inline-code">${escapeHtml(code)}</code>`);
+        return m.index + run.length;
+    }
+    html(run);
+    return pos + run.length;
+}
+
+/**
+ * Push a run of *, _ or ~ as a delimiter node, working out whether it can
+ * open and/or close emphasis from the characters around it (CommonMark flanking rules).
+ * @param {string} s
+ * @param {number} pos
+ * @param {Object[]} nodes
+ * @returns {number} Position after the run
+ */
+function pushDelimiterRun(s, pos, nodes) {
+    const ch = s[pos];
+    let end = pos;
+    while (s[end] === ch) end++;
+    const n = end - pos;
+
+    // Only ~~ strikes through — a lone ~ is common in dialogue ("안녕~")
+    if (ch === '~' && n !== 2) {
+        nodes.push({ t: 'html', v: s.slice(pos, end) });
+        return end;
+    }
+
+    const before = s[pos - 1] || ' ';
+    const after = s[end] || ' ';
+    const spaceBefore = /\s/.test(before);
+    const spaceAfter = /\s/.test(after);
+    const punctBefore = PUNCTUATION_RE.test(before);
+    const punctAfter = PUNCTUATION_RE.test(after);
+    const leftFlanking = !spaceAfter && (!punctAfter || spaceBefore || punctBefore);
+    const rightFlanking = !spaceBefore && (!punctBefore || spaceAfter || punctAfter);
+
+    // Underscores inside words stay literal (snake_case). * and ~ only look at
+    // whitespace, like Showdown — strict flanking would leave **"대사"**를 unbolded,
+    // since Korean particles follow the closing run directly
+    const open = ch === '_' ? leftFlanking && (!rightFlanking || punctBefore) : !spaceAfter;
+    const close = ch === '_' ? rightFlanking && (!leftFlanking || punctAfter) : !spaceBefore;
+
+    nodes.push({ t: 'delim', ch, n, orig: n, open, close });
+    return end;
+}
+
+/**
+ * Match emphasis delimiters (CommonMark's "process emphasis"), wrapping
+ * what's between matched pairs in element nodes. Unmatched ones stay literal.
+ * @param {Object[]} nodes
+ */
+function processEmphasis(nodes) {
+    // Per kind of closer, the node at which looking back for an opener can stop
+    // (CommonMark's openers_bottom) — keeps unmatched runs from rescanning the text
+    const bottoms = new Map();
+
+    for (let c = 0; c < nodes.length; c++) {
+        const closer = nodes[c];
+        if (closer.t !== 'delim' || !closer.close || closer.n === 0) continue;
+
+        const key = `${closer.ch}${closer.open}${closer.orig % 3}`;
+        const bottom = bottoms.get(key);
+        let o = c - 1;
+        for (; o >= 0 && nodes[o] !== bottom; o--) {
+            const opener = nodes[o];
+            if (opener.t !== 'delim' || !opener.open || opener.ch !== closer.ch || opener.n === 0) continue;
+            if (closer.ch === '~') {
+                if (opener.n === closer.n) break;
+                continue;
+            }
+            // "Rule of 3": a run that can both open and close can't pair with one
+            // whose length would sum to a multiple of 3 (e.g. *foo**bar*)
+            const bothWays = opener.close || closer.open;
+            if (!bothWays || (opener.orig + closer.orig) % 3 !== 0 || (opener.orig % 3 === 0 && closer.orig % 3 === 0)) break;
+        }
+        if (o < 0 || nodes[o] === bottom) {
+            bottoms.set(key, nodes[c - 1]);
+            continue;
+        }
+
+        const opener = nodes[o];
+        const use = emphasisLength(opener, closer);
+        const [open, close] = EMPHASIS_TAGS[closer.ch][use];
+        opener.n -= use;
+        closer.n -= use;
+
+        // Delimiters in between can no longer match — they stay literal inside the element
+        const children = nodes.splice(o + 1, c - o - 1);
+        nodes.splice(o + 1, 0, { t: 'el', open, close, children });
+        c = o + 2;
+        if (opener.n === 0) {
+            nodes.splice(o, 1);
+            c--;
+        }
+        if (closer.n === 0) nodes.splice(c, 1);
+        // Look at the closer again (if it has some left) or at what took its place
+        c--;
+    }
+}
+
+/**
+ * How many delimiters a matched pair uses. Differs from CommonMark where Showdown does:
+ * ***x*** nests as <strong><em>, and ___x___ is one underline.
+ * @param {Object} opener - Delimiter node
+ * @param {Object} closer - Delimiter node
+ * @returns {number}
+ */
+function emphasisLength(opener, closer) {
+    if (closer.ch === '~') return 2;
+    if (opener.n >= 3 && closer.n >= 3) return closer.ch === '_' ? 3 : 1;
+    return opener.n >= 2 && closer.n >= 2 ? 2 : 1;
+}
+
+/**
+ * Handle "]": turn the last bracket into a link or image if a destination
+ * follows (inline or reference), else leave both literal.
+ * @param {string} s
+ * @param {number} pos - Position of "]"
+ * @param {Object[]} nodes
+ * @param {Object[]} brackets - Open brackets, innermost last
+ * @param {Map<string, Object>} refs
+ * @returns {number} Position after the link (or the "]")
+ */
+function closeBracket(s, pos, nodes, brackets, refs) {
+    const opener = brackets.pop();
+    if (!opener || !opener.active) {
+        nodes.push({ t: 'html', v: ']' });
+        return pos + 1;
+    }
+
+    const rest = s.slice(pos + 1);
+    let target = null;
+    let end = pos + 1;
+    let m;
+
+    if ((m = rest.match(INLINE_LINK_RE))) {
+        const href = m[1].replace(/^<|>$/g, '').replace(/\\([!-/:-@[-`{-~])/g, '$1');
+        target = { href, width: m[2], height: m[3], title: m[4] ? m[4].slice(1, -1) : '' };
+        end += m[0].length;
+    } else {
+        // [text][label], [text][] or [text]
+        m = rest.match(/^\[((?:[^\]\\]|\\.)*)\]/);
+        const label = m && m[1] ? m[1] : s.slice(opener.pos + opener.v.length, pos);
+        const ref = refs.get(normalizeLabel(label));
+        if (ref) {
+            target = ref;
+            if (m) end += m[0].length;
+        }
+    }
+
+    if (!target) {
+        nodes.push({ t: 'html', v: ']' });
+        return pos + 1;
+    }
+
+    const index = nodes.indexOf(opener);
+    const children = nodes.splice(index).slice(1);
+    processEmphasis(children);
+    const title = target.title ? ` title="${escapeHtml(target.title)}"` : '';
+    const href = escapeHtml(safeUrl(target.href));
+
+    if (opener.image) {
+        const alt = serializeInline(children).replace(/<[^>]*>/g, '').replace(/"/g, '&quot;');
+        const width = target.width && target.width !== '*' ? ` width="${target.width}"` : '';
+        const height = target.height && target.height !== '*' ? ` height="${target.height}"` : '';
+        nodes.push({ t: 'html', v: `<img class="cn-image" src="${href}" alt="${alt}"${title}${width}${height} loading="lazy" />` });
+    } else {
+        nodes.push({ t: 'el', open: `<a href="${href}"${title} target="_blank" rel="noopener">`, close: '</a>', children });
+        // No links inside links
+        brackets.forEach((bracket) => {
+            if (!bracket.image) bracket.active = false;
+        });
+    }
+    return end;
+}
+
+/**
+ * @param {Object[]} nodes
+ * @returns {string}
+ */
+function serializeInline(nodes) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.t === 'html' || node.t === 'bracket') out += node.v;
+        else if (node.t === 'delim') out += node.ch.repeat(node.n);
+        else if (node.t === 'el') out += node.open + serializeInline(node.children) + node.close;
+    }
+    return out;
+}
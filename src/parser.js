@@ -24,6 +24,13 @@
  * @property {Object[]} [swipe_info]
  * @property {number} _index - Original index in the chat array
  * @property {Date} _parsedDate - Normalized date
+ * @property {number} [_depth] - Messages after this one, counted like ST's regex depth
+ *   (system messages skipped, 0 = last message); undefined for system messages
+ * @property {Array|Object} [variables] - Chat variables stored with the message by
+ *   variable-tracking extensions (see getStoredVariables)
+ * @property {Object} [_variables] - Chat variables as of this message: its own stored
+ *   ones, else the nearest earlier message's; undefined when none is stored up to here
+ * @property {Object} [_variablesBefore] - Chat variables as of the message before
  */
 
 /**
@@ -122,6 +129,8 @@ export function parseJSONL(jsonlContent) {
         }
     }
 
+    assignDepths(messages);
+    assignVariableSnapshots(messages);
     return { metadata, messages };
 }
 
@@ -171,6 +180,7 @@ export function parseChatArray(chatArray, userName, characterName) {
             swipe_info: item.swipe_info,
             _index: i,
             _parsedDate: normalizeSendDate(item.send_date),
+            variables: item.variables,
         };
 
         // Handle swipes
@@ -184,5 +194,59 @@ export function parseChatArray(chatArray, userName, characterName) {
         messages.push(msg);
     }
 
+    assignDepths(messages);
+    assignVariableSnapshots(messages);
     return { metadata, messages };
 }
+
+/**
+ * Set each message's depth from the end of the chat, the way ST computes it
+ * for regex depth limits: only non-system messages count.
+ * @param {ChatMessage[]} messages
+ */
+function assignDepths(messages) {
+    let depth = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const msg = messages[i];
+        if (msg.is_system) {
+            msg._depth = undefined;
+        } else {
+            msg._depth = depth++;
+        }
+    }
+}
+
+/**
+ * Get the chat variables a message stores for one of its swipes. Variable-tracking
+ * extensions keep them as `variables[swipe]` (JS-Slash-Runner, MVU), a single
+ * `variables` object, or `extra.variables`.
+ * @param {ChatMessage} message
+ * @param {number} [swipe] - Swipe to read; defaults to the message's current one
+ * @returns {Object|undefined}
+ */
+export function getStoredVariables(message, swipe = message.swipe_id ?? 0) {
+    const stored = message.variables;
+    let snapshot;
+    if (Array.isArray(stored)) {
+        snapshot = stored[swipe];
+    } else if (stored && typeof stored === 'object') {
+        // Per-swipe maps saved as objects have only numeric keys
+        snapshot = Object.keys(stored).every(key => /^\d+$/.test(key)) ? stored[swipe] : stored;
+    }
+    snapshot ??= message.extra?.variables;
+    return snapshot && typeof snapshot === 'object' && !Array.isArray(snapshot) ? snapshot : undefined;
+}
+
+/**
+ * Carry stored chat variables forward, so each message knows the variables
+ * as of itself and as of the message before it.
+ * @param {ChatMessage[]} messages
+ */
+function assignVariableSnapshots(messages) {
+    let current;
+    for (const msg of messages) {
+        msg._variablesBefore = current;
+        current = getStoredVariables(msg) ?? current;
+        msg._variables = current;
+    }
+}
@@ -0,0 +1,573 @@
+/**
+ * Chat Novel — Print Exporter
+ * Paginated print layout for print-to-PDF booklets: every chapter starts on a new page,
+ * with running headers, page numbers and a table of contents with page references.
+ * Browsers don't support running strings or target-counter() in print CSS, so pages
+ * are laid out by measuring inside the print window itself.
+ */
+
+import { cleanExportDom } from './exporter.js';
+import { escapeHtml } from './utils.js';
+
+/** Paper sizes in millimetres */
+export const PRINT_PAGE_SIZES = {
+    A5: { width: 148, height: 210 },
+    B6: { width: 128, height: 182 },
+    A4: { width: 210, height: 297 },
+};
+
+/** Page box layout in millimetres */
+const PAGE_LAYOUT = {
+    marginTop: 12,
+    marginBottom: 10,
+    marginSide: 15,
+    header: 9,
+    footer: 8,
+};
+
+/** Elements that move to the next page whole instead of being split */
+const UNSPLITTABLE_TAGS = new Set(['IMG', 'SVG', 'PICTURE', 'VIDEO', 'HR', 'TR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+const UNSPLITTABLE_SELECTOR = '.cn-image-container, .cn-choice-card, .cn-print-toc-item';
+
+/**
+ * Open the window the print view goes in, showing a notice until it's laid out.
+ * Call it from the click handler before rendering anything: once rendering a long
+ * chat has used up the click's user activation, the popup would be blocked.
+ * @returns {Window}
+ */
+export function openPrintWindow() {
+    const win = window.open('', '_blank');
+    if (!win) {
+        throw new Error('팝업이 차단되었습니다. 이 사이트의 팝업을 허용해 주세요.');
+    }
+    win.document.open();
+    win.document.write('<!DOCTYPE html><html lang="ko"><head><meta charset="UTF-8"><title>인쇄</title></head>'
+        + '<body style="font-family:sans-serif;padding:40px;color:#666;">인쇄용 페이지 준비 중...</body></html>');
+    win.document.close();
+    return win;
+}
+
+/**
+ * Lay out the print view in a window from openPrintWindow() and show the print dialog.
+ * @param {Window} win
+ * @param {Object} options
+ * @param {string} options.title - Book title
+ * @param {string} [options.author] - Shown on the title page
+ * @param {Array<{title: string, html: string}>} options.chapters - Rendered chapter HTML (renderChapter output)
+ * @param {Object} options.typography - Typography settings
+ * @param {string} [options.pageSize='A5'] - Key of PRINT_PAGE_SIZES
+ * @returns {Promise<number>} Total page count
+ */
+export async function openPrintView(win, options) {
+    const { title, author, chapters, typography } = options;
+    const size = PRINT_PAGE_SIZES[options.pageSize] || PRINT_PAGE_SIZES.A5;
+
+    const doc = win.document;
+    doc.open();
+    doc.write(`<!DOCTYPE html>
+<html lang="ko">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)} — 인쇄</title>
+    <style>
+${generatePrintCSS(size, typography)}
+    </style>
+</head>
+<body>
+    <div class="cn-print-toolbar">
+        <span class="cn-print-status">페이지 구성 중...</span>
+        <button class="cn-print-now" disabled>🖨️ 인쇄</button>
+    </div>
+    <div class="cn-print-book">
+        <div class="cn-print-section-cover"></div>
+        <div class="cn-print-section-toc"></div>
+        <div class="cn-print-section-content"></div>
+    </div>
+    <div class="cn-print-staging"></div>
+</body>
+</html>`);
+    doc.close();
+
+    // Stage chapters at page-body width so images load before measuring
+    const staging = doc.querySelector('.cn-print-staging');
+    const roots = chapters.map(ch => {
+        const root = doc.createElement('div');
+        root.innerHTML = ch.html;
+        cleanExportDom(root);
+        staging.appendChild(root);
+        return root;
+    });
+
+    await Promise.all([doc.fonts?.ready, waitForImages(staging)]);
+    replaceBrokenImages(staging);
+
+    // Title page
+    const coverSection = doc.querySelector('.cn-print-section-cover');
+    const cover = createPage(doc, coverSection, '');
+    cover.body.innerHTML = `
+        <div class="cn-print-cover">
+            <h1>${escapeHtml(title)}</h1>
+            ${author ? `<div class="cn-print-author">${escapeHtml(author)}</div>` : ''}
+        </div>`;
+
+    // Chapters — each starts on a fresh page
+    const contentSection = doc.querySelector('.cn-print-section-content');
+    const chapterStarts = roots.map((root, i) => {
+        const start = contentSection.children.length;
+        layoutBlocks(doc, contentSection, getChapterBlocks(root), chapters[i].title);
+        return start;
+    });
+    staging.remove();
+
+    // Table of contents — laid out with placeholder numbers, then filled in
+    // once its own page count (which shifts every chapter) is known
+    const tocSection = doc.querySelector('.cn-print-section-toc');
+    const tocHeading = doc.createElement('h2');
+    tocHeading.className = 'cn-print-toc-heading';
+    tocHeading.textContent = '목차';
+    const tocItems = chapters.map(ch => {
+        const item = doc.createElement('div');
+        item.className = 'cn-print-toc-item';
+        item.innerHTML = `
+            <span class="cn-print-toc-title">${escapeHtml(ch.title)}</span>
+            <span class="cn-print-toc-leader"></span>
+            <span class="cn-print-toc-page">000</span>`;
+        return item;
+    });
+    layoutBlocks(doc, tocSection, [tocHeading, ...tocItems], '목차');
+
+    const firstContentPage = 1 + tocSection.children.length + 1;
+    tocItems.forEach((item, i) => {
+        item.querySelector('.cn-print-toc-page').textContent = firstContentPage + chapterStarts[i];
+    });
+
+    // Page numbers (the title page is counted but not numbered)
+    const pages = doc.querySelectorAll('.cn-print-page');
+    pages.forEach((page, i) => {
+        if (i > 0) page.querySelector('.cn-print-footer').textContent = i + 1;
+    });
+
+    const printButton = doc.querySelector('.cn-print-now');
+    printButton.disabled = false;
+    printButton.addEventListener('click', () => win.print());
+    doc.querySelector('.cn-print-status').textContent = `${title} — ${pages.length}쪽`;
+
+    win.focus();
+    win.print();
+    return pages.length;
+}
+
+// ===== Pagination =====
+
+/**
+ * Append an empty page to a section.
+ * @param {Document} doc
+ * @param {HTMLElement} section
+ * @param {string} runningTitle - Running header text ('' for none)
+ * @returns {{element: HTMLElement, body: HTMLElement}}
+ */
+function createPage(doc, section, runningTitle) {
+    const element = doc.createElement('div');
+    element.className = 'cn-print-page';
+    element.innerHTML = '<div class="cn-print-header"></div><div class="cn-print-body"></div><div class="cn-print-footer"></div>';
+    element.querySelector('.cn-print-header').textContent = runningTitle;
+    section.appendChild(element);
+    return { element, body: element.querySelector('.cn-print-body') };
+}
+
+/**
+ * Get the top-level blocks of a rendered chapter in reading order,
+ * followed by anything rendered after the chapter (e.g. footnotes).
+ * @param {HTMLElement} root
+ * @returns {Node[]}
+ */
+function getChapterBlocks(root) {
+    const blocks = [...root.querySelectorAll('.cn-chapter-title, .cn-chapter-date, .cn-chapter-recap')];
+    const content = root.querySelector('.cn-chapter-content');
+    if (content) blocks.push(...content.childNodes);
+    blocks.push(...[...root.children].filter(el => !el.classList.contains('cn-chapter')));
+    return blocks;
+}
+
+/**
+ * Flow blocks into pages, splitting them at page boundaries.
+ * The section's opening page has no running header.
+ * @param {Document} doc
+ * @param {HTMLElement} section
+ * @param {Node[]} blocks
+ * @param {string} runningTitle
+ */
+function layoutBlocks(doc, section, blocks, runningTitle) {
+    let page = createPage(doc, section, '');
+
+    for (const block of blocks) {
+        let rest = block;
+        while (rest) {
+            rest = fill(page.body, rest, page.body);
+            if (!rest) break;
+
+            if (!page.body.firstChild) {
+                // Doesn't fit even on an empty page — keep it (clipped) rather than loop forever
+                page.body.appendChild(rest);
+                break;
+            }
+            page = createPage(doc, section, runningTitle);
+        }
+    }
+}
+
+/**
+ * Check whether a page body overflows.
+ * @param {HTMLElement} body
+ * @returns {boolean}
+ */
+function overflows(body) {
+    return body.scrollHeight > body.clientHeight + 1;
+}
+
+/**
+ * Whether an element may be split across pages.
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function isSplittable(el) {
+    return !UNSPLITTABLE_TAGS.has(el.tagName.toUpperCase()) && !el.matches(UNSPLITTABLE_SELECTOR);
+}
+
+/**
+ * Place as much of a node as fits into `parent`.
+ * @param {HTMLElement} parent - Element inside the current page body
+ * @param {Node} node - Node to place (detached or moved)
+ * @param {HTMLElement} body - Current page body, for overflow checks
+ * @returns {Node|null} The part that didn't fit, or null when fully placed
+ */
+function fill(parent, node, body) {
+    parent.appendChild(node);
+    if (!overflows(body)) return null;
+    parent.removeChild(node);
+
+    if (node.nodeType === Node.TEXT_NODE) {
+        return fillText(parent, node, body);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || !isSplittable(node) || !node.firstChild) {
+        return node;
+    }
+
+    // Fill a shallow copy child by child; what's left stays in the original
+    const piece = node.cloneNode(false);
+    parent.appendChild(piece);
+    while (node.firstChild) {
+        const rest = fill(piece, node.firstChild, body);
+        if (rest) {
+            node.insertBefore(rest, node.firstChild);
+            break;
+        }
+    }
+
+    // A sender name alone at the bottom of a page moves on with its message
+    const placed = [...piece.childNodes].some(child =>
+        !(child.nodeType === Node.ELEMENT_NODE && child.classList.contains('cn-msg-sender'))
+        && !(child.nodeType === Node.TEXT_NODE && !child.data.trim()));
+    if (!placed) {
+        while (piece.lastChild) node.insertBefore(piece.lastChild, node.firstChild);
+        piece.remove();
+        return node;
+    }
+    if (!node.firstChild) return null;
+
+    // Continue ordered list numbering on the next page
+    if (node.tagName === 'OL') {
+        const start = Number(piece.getAttribute('start')) || 1;
+        node.setAttribute('start', start + piece.querySelectorAll(':scope > li').length);
+    }
+    return node;
+}
+
+/**
+ * Place as many words of a text node as fit.
+ * @param {HTMLElement} parent
+ * @param {Text} textNode
+ * @param {HTMLElement} body
+ * @returns {Text} The remaining text (the original node when nothing fits)
+ */
+function fillText(parent, textNode, body) {
+    const words = textNode.data.split(/(?<=\s)/);
+    const probe = textNode.ownerDocument.createTextNode('');
+    parent.appendChild(probe);
+
+    // Binary search for the largest word count that fits
+    let lo = 0;
+    let hi = words.length - 1;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        probe.data = words.slice(0, mid).join('');
+        if (overflows(body)) hi = mid - 1;
+        else lo = mid;
+    }
+
+    if (lo === 0) {
+        probe.remove();
+        return textNode;
+    }
+    probe.data = words.slice(0, lo).join('');
+    return textNode.ownerDocument.createTextNode(words.slice(lo).join(''));
+}
+
+// ===== Images =====
+
+/**
+ * Wait until every image in a container has loaded or failed (max 8 seconds).
+ * @param {HTMLElement} container
+ * @returns {Promise<void>}
+ */
+function waitForImages(container) {
+    const pending = [...container.querySelectorAll('img')]
+        .filter(img => !img.complete)
+        .map(img => new Promise(resolve => {
+            img.addEventListener('load', resolve, { once: true });
+            img.addEventListener('error', resolve, { once: true });
+        }));
+
+    return Promise.race([
+        Promise.all(pending),
+        new Promise(resolve => setTimeout(resolve, 8000)),
+    ]);
+}
+
+/**
+ * Replace images that failed to load with their alt text.
+ * @param {HTMLElement} container
+ */
+function replaceBrokenImages(container) {
+    container.querySelectorAll('img').forEach(img => {
+        if (img.complete && img.naturalWidth > 0) return;
+        const fallback = img.ownerDocument.createElement('span');
+        fallback.className = 'cn-image-fallback';
+        fallback.textContent = `🖼️ ${img.getAttribute('alt') || ''}`.trim();
+        img.replaceWith(fallback);
+    });
+}
+
+// ===== Styles =====
+
+/**
+ * Generate the print stylesheet. Colors are fixed to ink-friendly black on white
+ * regardless of the reader theme.
+ * @param {{width: number, height: number}} size - Paper size in mm
+ * @param {Object} typography
+ * @returns {string}
+ */
+function generatePrintCSS(size, typography) {
+    const { marginTop, marginBottom, marginSide, header, footer } = PAGE_LAYOUT;
+    const bodyWidth = size.width - marginSide * 2;
+    const bodyHeight = size.height - marginTop - marginBottom - header - footer;
+    // Reader font size in px → print size in pt (16px → 10pt)
+    const fontSize = ((typography?.fontSize || 16) * 0.625).toFixed(1);
+
+    return `
+        @page { size: ${size.width}mm ${size.height}mm; margin: 0; }
+
+        * { box-sizing: border-box; }
+        html, body { margin: 0; padding: 0; }
+
+        body {
+            background: #fff;
+            color: #1a1a1a;
+            font-family: ${typography?.fontFamily === 'serif'
+                ? "'Noto Serif KR', 'Batang', Georgia, serif"
+                : "'Pretendard', 'Noto Sans KR', -apple-system, sans-serif"};
+            font-size: ${fontSize}pt;
+            line-height: ${typography?.lineHeight || 1.8};
+            word-break: keep-all;
+            overflow-wrap: break-word;
+        }
+
+        /* Pages */
+        .cn-print-page {
+            width: ${size.width}mm;
+            height: ${size.height}mm;
+            padding: ${marginTop}mm ${marginSide}mm ${marginBottom}mm;
+            display: flex;
+            flex-direction: column;
+            overflow: hidden;
+            background: #fff;
+            break-after: page;
+            page-break-after: always;
+        }
+
+        .cn-print-header {
+            flex: 0 0 ${header}mm;
+            display: flex;
+            align-items: flex-end;
+            justify-content: center;
+            padding-bottom: 1.5mm;
+            border-bottom: 0.2mm solid #ddd;
+            font-size: 7.5pt;
+            color: #888;
+            white-space: nowrap;
+            overflow: hidden;
+        }
+
+        .cn-print-header:empty { border-bottom-color: transparent; }
+
+        .cn-print-body {
+            flex: 0 0 ${bodyHeight}mm;
+            overflow: hidden;
+            padding-top: 4mm;
+        }
+
+        .cn-print-footer {
+            flex: 0 0 ${footer}mm;
+            display: flex;
+            align-items: flex-end;
+            justify-content: center;
+            font-size: 8pt;
+            color: #666;
+        }
+
+        .cn-print-staging {
+            position: absolute;
+            left: -10000px;
+            top: 0;
+            width: ${bodyWidth}mm;
+            visibility: hidden;
+        }
+
+        /* Title page & TOC */
+        .cn-print-cover {
+            height: 100%;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            align-items: center;
+            text-align: center;
+        }
+
+        .cn-print-cover h1 { font-size: 20pt; margin: 0 0 6mm; }
+        .cn-print-author { color: #666; }
+
+        .cn-print-toc-heading { font-size: 14pt; margin: 0 0 6mm; }
+
+        .cn-print-toc-item {
+            display: flex;
+            align-items: baseline;
+            gap: 2mm;
+            margin-bottom: 2mm;
+        }
+
+        .cn-print-toc-leader {
+            flex: 1 1 auto;
+            min-width: 5mm;
+            border-bottom: 0.3mm dotted #999;
+        }
+
+        .cn-print-toc-page { font-variant-numeric: tabular-nums; }
+
+        /* Chapters & messages */
+        .cn-chapter-title {
+            font-size: 1.5em;
+            text-align: center;
+            margin: 8mm 0 2mm;
+        }
+
+        .cn-chapter-date {
+            font-size: 0.8em;
+            color: #777;
+            text-align: center;
+            margin-bottom: 8mm;
+        }
+
+        .cn-chapter-recap {
+            margin: -4mm 0 8mm;
+            padding: 2mm 4mm;
+            border-left: 2px solid #aaa;
+            font-size: 0.9em;
+            color: #444;
+        }
+
+        .cn-chapter-recap-label {
+            display: block;
+            font-size: 0.85em;
+            font-weight: bold;
+        }
+
+        .cn-message { margin-bottom: 0.9em; }
+
+        .cn-msg-sender {
+            font-size: 0.85em;
+            font-weight: 700;
+            color: #555;
+            margin-bottom: 0.2em;
+        }
+
+        p, .cn-paragraph { margin: 0 0 0.5em; }
+
+        .cn-blockquote {
+            margin: 0.6em 0;
+            padding-left: 3mm;
+            border-left: 0.6mm solid #bbb;
+            color: #444;
+        }
+
+        .cn-hr { border: none; border-top: 0.2mm solid #ccc; margin: 1em 0; }
+
+        .cn-code-block {
+            white-space: pre-wrap;
+            font-size: 0.85em;
+            background: #f4f4f4;
+            padding: 2mm;
+        }
+
+        .cn-image-container, .cn-extra-images { text-align: center; margin: 0.6em 0; }
+        img { max-width: 100%; max-height: ${Math.floor(bodyHeight * 0.9)}mm; }
+        .cn-image-fallback { color: #888; font-style: italic; }
+
+        .cn-iframe-text, .cn-choices-container {
+            margin: 0.6em 0;
+            padding: 2mm 3mm;
+            border: 0.2mm solid #ccc;
+            font-size: 0.85em;
+        }
+
+        .cn-choices-header { font-weight: 700; margin-bottom: 1mm; }
+        .cn-choice-number { margin-right: 1mm; }
+
+        /* Alternates */
+        .cn-alt-refs { font-size: 0.75em; color: #777; text-align: right; }
+        .cn-alt-notes { margin-top: 6mm; padding-top: 3mm; border-top: 0.2mm solid #ccc; font-size: 0.9em; }
+        .cn-alt-notes-title { font-size: 1.1em; margin: 4mm 0 2mm; }
+        .cn-alt-note { margin-bottom: 0.8em; }
+        .cn-alt-note-label { font-size: 0.85em; font-weight: 700; color: #555; }
+
+        /* Screen preview */
+        .cn-print-toolbar {
+            position: sticky;
+            top: 0;
+            z-index: 1;
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            padding: 8px 16px;
+            background: #222;
+            color: #eee;
+            font-family: sans-serif;
+            font-size: 13px;
+        }
+
+        .cn-print-now {
+            padding: 4px 12px;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+        }
+
+        @media screen {
+            body { background: #777; }
+            .cn-print-page { margin: 8mm auto; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3); }
+        }
+
+        @media print {
+            .cn-print-toolbar { display: none; }
+        }
+    `;
+}
@@ -4,22 +4,52 @@
  * Uses context.chat + ST regex scripts for rendering (not DOM scraping).
  */
 
-import { parseChatArray } from './parser.js';
-import { applyAllRegex } from './regexEngine.js';
+import { parseChatArray, parseJSONL, getStoredVariables } from './parser.js';
+import { applyAllRegex, describeRegexSet, listRegexScripts, formatDepthRange } from './regexEngine.js';
 import { processImages, setupLightbox, setupImageClickDelegation } from './imageHandler.js';
 import { chapterize } from './chapterizer.js';
-import { renderChapter } from './renderer.js';
+import { renderChapter, renderMessageBlock, renderChapterRecap } from './renderer.js';
 import { createSidebar } from './sidebar.js';
 import { applyTheme, applyTypography, getThemeList } from './themes.js';
 import {
     getSettings, updateSetting, saveReadingPosition,
-    getReadingPosition, createSettingsPanelHtml,
+    getReadingPosition, getReadingPositionByFile, createSettingsPanelHtml,
     getBookmarks, addBookmark, removeBookmark,
-    getChapterNames, setChapterName,
+    getChapterNames, setChapterName, migrateChapterNames,
+    getChapterBreaks, setChapterBreak, clearChapterBreaks,
+    getChapterSummaries, setChapterSummary,
+    getDisabledRegexScripts, setRegexScriptDisabled,
 } from './settings.js';
-import { exportToHtml, downloadHtml } from './exporter.js';
+import { exportToHtml, downloadHtml, downloadBlob } from './exporter.js';
+import { exportToEpub } from './epubExporter.js';
+import { exportToText } from './textExporter.js';
+import { openPrintWindow, openPrintView } from './printExporter.js';
+import { renderExportChapters } from './alternates.js';
+import { summarizeChapters } from './chapterSummary.js';
+import { highlightMatches, clearHighlights, indexRenderedText, extractRenderedText } from './search.js';
+import { createChapterVirtualizer, placeholdersHtml } from './virtualizer.js';
+import { renderContextKey, setRenderCachePersistence, preloadRenderCache, getCachedRender, MAX_MEMORY_ENTRIES } from './renderCache.js';
+import { renderChaptersInWorker } from './backgroundRender.js';
+import { planChapterSync } from './liveSync.js';
+import { countRegexMatchesSafely, findSlowRegexScript } from './regexSandbox.js';
+import { showReaderRegexEditor } from './regexEditor.js';
+import { getMacroContext } from './macros.js';
+import { showFileImportDialog } from './fileImport.js';
+import { listCharacterChats, fetchCharacterChat } from './chatFiles.js';
 import { escapeHtml } from './utils.js';
 
+/** ST regex placements, as shown in the regex inspector */
+const REGEX_PLACEMENT_LABELS = { 0: '표시', 1: '사용자 입력', 2: 'AI 출력', 3: '슬래시 명령', 5: '월드 인포', 6: '추론' };
+
+/** Where a regex script comes from, as shown in the regex inspector */
+const REGEX_SOURCE_LABELS = { global: '전역', scoped: '캐릭터', reader: '리더 전용' };
+
+/** ST's substituteRegex modes (macros in the find pattern), as shown in the regex inspector */
+const REGEX_SUBSTITUTE_LABELS = { 1: '찾기 매크로 치환', 2: '찾기 매크로 치환 (이스케이프)' };
+
+/** Chapters around the reading position rendered in the worker before a chat is shown */
+const FIRST_RENDER_CHAPTERS = 3;
+
 /**
  * @typedef {Object} ReaderState
  * @property {boolean} isOpen
@@ -30,8 +60,25 @@ import { escapeHtml } from './utils.js';
  * @property {Object|null} sidebar
  * @property {string} chatId
  * @property {string} characterKey
+ * @property {string} userName
+ * @property {string} characterName
+ * @property {{type: string, fileName?: string}|null} source - 'context' (active ST chat) | 'chat' (another chat file of the character) | 'file' (imported JSONL)
  * @property {Function|null} _escHandler
  * @property {AbortController|null} _abortController
+ * @property {Map<number, number>} swipeView - Swipe shown per message _index, when not the chosen one
+ * @property {Function|null} _liveHandler - ST event listener while live follow is on
+ * @property {number|null} _liveSyncTimer
+ * @property {AbortController|null} _summaryAbort - Running chapter summary generation
+ * @property {AbortController|null} _renderAbort - Background render of the chat being opened
+ * @property {Set<Object>|null} _renderPending - Messages the background render hasn't reached yet
+ * @property {AbortController|null} _regexCountAbort - Match counting of the regex inspector
+ * @property {number} readUpTo - Highest message _index shown on screen so far (saved with the position)
+ * @property {number|null} unreadAfter - readUpTo when the chat was opened; the unread divider follows this message
+ * @property {{query: Object|null, pattern: RegExp|null, results: Array, marks: HTMLElement[], current: number}} search
+ *   - Sidebar search (kept across sidebar rebuilds) and its highlighted hits in the content
+ * @property {Map<number, string>} renderedText - Message index → text as shown (rendered-text search)
+ * @property {Map<number, string>|null} _textIndexRun - renderedText the worker was last asked to fill in
+ * @property {Object|null} virtualizer - Renders chapters as they come near the viewport
  */
 
 /** @type {ReaderState} */
@@ -44,6 +91,10 @@ const state = {
     sidebar: null,
     chatId: '',
     characterKey: '',
+    userName: '',
+    characterName: '',
+    source: null,
+    swipeView: new Map(),
     _escHandler: null,
     _abortController: null,
     // 페이지 모드
@@ -55,6 +106,23 @@ const state = {
     _pageTouchStart: null,
     _pageTouchEnd: null,
     _resizeHandler: null,
+    // 실시간 추적
+    _liveHandler: null,
+    _liveSyncTimer: null,
+    // 챕터 요약 생성
+    _summaryAbort: null,
+    // 백그라운드 렌더링
+    _renderAbort: null,
+    _renderPending: null,
+    _regexCountAbort: null,
+    // 안 읽은 메시지
+    readUpTo: -1,
+    unreadAfter: null,
+    // 검색
+    search: { query: null, pattern: null, results: [], marks: [], current: -1 },
+    renderedText: new Map(),
+    _textIndexRun: null,
+    virtualizer: null,
 };
 
 /**
@@ -65,99 +133,425 @@ export function openReader() {
     if (state.isOpen) return;
 
     try {
-        const context = SillyTavern.getContext();
-        const chat = context.chat;
-        const characterName = context.characters?.[context.characterId]?.name || context.name2 || 'Character';
-        const userName = context.name1 || 'User';
+        const chat = buildContextChat();
+        if (chat) openChat(chat);
+    } catch (e) {
+        console.error('[ChatNovel] Failed to open reader:', e);
+        toastr.error(`Chat Novel 오류: ${e.message}`);
+    }
+}
+
+/**
+ * Build the reader input for ST's active chat (context.chat).
+ * @returns {Object|null} Chat for openChat(), or null when the chat is empty
+ */
+function buildContextChat() {
+    const context = SillyTavern.getContext();
+    const chat = context.chat;
+    const characterName = context.characters?.[context.characterId]?.name || context.name2 || 'Character';
+    const userName = context.name1 || 'User';
+
+    if (!chat || chat.length === 0) {
+        toastr.warning('채팅 데이터가 없습니다.');
+        return null;
+    }
+
+    // Compute characterKey for {{charkey}} macro in regex scripts
+    const avatar = context.characters?.[context.characterId]?.avatar;
+    const characterKey = avatar ? avatar.replace(/\.png$/i, '') : characterName;
+
+    // Generate a stable chat ID for position saving
+    const chatMeta = chat[0]?.chat_metadata || chat.find(m => m.chat_metadata)?.chat_metadata;
+    const chatId = computeChatId(chatMeta, characterName, chat[0]?.send_date);
+
+    // Parse messages from context.chat
+    const parsed = parseChatArray(chat, userName, characterName);
+    // context.chat carries no header — the active chat's metadata (and its variables) lives here
+    if (context.chatMetadata) parsed.metadata.chat_metadata = context.chatMetadata;
+
+    return {
+        parsed,
+        chatId,
+        userName,
+        characterName,
+        characterKey,
+        source: { type: 'context', fileName: context.getCurrentChatId?.() || '' },
+    };
+}
+
+/**
+ * Open one of the current character's chat files without switching ST's active chat.
+ * @param {string} fileName - Chat file name without the .jsonl extension
+ */
+async function openCharacterChat(fileName) {
+    const context = SillyTavern.getContext();
+
+    // The active chat is already in memory (and may have unsaved changes)
+    if (fileName === context.getCurrentChatId?.()) {
+        const chat = buildContextChat();
+        if (chat) openChat(chat);
+        return;
+    }
+
+    const raw = await fetchCharacterChat(fileName);
+    const characterName = context.characters?.[context.characterId]?.name || context.name2 || 'Character';
+    const userName = context.name1 || 'User';
+    const avatar = context.characters?.[context.characterId]?.avatar;
+
+    // The file starts with the chat header — drop it like ST does when loading a chat,
+    // so message indexes (bookmarks, positions, chapter breaks) match the active chat's
+    const header = isChatHeader(raw[0]) ? raw[0] : null;
+    const items = header ? raw.slice(1) : raw;
+    const parsed = items.length > 0 ? parseChatArray(items, userName, characterName) : null;
+    if (!parsed || parsed.messages.length === 0) {
+        toastr.warning('채팅 데이터가 없습니다.');
+        return;
+    }
+    if (header?.chat_metadata) parsed.metadata.chat_metadata = header.chat_metadata;
+
+    openChat({
+        parsed,
+        // Keyed like the active chat (context.chat carries no header), so bookmarks
+        // and positions are shared whether the chat is read here or while active
+        chatId: computeChatId(null, characterName, parsed.messages[0].send_date),
+        userName,
+        characterName,
+        characterKey: avatar ? avatar.replace(/\.png$/i, '') : characterName,
+        source: { type: 'chat', fileName },
+    });
+}
+
+/**
+ * Whether an entry of a chat file is its header (metadata, no message).
+ * @param {Object} [item]
+ * @returns {boolean}
+ */
+function isChatHeader(item) {
+    return !!item && item.mes === undefined && !!(item.chat_metadata || item.user_name);
+}
+
+/**
+ * Open a chat JSONL file from disk via the import dialog.
+ * If the reader is already open, the file replaces the current content in place.
+ */
+export async function openFileReader() {
+    const file = await showFileImportDialog(state.overlay || document.body, getSettings().theme);
+    if (!file) return;
 
-        if (!chat || chat.length === 0) {
-            toastr.warning('채팅 데이터가 없습니다.');
+    try {
+        const parsed = parseJSONL(await file.text());
+        if (parsed.messages.length === 0) {
+            toastr.warning('파일에 메시지가 없습니다.');
             return;
         }
 
-        // Compute characterKey for {{charkey}} macro in regex scripts
-        const avatar = context.characters?.[context.characterId]?.avatar;
-        state.characterKey = avatar ? avatar.replace(/\.png$/i, '') : characterName;
+        const context = SillyTavern.getContext();
+        const characterName = parsed.metadata?.character_name || file.name.replace(/\.jsonl$/i, '');
+        const userName = parsed.metadata?.user_name || context.name1 || 'User';
+        const chatId = computeChatId(parsed.metadata?.chat_metadata, characterName,
+            parsed.messages[0]?.send_date || file.name);
+
+        openChat({
+            parsed,
+            chatId,
+            userName,
+            characterName,
+            characterKey: characterName,
+            source: { type: 'file', fileName: file.name },
+        });
+    } catch (e) {
+        console.error('[ChatNovel] Failed to open chat file:', e);
+        toastr.error(`파일을 열 수 없습니다: ${e.message}`);
+    }
+}
+
+/**
+ * Derive a stable chat ID used as the key for bookmarks and reading positions.
+ * @param {Object} [chatMeta] - chat_metadata of the chat
+ * @param {string} characterName
+ * @param {string|number} [firstSendDate] - send_date of the first message
+ * @returns {string}
+ */
+function computeChatId(chatMeta, characterName, firstSendDate) {
+    return chatMeta?.chat_id_hash
+        || chatMeta?.integrity
+        || `${characterName}_${firstSendDate || 'unknown'}`;
+}
 
-        // Generate a stable chat ID for position saving
-        const chatMeta = chat[0]?.chat_metadata || chat.find(m => m.chat_metadata)?.chat_metadata;
-        state.chatId = chatMeta?.chat_id_hash
-            || chatMeta?.integrity
-            || `${characterName}_${chat[0]?.send_date || 'unknown'}`;
+/**
+ * Show a parsed chat in the reader.
+ * Creates the overlay if needed; otherwise saves the current position and
+ * swaps the content of the open overlay.
+ * @param {Object} chat
+ * @param {import('./parser.js').ParsedChat} chat.parsed
+ * @param {string} chat.chatId
+ * @param {string} chat.userName
+ * @param {string} chat.characterName
+ * @param {string} chat.characterKey
+ * @param {{type: string, fileName?: string}} chat.source
+ */
+function openChat(chat) {
+    const settings = getSettings();
 
-        // Parse messages from context.chat
-        const parsed = parseChatArray(chat, userName, characterName);
-        state.metadata = parsed.metadata;
+    if (state.isOpen) {
+        saveCurrentPosition();
+        stopLiveFollow();
+        const contentEl = state.overlay.querySelector('.cn-content');
+        if (state.pageMode) disablePageMode(contentEl);
+        state.virtualizer?.destroy();
+        state.virtualizer = null;
+        contentEl.innerHTML = '<div class="cn-loading">로딩 중...</div>';
+        state.overlay.querySelector('.cn-resume-recap')?.remove();
+    }
 
-        const settings = getSettings();
+    state.metadata = chat.parsed.metadata;
+    state.chatId = chat.chatId;
+    state.userName = chat.userName;
+    state.characterName = chat.characterName;
+    state.characterKey = chat.characterKey;
+    state.source = chat.source;
+    state.currentChapter = 0;
+    state.swipeView = new Map();
+    state.search = { query: null, pattern: null, results: [], marks: [], current: -1 };
 
-        // Chapterize
-        state.chapters = chapterize(parsed.messages, {
-            mode: settings.chapterMode,
-            messagesPerChapter: settings.messagesPerChapter,
-            timeGapHours: settings.timeGapHours,
-        });
+    // Chapterize
+    state.chapters = buildChapters(chat.parsed.messages, settings);
 
+    if (!state.isOpen) {
         // Create overlay shell (fast — no rendering yet)
-        createOverlayShell(settings, userName, characterName);
+        createOverlayShell(settings, chat.characterName);
         state.isOpen = true;
         document.body.classList.add('cn-reader-open');
+    }
 
+    // Stop rendering the previous chat, if it was still going
+    state._renderAbort?.abort();
+    const renderAbort = new AbortController();
+    state._renderAbort = renderAbort;
+
+    // Pull stored renders of this chat into memory first (no-op unless persistence is on),
+    // render the chapters around the reading position in the worker while showing progress,
+    // then show the chat and render the rest while it's being read
+    setRenderCachePersistence(settings.renderCachePersist);
+    const renderOptions = buildRenderOptions(settings, state.userName, state.characterName);
+    const nearest = chaptersByDistance(findPositionChapter(getReadingPosition(state.chatId)));
+    const firstChapters = nearest.slice(0, FIRST_RENDER_CHAPTERS);
+
+    preloadRenderCache(nearest.flatMap(ch => ch.messages), renderOptions).then(() => {
+        if (renderAbort.signal.aborted) return;
+        return renderInBackground(settings, renderAbort.signal, {
+            chapters: () => firstChapters,
+            onProgress: showRenderProgress,
+        });
+    }).then(() => {
         // Defer heavy rendering to next frame
         requestAnimationFrame(() => {
+            // Closed, or another chat opened, while rendering
+            if (renderAbort.signal.aborted) return;
             try {
-                loadContent(settings, userName, characterName);
+                loadContent(settings, state.userName, state.characterName);
             } catch (e) {
-                console.error('[ChatNovel] Failed to render:', e);
-                const contentEl = state.overlay?.querySelector('.cn-content');
-                if (contentEl) {
-                    contentEl.innerHTML = `<div style="padding:40px;text-align:center;color:#f44;">오류: ${escapeHtml(e.message)}</div>`;
-                }
+                showLoadError(e);
+                return;
             }
+            // The chapters rendered first stay in the cache alongside the rest
+            const budget = MAX_MEMORY_ENTRIES - firstChapters.reduce((n, ch) => n + ch.messages.length, 0);
+            streamRemainingChapters(settings, renderAbort.signal, nearest.slice(FIRST_RENDER_CHAPTERS), budget);
         });
+    }).catch((e) => {
+        if (!renderAbort.signal.aborted) showLoadError(e);
+    });
+}
 
-    } catch (e) {
-        console.error('[ChatNovel] Failed to open reader:', e);
-        toastr.error(`Chat Novel 오류: ${e.message}`);
+/**
+ * Replace the content area with the error that kept the chat from being shown.
+ * @param {Error} e
+ */
+function showLoadError(e) {
+    console.error('[ChatNovel] Failed to render:', e);
+    const contentEl = state.overlay?.querySelector('.cn-content');
+    if (contentEl) {
+        contentEl.innerHTML = `<div style="padding:40px;text-align:center;color:#f44;">오류: ${escapeHtml(e.message)}</div>`;
     }
 }
 
 /**
- * Close the reader overlay.
+ * Find the chapter a saved reading position points into.
+ * @param {Object|null} savedPos - From getReadingPosition()
+ * @returns {number} Chapter index (0 without a position)
  */
-export function closeReader() {
-    if (!state.isOpen || !state.overlay) return;
+function findPositionChapter(savedPos) {
+    if (savedPos?.msgIndex == null) return 0;
+    const idx = state.chapters.findIndex(ch => (ch.messages.at(-1)?._index ?? -1) >= savedPos.msgIndex);
+    return idx === -1 ? Math.max(0, state.chapters.length - 1) : idx;
+}
 
-    // Save reading position (msgIndex-based)
-    const contentEl = state.overlay.querySelector('.cn-content');
-    if (contentEl) {
-        const scrollTop = state.pageMode ? state.currentPage : contentEl.scrollTop;
-        const scrollHeight = contentEl.scrollHeight - contentEl.clientHeight;
-        const progress = state.pageMode
-            ? (state.totalPages > 1 ? (state.currentPage / (state.totalPages - 1)) * 100 : 100)
-            : (scrollHeight > 0 ? (scrollTop / scrollHeight) * 100 : 0);
+/**
+ * Order the chapters by how far they are from one, the ones after it first on ties.
+ * @param {number} focus - Chapter index
+ * @returns {Array} Chapter objects
+ */
+function chaptersByDistance(focus) {
+    const distance = idx => (idx > focus ? (idx - focus) * 2 - 1 : (focus - idx) * 2);
+    return state.chapters
+        .map((chapter, idx) => ({ chapter, distance: distance(idx) }))
+        .sort((a, b) => a.distance - b.distance)
+        .map(entry => entry.chapter);
+}
 
-        // Find nearest visible message index
-        let msgIndex = 0;
-        const contentRect = contentEl.getBoundingClientRect();
-        const msgEls = contentEl.querySelectorAll('[data-msg-index]');
-        for (const el of msgEls) {
-            const rect = el.getBoundingClientRect();
-            if (rect.top >= contentRect.top) {
-                msgIndex = parseInt(el.dataset.msgIndex, 10) || 0;
-                break;
-            }
-        }
+/**
+ * Render the chapters not shown yet in the worker while the chat is being read,
+ * nearest to the reader first. The virtualizer leaves them to the worker in idle time;
+ * no more are queued than the memory cache keeps, so none is evicted before it's shown.
+ * @param {Object} settings
+ * @param {AbortSignal} signal
+ * @param {Array} chapters - Chapter objects, nearest first
+ * @param {number} budget - Messages that may be queued
+ */
+function streamRemainingChapters(settings, signal, chapters, budget) {
+    const pending = new Set();
+    for (const chapter of chapters) {
+        if (pending.size + chapter.messages.length > budget) break;
+        chapter.messages.forEach(msg => pending.add(msg));
+    }
+    if (pending.size === 0) return;
+    state._renderPending = pending;
+
+    renderInBackground(settings, signal, {
+        // Asked again after a quarantine — the reader may have moved, and reRender() rebuilds the chapters
+        chapters: () => chaptersByDistance(state.currentChapter)
+            .filter(ch => ch.messages.some(msg => pending.has(msg))),
+        onChapter: (chapter) => {
+            chapter.messages.forEach(msg => pending.delete(msg));
+            state.virtualizer?.sync();
+        },
+        // Chapters already shown may have run the quarantined script
+        onQuarantine: () => reRender(state.userName, state.characterName),
+    }).catch((e) => {
+        console.error('[ChatNovel] Background render failed:', e);
+    }).finally(() => {
+        if (state._renderPending !== pending) return;
+        state._renderPending = null;
+        if (signal.aborted) return;
+        state.virtualizer?.sync();
+        // Rendered-text search can read the streamed chapters from the cache now
+        if (state.search.pattern) state.sidebar?.refreshSearch();
+    });
+}
 
-        saveReadingPosition(state.chatId, {
-            chapterIndex: state.currentChapter,
-            scrollTop: contentEl.scrollTop,
-            progress: progress,
-            msgIndex: msgIndex,
-            page: state.pageMode ? state.currentPage : undefined,
+/**
+ * Render chapters of the chat being opened in the worker. A regex script that stalls
+ * the worker is quarantined and reported, and the render starts over without it.
+ * @param {Object} settings
+ * @param {AbortSignal} signal
+ * @param {Object} opts
+ * @param {Function} opts.chapters - () => chapter objects to render; asked again on each start
+ * @param {Function} [opts.onProgress] - Callback(RenderProgress)
+ * @param {Function} [opts.onChapter] - Callback(chapter) once a chapter is cached
+ * @param {Function} [opts.onQuarantine] - Callback after a script was quarantined
+ */
+async function renderInBackground(settings, signal, opts) {
+    let timeoutMs;
+    for (;;) {
+        const renderOptions = buildRenderOptions(settings, state.userName, state.characterName);
+        const outcome = await renderChaptersInWorker(opts.chapters(), renderOptions, {
+            signal,
+            onProgress: opts.onProgress,
+            onChapter: opts.onChapter,
+            timeoutMs,
         });
+        if (!outcome.stalledMessage || signal.aborted) return;
+
+        // Probe only the scripts that were running
+        const running = listRegexScripts().filter(info => info.display && !renderOptions.excludedScripts.has(info.key));
+        const report = await findSlowRegexScript(outcome.stalledMessage, running, renderOptions);
+        if (signal.aborted) return;
+        if (report) {
+            notifyRegexQuarantine(report);
+            opts.onQuarantine?.();
+        } else {
+            // Slow for another reason (e.g. a huge message) — let it finish
+            timeoutMs = 0;
+        }
+    }
+}
+
+/**
+ * Tell the user a regex script was quarantined.
+ * @param {import('./regexEngine.js').RegexQuarantine} report
+ */
+function notifyRegexQuarantine(report) {
+    toastr.warning(`정규식 "${report.name}"이(가) 메시지 #${report.messageIndex}에서 ${report.timeoutMs / 1000}초 넘게 멈춰 `
+        + '이번 세션 동안 격리했습니다. 🔣 정규식 패널에서 확인하세요.');
+}
+
+/**
+ * Show how far the background render of the chat being opened got.
+ * @param {import('./backgroundRender.js').RenderProgress} progress
+ */
+function showRenderProgress(progress) {
+    const loadingEl = state.overlay?.querySelector('.cn-content .cn-loading');
+    if (!loadingEl || progress.messages >= progress.totalMessages) return;
+
+    const percent = Math.round(progress.messages / progress.totalMessages * 100);
+    loadingEl.classList.add('cn-loading-progress');
+    loadingEl.innerHTML = `<div class="cn-loading-text">렌더링 중... ${progress.chapters} / ${progress.totalChapters} 챕터 (${percent}%)</div>`
+        + `<div class="cn-loading-bar"><div class="cn-loading-bar-fill" style="width:${percent}%"></div></div>`;
+}
+
+/**
+ * Save the reading position (msgIndex-based) of the chat currently shown.
+ */
+function saveCurrentPosition() {
+    const contentEl = state.overlay?.querySelector('.cn-content');
+    if (!contentEl) return;
+
+    const scrollTop = state.pageMode ? state.currentPage : contentEl.scrollTop;
+    const scrollHeight = contentEl.scrollHeight - contentEl.clientHeight;
+    const progress = state.pageMode
+        ? (state.totalPages > 1 ? (state.currentPage / (state.totalPages - 1)) * 100 : 100)
+        : (scrollHeight > 0 ? (scrollTop / scrollHeight) * 100 : 0);
+
+    // Find nearest visible message index
+    let msgIndex = 0;
+    const contentRect = contentEl.getBoundingClientRect();
+    const msgEls = contentEl.querySelectorAll('[data-msg-index]');
+    for (const el of msgEls) {
+        const rect = el.getBoundingClientRect();
+        if (rect.top >= contentRect.top) {
+            msgIndex = parseInt(el.dataset.msgIndex, 10) || 0;
+            break;
+        }
     }
 
+    saveReadingPosition(state.chatId, {
+        chapterIndex: state.currentChapter,
+        scrollTop: contentEl.scrollTop,
+        progress: progress,
+        msgIndex: msgIndex,
+        // Last message of the chat, to count the messages that arrive until the next visit
+        lastMsgIndex: state.chapters.at(-1)?.messages.at(-1)?._index,
+        readUpTo: state.readUpTo,
+        page: state.pageMode ? state.currentPage : undefined,
+        // ST chat file name, so the chat picker can show progress without loading the chat
+        chatFile: state.source?.type !== 'file' ? state.source?.fileName || undefined : undefined,
+    });
+}
+
+/**
+ * Close the reader overlay.
+ */
+export function closeReader() {
+    if (!state.isOpen || !state.overlay) return;
+
+    saveCurrentPosition();
+    stopLiveFollow();
+    state._summaryAbort?.abort();
+    state._renderAbort?.abort();
+    state._regexCountAbort?.abort();
+    state.virtualizer?.destroy();
+    state.virtualizer = null;
+
     // Clean up page mode
     if (state.pageMode) {
         const cEl = state.overlay.querySelector('.cn-content');
@@ -179,6 +573,7 @@ export function closeReader() {
         state.isOpen = false;
         state.chapters = [];
         state.sidebar = null;
+        state.source = null;
         state.pageMode = false;
         state.currentPage = 0;
         state.totalPages = 0;
@@ -209,10 +604,9 @@ export function closeReader() {
  * Create the overlay shell (header, empty content, footer, event bindings).
  * Does NOT parse or render content — that's deferred to loadContent().
  * @param {Object} settings
- * @param {string} userName
  * @param {string} characterName
  */
-function createOverlayShell(settings, userName, characterName) {
+function createOverlayShell(settings, characterName) {
     const overlay = document.createElement('div');
     overlay.className = 'cn-overlay';
     overlay.id = 'chat-novel-overlay';
@@ -224,9 +618,14 @@ function createOverlayShell(settings, userName, characterName) {
                 <span class="cn-header-title">📖 Chat Novel — ${escapeHtml(characterName)}</span>
             </div>
             <div class="cn-header-right">
+                <button class="cn-btn cn-unread-btn" title="새 메시지로 이동 (N)" style="display:none"></button>
+                <button class="cn-btn cn-live-btn" title="실시간 추적">📡</button>
+                <button class="cn-btn cn-regex-btn" title="정규식">🔣</button>
+                <button class="cn-btn cn-chats-btn" title="채팅 목록">📚</button>
+                <button class="cn-btn cn-file-btn" title="파일 열기">📂</button>
                 <button class="cn-btn cn-theme-btn" title="테마 변경">🎨</button>
                 <button class="cn-btn cn-settings-btn" title="설정">⚙️</button>
-                <button class="cn-btn cn-export-btn" title="HTML 내보내기">📤</button>
+                <button class="cn-btn cn-export-btn" title="내보내기">📤</button>
                 <button class="cn-btn cn-close-btn" title="닫기 (ESC)">✕</button>
             </div>
         </div>
@@ -274,14 +673,29 @@ function createOverlayShell(settings, userName, characterName) {
     overlay.querySelector('.cn-sidebar-btn').addEventListener('click', () => {
         state.sidebar?.toggle();
     });
+    overlay.querySelector('.cn-live-btn').addEventListener('click', () => {
+        toggleLiveFollow();
+    });
+    overlay.querySelector('.cn-unread-btn').addEventListener('click', () => {
+        jumpToUnread();
+    });
+    overlay.querySelector('.cn-regex-btn').addEventListener('click', () => {
+        showRegexPanel();
+    });
+    overlay.querySelector('.cn-chats-btn').addEventListener('click', () => {
+        showChatPicker();
+    });
+    overlay.querySelector('.cn-file-btn').addEventListener('click', () => {
+        openFileReader();
+    });
     overlay.querySelector('.cn-theme-btn').addEventListener('click', () => {
         showThemePanel();
     });
     overlay.querySelector('.cn-settings-btn').addEventListener('click', () => {
-        showSettingsPanel(userName, characterName);
+        showSettingsPanel(state.userName, state.characterName);
     });
     overlay.querySelector('.cn-export-btn').addEventListener('click', () => {
-        handleExport(userName, characterName);
+        showExportMenu();
     });
 
     // Footer slider — 드래그로 스크롤/페이지 이동
@@ -333,6 +747,16 @@ function createOverlayShell(settings, userName, characterName) {
     };
     document.addEventListener('keydown', state._escHandler);
 
+    // Content listeners are delegated, so they survive re-renders and chat switches
+    const contentEl = overlay.querySelector('.cn-content');
+    setupScrollTracking(contentEl);
+    setupKeyboardShortcuts(contentEl);
+    setupBookmarkContextMenu(contentEl);
+    setupSwipeSwitcher(contentEl);
+    setupSearchNavigation();
+    setupImageClickDelegation(contentEl);
+    setupIframeAutoResize(contentEl);
+
     // Animate in
     requestAnimationFrame(() => {
         overlay.classList.add('cn-overlay-active');
@@ -355,56 +779,15 @@ function loadContent(settings, userName, characterName) {
     const contentEl = state.overlay.querySelector('.cn-content');
     renderAllChapters(contentEl, settings, userName, characterName);
 
-    // Apply custom chapter names
-    const customNames = getChapterNames(state.chatId);
-    for (const ch of state.chapters) {
-        if (customNames[ch.index] != null) {
-            ch.title = customNames[ch.index];
-        }
-    }
-
     // Setup sidebar with bookmarks, chapter rename
-    const sidebarContainer = state.overlay.querySelector('.cn-sidebar-container');
-    state.sidebar = createSidebar(sidebarContainer, state.chapters, (chapterIdx) => {
-        scrollToChapter(chapterIdx);
-    }, {
-        bookmarks: getBookmarks(state.chatId),
-        chapterNames: customNames,
-        onBookmarkClick: (msgIndex) => {
-            const contentEl = state.overlay.querySelector('.cn-content');
-            const msgEl = contentEl.querySelector(`[data-msg-index="${msgIndex}"]`);
-            if (msgEl) {
-                if (state.pageMode) {
-                    // Find which page contains this message
-                    const rect = contentEl.getBoundingClientRect();
-                    const pageWidth = rect.width;
-                    const msgLeft = msgEl.offsetLeft;
-                    const page = Math.floor(msgLeft / pageWidth);
-                    goToPage(contentEl, page);
-                } else {
-                    msgEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
-                msgEl.classList.add('cn-msg-highlight');
-                setTimeout(() => msgEl.classList.remove('cn-msg-highlight'), 2000);
-            }
-        },
-        onBookmarkRemove: (msgIndex) => {
-            removeBookmark(state.chatId, msgIndex);
-        },
-        onChapterRename: (chapterIdx, newName) => {
-            setChapterName(state.chatId, chapterIdx, newName);
-            // Update the chapter title in DOM as well
-            const chapterTitleEl = state.overlay.querySelector(`#cn-chapter-${chapterIdx} .cn-chapter-title`);
-            if (chapterTitleEl) chapterTitleEl.textContent = newName;
-            // Update state
-            if (state.chapters[chapterIdx]) state.chapters[chapterIdx].title = newName;
-        },
-    });
-    sidebarContainer.appendChild(state.sidebar.element);
+    refreshSidebar();
 
-    // Setup scroll tracking + keyboard
-    setupScrollTracking(contentEl);
-    setupKeyboardShortcuts(contentEl);
+    // Unread messages since the last visit — older saves only know the last message of the chat
+    const savedPos = getReadingPosition(state.chatId);
+    state.readUpTo = savedPos ? (savedPos.readUpTo ?? savedPos.lastMsgIndex ?? savedPos.msgIndex ?? -1) : -1;
+    state.unreadAfter = savedPos ? state.readUpTo : null;
+    renderUnreadDivider(contentEl);
+    updateUnreadBadge();
 
     // 읽기 모드 초기화
     if (settings.readingMode === 'page') {
@@ -412,55 +795,108 @@ function loadContent(settings, userName, characterName) {
     }
 
     // Restore reading position — try msgIndex first, then scrollTop/page
-    const savedPos = getReadingPosition(state.chatId);
     if (savedPos) {
         setTimeout(() => {
-            if (state.pageMode && savedPos.page != null) {
-                goToPage(contentEl, savedPos.page);
-                return;
-            }
-            if (savedPos.msgIndex != null) {
-                const targetEl = contentEl.querySelector(`[data-msg-index="${savedPos.msgIndex}"]`);
+            const targetEl = savedPos.msgIndex != null ? getMessageElement(savedPos.msgIndex) : null;
+            if (state.pageMode) {
+                // Page numbers shift as placeholders get rendered — prefer the message
                 if (targetEl) {
-                    const offsetTop = targetEl.offsetTop - contentEl.offsetTop;
-                    contentEl.scrollTop = offsetTop;
-                    return;
+                    revealElement(contentEl, targetEl);
+                } else if (savedPos.page != null) {
+                    goToPage(contentEl, savedPos.page);
                 }
+                return;
+            }
+            if (targetEl) {
+                const offsetTop = targetEl.offsetTop - contentEl.offsetTop;
+                contentEl.scrollTop = offsetTop;
+                return;
             }
             if (savedPos.scrollTop) {
                 contentEl.scrollTop = savedPos.scrollTop;
             }
         }, 300);
+
+        if (settings.resumeRecap) showResumeRecap(savedPos);
     }
 
     // Update footer info
     updateFooterInfo(contentEl);
 
-    // Setup bookmark context menu on messages
-    setupBookmarkContextMenu(contentEl);
+    // Mark bookmarked messages
+    markBookmarkedMessages(contentEl);
+
+    // 실시간 추적 (현재 채팅만)
+    if (settings.liveFollow) {
+        startLiveFollow();
+    }
+    updateLiveFollowButton();
 
     console.log(`[ChatNovel] Opened reader: ${state.chapters.reduce((a, c) => a + c.messages.length, 0)} messages, ${state.chapters.length} chapters`);
 }
 
 /**
- * Render all chapters into the content area.
- * @param {HTMLElement} contentEl
+ * Split messages into chapters, layering the chat's manual breaks, generated
+ * summaries and custom names (which win over generated titles).
+ * @param {Array} messages
+ * @param {Object} settings
+ * @returns {Array} Chapters
+ */
+function buildChapters(messages, settings) {
+    const chapters = chapterize(messages, {
+        mode: settings.chapterMode,
+        messagesPerChapter: settings.messagesPerChapter,
+        timeGapHours: settings.timeGapHours,
+        sceneBreaks: settings.chapterMarkerSceneBreaks,
+        markerPatterns: settings.chapterMarkerPatterns,
+        breaks: getChapterBreaks(state.chatId),
+    });
+
+    migrateChapterNames(state.chatId, chapters);
+    const customNames = getChapterNames(state.chatId);
+    const summaries = getChapterSummaries(state.chatId);
+    for (const ch of chapters) {
+        const anchor = ch.messages[0]?._index;
+        const generated = summaries[anchor];
+        if (generated) {
+            ch.summary = generated.summary;
+            if (generated.title) ch.title = generated.title;
+        }
+        if (customNames[anchor] != null) {
+            ch.title = customNames[anchor];
+        }
+    }
+    return chapters;
+}
+
+/**
+ * Build the renderer options for the chat currently shown.
  * @param {Object} settings
  * @param {string} userName
  * @param {string} characterName
+ * @returns {Object}
  */
-function renderAllChapters(contentEl, settings, userName, characterName) {
-    contentEl.innerHTML = '';
-
-    const renderOptions = {
+function buildRenderOptions(settings, userName, characterName) {
+    const excludedScripts = new Set(getDisabledRegexScripts(state.characterKey));
+    const regexSet = describeRegexSet(excludedScripts);
+    const macros = buildMacroContext();
+    return {
         userName,
         characterName,
         characterKey: state.characterKey,
+        macros,
         showSenderName: settings.showSenderName,
         dialogueEnabled: settings.dialogueEnabled,
+        chapterRecap: settings.chapterRecap,
+        showImages: settings.showImages !== false,
+        // Everything besides the message itself that changes its rendered body
+        excludedScripts,
+        renderCacheKey: renderContextKey([regexSet.key, userName, characterName, state.characterKey, macros,
+            !!settings.dialogueEnabled, settings.showImages !== false]),
+        regexDepthSensitive: regexSet.depthSensitive,
         regexProcessor: (text, opts) => {
             // 1. Apply ST regex scripts
-            let processed = applyAllRegex(text, opts);
+            let processed = applyAllRegex(text, { ...opts, excludedScripts });
             // 2. Image pattern fallback (if regex didn't handle it)
             if (settings.showImages !== false) {
                 processed = processImages(processed, characterName);
@@ -468,60 +904,294 @@ function renderAllChapters(contentEl, settings, userName, characterName) {
             return processed;
         },
     };
+}
 
-    for (const chapter of state.chapters) {
-        const chapterHtml = renderChapter(chapter, renderOptions);
-        contentEl.insertAdjacentHTML('beforeend', chapterHtml);
-    }
+/**
+ * Gather what macros read for the chat currently shown (see macros.js).
+ * @returns {import('./macros.js').MacroContext}
+ */
+function buildMacroContext() {
+    return getMacroContext({
+        seed: state.chatId,
+        chatMetadata: state.metadata?.chat_metadata,
+        characterKey: state.characterKey,
+        characterName: state.characterName,
+    });
+}
 
-    // Set up image click delegation for lightbox
-    setupImageClickDelegation(contentEl);
+/**
+ * Render all chapters into the content area — as placeholders, which the
+ * virtualizer fills in near the viewport first and in idle time after that.
+ * @param {HTMLElement} contentEl
+ * @param {Object} settings
+ * @param {string} userName
+ * @param {string} characterName
+ */
+function renderAllChapters(contentEl, settings, userName, characterName) {
+    state.virtualizer?.destroy();
+    state.renderedText = new Map();
+
+    const renderOptions = buildRenderOptions(settings, userName, characterName);
+    // Settings that change how tall a rendered chapter is
+    const layoutKey = [settings.fontSize, settings.lineHeight, settings.contentWidth, settings.fontFamily,
+        settings.showSenderName, settings.chapterRecap].join('|');
+
+    const virtualizerOptions = {
+        renderChapter: idx => renderChapter(viewChapter(state.chapters[idx]), renderOptions),
+        estimateHeight: idx => estimateChapterHeight(state.chapters[idx], settings, contentEl),
+        cacheKey: (idx) => {
+            const chapter = state.chapters[idx];
+            if (!chapter) return null;
+            const chars = chapter.messages.reduce((n, m) => n + (m.mes?.length || 0), 0);
+            return `${state.chatId}|${chapter.messages[0]?._index}|${chapter.messages.length}|${chars}|${layoutKey}`;
+        },
+        // Column layout doesn't give chapter heights
+        shouldMeasure: () => !state.pageMode,
+        keepPosition: mutate => keepReadingPosition(contentEl, mutate),
+        onRender: chapterEl => onChapterRendered(contentEl, chapterEl),
+        // Chapters the background render hasn't reached are left to it
+        isReady: idx => !state._renderPending
+            || !state.chapters[idx]?.messages.some(msg => state._renderPending.has(msg)),
+    };
 
-    // Set up iframe auto-resize for regex-output HTML documents
-    setupIframeAutoResize(contentEl);
+    contentEl.innerHTML = placeholdersHtml(state.chapters.length, virtualizerOptions);
+    state.virtualizer = createChapterVirtualizer(contentEl, virtualizerOptions);
 }
 
 /**
- * Set up auto-resize for all .cn-regex-iframe elements.
- * Uses MutationObserver to also handle dynamically added iframes.
+ * Guess the height of an unrendered chapter from its text length.
+ * @param {Object} chapter
+ * @param {Object} settings
  * @param {HTMLElement} contentEl
+ * @returns {number} px
  */
-function setupIframeAutoResize(contentEl) {
-    // Handle already-existing iframes
-    contentEl.querySelectorAll('.cn-regex-iframe').forEach(setupSingleIframe);
+function estimateChapterHeight(chapter, settings, contentEl) {
+    if (!chapter) return 0;
+    const fontSize = settings.fontSize || 16;
+    const lineHeightPx = fontSize * (settings.lineHeight || 1.8);
+    const width = Math.min(settings.contentWidth || 800, contentEl.clientWidth || Infinity);
+    // Hangul is about one em wide, Latin about half — average in between
+    const charsPerLine = Math.max(10, width / (fontSize * 0.8));
+
+    // Title and date, then sender line and spacing per message
+    let lines = 4;
+    for (const msg of chapter.messages) {
+        lines += 2 + Math.ceil((msg.mes?.length || 0) / charsPerLine);
+    }
+    return lines * lineHeightPx;
+}
 
-    // Watch for newly added iframes (from dynamic content insertion)
-    const observer = new MutationObserver((mutations) => {
-        for (const mutation of mutations) {
-            for (const node of mutation.addedNodes) {
-                if (node.nodeType !== Node.ELEMENT_NODE) continue;
-                if (node.classList?.contains('cn-regex-iframe')) {
-                    setupSingleIframe(node);
-                }
-                const nested = node.querySelectorAll?.('.cn-regex-iframe');
-                if (nested) nested.forEach(setupSingleIframe);
-            }
-        }
-    });
-    observer.observe(contentEl, { childList: true, subtree: true });
+/**
+ * Bring a chapter the virtualizer just rendered up to date with the reader:
+ * bookmarks, unread divider, search hits and the rendered-text index.
+ * @param {HTMLElement} contentEl
+ * @param {HTMLElement} chapterEl
+ */
+function onChapterRendered(contentEl, chapterEl) {
+    indexRenderedText(chapterEl, state.renderedText);
+    markBookmarkedMessages(chapterEl);
+    if (!contentEl.querySelector('.cn-unread-divider')) renderUnreadDivider(contentEl);
+
+    if (state.search.pattern) {
+        highlightSearchResults(chapterEl);
+        collectSearchMarks(contentEl);
+    }
 }
 
 /**
- * Set up a single iframe for auto-height resizing.
- * Reads internal scrollHeight after load and watches for dynamic content changes
- * (collapsible panels, etc.) via ResizeObserver.
- * @param {HTMLIFrameElement} iframe
+ * Run a change to the content without moving what the reader is looking at —
+ * the first message (or chapter) on screen keeps its place, or its page in page mode.
+ * @param {HTMLElement} contentEl
+ * @param {Function} mutate
  */
-function setupSingleIframe(iframe) {
-    // Disable scrolling via HTML attribute
-    iframe.setAttribute('scrolling', 'no');
+function keepReadingPosition(contentEl, mutate) {
+    const selector = findScreenAnchor(contentEl);
+    const anchorEl = selector && contentEl.querySelector(selector);
+    const before = anchorEl ? screenOffset(contentEl, anchorEl) : 0;
 
-    // Base64로 저장된 HTML을 srcdoc로 주입 (sandbox=allow-scripts만 사용시 contentDocument 접근 불가)
-    const b64 = iframe.getAttribute('data-cn-html');
-    if (b64) {
-        iframe.removeAttribute('data-cn-html');
-        try {
-            const html = decodeURIComponent(escape(atob(b64)));
+    mutate();
+
+    const movedEl = selector && contentEl.querySelector(selector);
+    if (!movedEl) return;
+    const after = screenOffset(contentEl, movedEl);
+
+    if (state.pageMode) {
+        const pageWidth = contentEl.getBoundingClientRect().width;
+        if (!pageWidth) return;
+        state.totalPages = Math.max(1, Math.round(contentEl.scrollWidth / pageWidth));
+        goToPage(contentEl, state.currentPage + Math.floor(after / pageWidth) - Math.floor(before / pageWidth));
+    } else if (after !== before) {
+        // Not animated — the content's CSS scroll-behavior is smooth
+        contentEl.scrollTo({ top: contentEl.scrollTop + after - before, behavior: 'instant' });
+    }
+}
+
+/**
+ * Find what the reader is looking at: the first message on screen, or the first
+ * chapter (placeholder) on screen when no rendered message is.
+ * @param {HTMLElement} contentEl
+ * @returns {string|null} Selector of the anchor element
+ */
+function findScreenAnchor(contentEl) {
+    const viewRect = contentEl.getBoundingClientRect();
+    // Page mode lays the content out in columns
+    const endsOnScreen = (el) => {
+        const rect = el.getBoundingClientRect();
+        return state.pageMode ? rect.right > viewRect.left : rect.bottom > viewRect.top;
+    };
+    const startsOnScreen = (el) => {
+        const rect = el.getBoundingClientRect();
+        return state.pageMode ? rect.left < viewRect.right : rect.top < viewRect.bottom;
+    };
+
+    const msgEl = findFirstElement(contentEl.querySelectorAll('.cn-message[data-msg-index]'), endsOnScreen);
+    if (msgEl && startsOnScreen(msgEl)) return `[data-msg-index="${msgEl.dataset.msgIndex}"]`;
+
+    const chapterEl = findFirstElement(contentEl.querySelectorAll('.cn-chapter'), endsOnScreen);
+    return chapterEl ? `#${chapterEl.id}` : null;
+}
+
+/**
+ * Binary search for the first element matching a predicate that holds from some point on.
+ * @param {NodeListOf<HTMLElement>} els - In document order
+ * @param {Function} predicate
+ * @returns {HTMLElement|null}
+ */
+function findFirstElement(els, predicate) {
+    let lo = 0;
+    let hi = els.length - 1;
+    let found = null;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (predicate(els[mid])) {
+            found = els[mid];
+            hi = mid - 1;
+        } else {
+            lo = mid + 1;
+        }
+    }
+    return found;
+}
+
+/**
+ * Offset of an element from the start of the view — vertical, or horizontal in page mode.
+ * @param {HTMLElement} contentEl
+ * @param {HTMLElement} el
+ * @returns {number}
+ */
+function screenOffset(contentEl, el) {
+    const viewRect = contentEl.getBoundingClientRect();
+    const rect = el.getBoundingClientRect();
+    return state.pageMode ? rect.left - viewRect.left : rect.top - viewRect.top;
+}
+
+/**
+ * Get a message's element, rendering its chapter first if needed.
+ * @param {number} msgIndex
+ * @returns {HTMLElement|null}
+ */
+function getMessageElement(msgIndex) {
+    const chapterIdx = state.chapters.findIndex(ch => ch.messages.some(m => m._index === msgIndex));
+    if (chapterIdx < 0) return null;
+    const chapterEl = state.virtualizer
+        ? state.virtualizer.ensureRendered(chapterIdx)
+        : state.overlay?.querySelector(`#cn-chapter-${chapterIdx}`);
+    return chapterEl?.querySelector(`[data-msg-index="${msgIndex}"]`) || null;
+}
+
+/**
+ * Get the text a message shows, for rendered-text search — from the index, or from
+ * the render cache. A message neither has yet is searched by its source for now;
+ * indexRenderedTextInBackground() fills it in.
+ * @param {Object} msg
+ * @param {Object} renderOptions
+ * @returns {string}
+ */
+function getRenderedText(msg, renderOptions) {
+    let text = state.renderedText.get(msg._index);
+    if (text == null) {
+        const html = getCachedRender(viewMessage(msg), renderOptions);
+        if (html === undefined) return msg.mes || '';
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        text = extractRenderedText(template.content);
+        state.renderedText.set(msg._index, text);
+    }
+    return text;
+}
+
+/**
+ * Render the messages rendered-text search doesn't have the text of yet in the worker,
+ * chapter by chapter, and search again once they're indexed. Waits for the background
+ * render of the chat being opened (which searches again when it's done), and runs once
+ * per index — messages the worker couldn't render stay searched by their source.
+ * @param {Object} settings
+ */
+function indexRenderedTextInBackground(settings) {
+    const index = state.renderedText;
+    const signal = state._renderAbort?.signal;
+    if (state._renderPending || state._textIndexRun === index || !signal || signal.aborted) return;
+
+    const renderOptions = buildRenderOptions(settings, state.userName, state.characterName);
+    const missing = msg => !index.has(msg._index) && getCachedRender(viewMessage(msg), renderOptions) === undefined;
+    if (!state.chapters.some(ch => ch.messages.some(missing))) return;
+    state._textIndexRun = index;
+
+    renderInBackground(settings, signal, {
+        chapters: () => state.chapters.filter(ch => ch.messages.some(missing)).map(viewChapter),
+        onChapter: (chapter) => {
+            if (state.renderedText !== index) return;
+            state.chapters[chapter.index]?.messages.forEach(msg => getRenderedText(msg, renderOptions));
+        },
+        onQuarantine: () => reRender(state.userName, state.characterName),
+    }).catch((e) => {
+        console.error('[ChatNovel] Background render failed:', e);
+    }).finally(() => {
+        if (state.renderedText === index && !signal.aborted && state.search.pattern) state.sidebar?.refreshSearch();
+    });
+}
+
+/**
+ * Set up auto-resize for all .cn-regex-iframe elements.
+ * Uses MutationObserver to also handle dynamically added iframes.
+ * @param {HTMLElement} contentEl
+ */
+function setupIframeAutoResize(contentEl) {
+    // Handle already-existing iframes
+    contentEl.querySelectorAll('.cn-regex-iframe').forEach(setupSingleIframe);
+
+    // Watch for newly added iframes (from dynamic content insertion)
+    const observer = new MutationObserver((mutations) => {
+        for (const mutation of mutations) {
+            for (const node of mutation.addedNodes) {
+                if (node.nodeType !== Node.ELEMENT_NODE) continue;
+                if (node.classList?.contains('cn-regex-iframe')) {
+                    setupSingleIframe(node);
+                }
+                const nested = node.querySelectorAll?.('.cn-regex-iframe');
+                if (nested) nested.forEach(setupSingleIframe);
+            }
+        }
+    });
+    observer.observe(contentEl, { childList: true, subtree: true });
+}
+
+/**
+ * Set up a single iframe for auto-height resizing.
+ * Reads internal scrollHeight after load and watches for dynamic content changes
+ * (collapsible panels, etc.) via ResizeObserver.
+ * @param {HTMLIFrameElement} iframe
+ */
+function setupSingleIframe(iframe) {
+    // Disable scrolling via HTML attribute
+    iframe.setAttribute('scrolling', 'no');
+
+    // Base64로 저장된 HTML을 srcdoc로 주입 (sandbox=allow-scripts만 사용시 contentDocument 접근 불가)
+    const b64 = iframe.getAttribute('data-cn-html');
+    if (b64) {
+        iframe.removeAttribute('data-cn-html');
+        try {
+            const html = decodeURIComponent(escape(atob(b64)));
             iframe.srcdoc = html;
         } catch (e) {
             console.warn('[ChatNovel] iframe srcdoc set failed:', e);
@@ -655,6 +1325,8 @@ function updateProgress(contentEl) {
 
     // Update footer info
     updateFooterInfo(contentEl, progress);
+
+    trackReadProgress(contentEl);
 }
 
 /**
@@ -702,14 +1374,25 @@ function scrollToChapter(chapterIdx) {
     if (!state.overlay) return;
 
     const contentEl = state.overlay.querySelector('.cn-content');
-    const chapterEl = state.overlay.querySelector(`#cn-chapter-${chapterIdx}`);
+    const chapterEl = state.virtualizer?.ensureRendered(chapterIdx);
     if (chapterEl && contentEl) {
         // Use manual scrollTop to avoid scrollIntoView moving the outer page on mobile
         const chapterTop = chapterEl.offsetTop - contentEl.offsetTop;
-        contentEl.scrollTo({ top: chapterTop, behavior: 'smooth' });
+        contentEl.scrollTo({ top: chapterTop, behavior: scrollBehaviorTo(contentEl, chapterTop) });
     }
 }
 
+/**
+ * Smooth-scroll short distances only — chapters rendered on the way
+ * would keep interrupting a long smooth scroll.
+ * @param {HTMLElement} contentEl
+ * @param {number} top - Target scrollTop
+ * @returns {'smooth'|'instant'}
+ */
+function scrollBehaviorTo(contentEl, top) {
+    return Math.abs(top - contentEl.scrollTop) > contentEl.clientHeight * 2 ? 'instant' : 'smooth';
+}
+
 /**
  * Set up keyboard shortcuts for the reader.
  * @param {HTMLElement} contentEl
@@ -743,6 +1426,10 @@ function setupKeyboardShortcuts(contentEl) {
                 e.preventDefault();
                 contentEl.scrollTop = contentEl.scrollHeight;
                 break;
+            case 'n':
+            case 'N':
+                jumpToUnread();
+                break;
         }
     });
 
@@ -911,6 +1598,8 @@ function updatePageInfo(contentEl) {
         footerSlider.value = progress;
         footerSlider.style.setProperty('--slider-progress', `${progress}%`);
     }
+
+    trackReadProgress(contentEl);
 }
 
 /**
@@ -938,6 +1627,7 @@ function setupPageNavigation(contentEl) {
     // 키보드 네비게이션 (document에 바인딩 — focus 잃어도 동작)
     state._pageKeyHandler = (e) => {
         if (!state.pageMode) return;
+        if (e.target.closest?.('input, textarea, select')) return;
         if (e.key === 'ArrowRight' || e.key === ' ' || e.key === 'PageDown') {
             e.preventDefault();
             goToPage(contentEl, state.currentPage + 1);
@@ -950,6 +1640,8 @@ function setupPageNavigation(contentEl) {
         } else if (e.key === 'End') {
             e.preventDefault();
             goToPage(contentEl, state.totalPages - 1);
+        } else if (e.key === 'n' || e.key === 'N') {
+            jumpToUnread();
         }
     };
     document.addEventListener('keydown', state._pageKeyHandler);
@@ -999,9 +1691,452 @@ function cleanupPageNavigation(contentEl) {
     }
 }
 
+// ===== Live Follow =====
+
+/**
+ * ST events that change the active chat's messages.
+ */
+const LIVE_FOLLOW_EVENTS = [
+    'MESSAGE_RECEIVED',
+    'MESSAGE_SENT',
+    'MESSAGE_EDITED',
+    'MESSAGE_UPDATED',
+    'MESSAGE_DELETED',
+    'MESSAGE_SWIPED',
+];
+
+/**
+ * Toggle live follow from the header button.
+ */
+function toggleLiveFollow() {
+    if (state.source?.type !== 'context') {
+        toastr.info('실시간 추적은 현재 채팅을 읽을 때만 사용할 수 있습니다.');
+        return;
+    }
+
+    const enabled = !getSettings().liveFollow;
+    updateSetting('liveFollow', enabled);
+    if (enabled) {
+        startLiveFollow();
+        // Catch up with anything that arrived since the reader was opened
+        syncLiveChat();
+        toastr.info('실시간 추적을 켰습니다.');
+    } else {
+        stopLiveFollow();
+        toastr.info('실시간 추적을 껐습니다.');
+    }
+    updateLiveFollowButton();
+}
+
+/**
+ * Subscribe to ST message events. Only the active chat can be followed.
+ */
+function startLiveFollow() {
+    if (state._liveHandler || state.source?.type !== 'context') return;
+
+    const { eventSource, event_types } = SillyTavern.getContext();
+    // Events often arrive in bursts (e.g. swipe + received) — sync once
+    state._liveHandler = () => {
+        clearTimeout(state._liveSyncTimer);
+        state._liveSyncTimer = setTimeout(syncLiveChat, 100);
+    };
+    for (const name of LIVE_FOLLOW_EVENTS) {
+        if (event_types[name]) eventSource.on(event_types[name], state._liveHandler);
+    }
+}
+
+/**
+ * Unsubscribe from ST message events.
+ */
+function stopLiveFollow() {
+    clearTimeout(state._liveSyncTimer);
+    state._liveSyncTimer = null;
+    if (!state._liveHandler) return;
+
+    const { eventSource, event_types } = SillyTavern.getContext();
+    for (const name of LIVE_FOLLOW_EVENTS) {
+        if (event_types[name]) eventSource.removeListener(event_types[name], state._liveHandler);
+    }
+    state._liveHandler = null;
+}
+
+/**
+ * Reflect the live follow state on the header button.
+ */
+function updateLiveFollowButton() {
+    const btn = state.overlay?.querySelector('.cn-live-btn');
+    if (!btn) return;
+    btn.classList.toggle('cn-btn-active', !!state._liveHandler);
+    btn.disabled = state.source?.type !== 'context';
+}
+
+/**
+ * Re-parse context.chat and patch the rendered content in place.
+ * Chapters whose message indices still line up keep their DOM: only changed
+ * messages are re-rendered, and messages appended to / removed from the end of
+ * a chapter are inserted / dropped. Other chapters are re-rendered whole.
+ */
+function syncLiveChat() {
+    if (!state.isOpen || state.source?.type !== 'context') return;
+
+    const contentEl = state.overlay.querySelector('.cn-content');
+    if (!contentEl || contentEl.querySelector('.cn-loading')) return;
+
+    const context = SillyTavern.getContext();
+    if (!context.chat || context.chat.length === 0) return;
+
+    const settings = getSettings();
+    const parsed = parseChatArray(context.chat, state.userName, state.characterName);
+    const chapters = buildChapters(parsed.messages, settings);
+    const renderOptions = buildRenderOptions(settings, state.userName, state.characterName);
+
+    // Follow the tail only if the reader is already there
+    const wasAtEnd = state.pageMode
+        ? state.currentPage >= state.totalPages - 1
+        : contentEl.scrollHeight - contentEl.scrollTop - contentEl.clientHeight < 40;
+
+    // Unrendered chapters are simply laid out again from the new data
+    const placeholders = [];
+
+    chapters.forEach((chapter, i) => {
+        const old = state.chapters[i];
+        const chapterEl = contentEl.querySelector(`#cn-chapter-${i}`);
+        if (chapterEl && state.virtualizer && !state.virtualizer.isRendered(i)) {
+            placeholders.push(i);
+            return;
+        }
+        const shared = old ? Math.min(old.messages.length, chapter.messages.length) : 0;
+        const aligned = old && chapterEl
+            && old.messages.slice(0, shared).every((m, j) => m._index === chapter.messages[j]._index);
+
+        if (!aligned) {
+            const html = renderChapter(viewChapter(chapter), renderOptions);
+            if (chapterEl) {
+                chapterEl.outerHTML = html;
+            } else {
+                contentEl.insertAdjacentHTML('beforeend', html);
+            }
+            return;
+        }
+
+        if (old.title !== chapter.title || old.summary !== chapter.summary) {
+            updateChapterHeading(chapterEl, chapter, settings);
+        }
+
+        const plan = planChapterSync(old, chapter, renderOptions);
+        for (const msg of plan.rerender) {
+            const msgEl = chapterEl.querySelector(`[data-msg-index="${msg._index}"]`);
+            if (msgEl) msgEl.outerHTML = renderMessageBlock(viewMessage(msg), renderOptions);
+        }
+
+        const bodyEl = chapterEl.querySelector('.cn-chapter-content');
+        for (const msg of plan.append) {
+            bodyEl.insertAdjacentHTML('beforeend', renderMessageBlock(viewMessage(msg), renderOptions));
+        }
+        for (const msg of plan.remove) {
+            chapterEl.querySelector(`[data-msg-index="${msg._index}"]`)?.remove();
+        }
+    });
+
+    // Chapters that no longer exist (messages deleted)
+    for (let i = chapters.length; i < state.chapters.length; i++) {
+        contentEl.querySelector(`#cn-chapter-${i}`)?.remove();
+    }
+
+    state.chapters = chapters;
+    placeholders.forEach(i => state.virtualizer.reset(i));
+    state.virtualizer?.sync();
+    state.renderedText = indexRenderedText(contentEl);
+    markBookmarkedMessages(contentEl);
+    renderUnreadDivider(contentEl);
+    updateUnreadBadge();
+    refreshSidebar();
+
+    if (state.pageMode) {
+        recalcPageLayout(contentEl);
+        // recalcPageLayout counts pages in the next frame
+        if (wasAtEnd) requestAnimationFrame(() => goToPage(contentEl, state.totalPages - 1));
+    } else {
+        if (wasAtEnd) contentEl.scrollTo({ top: contentEl.scrollHeight, behavior: 'smooth' });
+        updateProgress(contentEl);
+    }
+}
+
 /**
  * Show the theme quick-switcher.
  */
+// ===== Swipe Viewer =====
+
+/**
+ * Get the message as currently viewed — with the swipe picked in the reader
+ * substituted for the chosen one.
+ * @param {Object} msg - Parsed message
+ * @returns {Object}
+ */
+function viewMessage(msg) {
+    const swipe = state.swipeView.get(msg._index);
+    if (swipe === undefined || swipe === msg.swipe_id || typeof msg.swipes?.[swipe] !== 'string') {
+        return msg;
+    }
+    return {
+        ...msg,
+        mes: msg.swipes[swipe],
+        _viewSwipe: swipe,
+        _variables: getStoredVariables(msg, swipe) ?? msg._variablesBefore,
+    };
+}
+
+/**
+ * Get a chapter with its messages as currently viewed.
+ * @param {Object} chapter
+ * @returns {Object}
+ */
+function viewChapter(chapter) {
+    if (state.swipeView.size === 0) return chapter;
+    return { ...chapter, messages: chapter.messages.map(viewMessage) };
+}
+
+/**
+ * Find a parsed message of the current chat by its _index.
+ * @param {number} msgIndex
+ * @returns {Object|null}
+ */
+function findMessage(msgIndex) {
+    for (const chapter of state.chapters) {
+        const msg = chapter.messages.find(m => m._index === msgIndex);
+        if (msg) return msg;
+    }
+    return null;
+}
+
+/**
+ * Set up the swipe switcher buttons (delegated).
+ * @param {HTMLElement} contentEl
+ */
+function setupSwipeSwitcher(contentEl) {
+    contentEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('.cn-swipe-prev, .cn-swipe-next');
+        if (!btn) return;
+        e.stopPropagation();
+
+        const msgEl = btn.closest('.cn-message[data-msg-index]');
+        if (msgEl) switchSwipe(msgEl, btn.classList.contains('cn-swipe-next') ? 1 : -1);
+    });
+}
+
+/**
+ * Flip a message to its previous / next swipe and re-render only that message.
+ * @param {HTMLElement} msgEl
+ * @param {number} delta - -1 or 1
+ */
+function switchSwipe(msgEl, delta) {
+    const msgIndex = parseInt(msgEl.dataset.msgIndex, 10);
+    const msg = findMessage(msgIndex);
+    if (!msg || !Array.isArray(msg.swipes) || msg.swipes.length < 2) return;
+
+    const count = msg.swipes.length;
+    const current = state.swipeView.get(msgIndex) ?? msg.swipe_id ?? 0;
+    const next = (current + delta + count) % count;
+
+    if (next === msg.swipe_id) {
+        state.swipeView.delete(msgIndex);
+    } else {
+        state.swipeView.set(msgIndex, next);
+    }
+
+    const settings = getSettings();
+    const renderOptions = buildRenderOptions(settings, state.userName, state.characterName);
+    const wasBookmarked = msgEl.classList.contains('cn-bookmarked');
+
+    const template = document.createElement('template');
+    template.innerHTML = renderMessageBlock(viewMessage(msg), renderOptions);
+    const newEl = template.content.firstElementChild;
+    newEl.classList.toggle('cn-bookmarked', wasBookmarked);
+    msgEl.replaceWith(newEl);
+    indexRenderedText(newEl.parentElement, state.renderedText);
+    // Results and highlights follow the swipe now shown
+    if (state.search.pattern) refreshSidebar();
+
+    const contentEl = state.overlay.querySelector('.cn-content');
+    if (state.pageMode) {
+        recalcPageLayout(contentEl);
+    } else {
+        updateProgress(contentEl);
+    }
+}
+
+// ===== Unread Messages =====
+
+/**
+ * Raise readUpTo to the last message that has appeared on screen.
+ * Messages are in document order, so the last one starting before the end of
+ * the viewport is found by binary search.
+ * @param {HTMLElement} contentEl
+ */
+function trackReadProgress(contentEl) {
+    const msgEls = contentEl.querySelectorAll('.cn-message[data-msg-index]');
+    if (msgEls.length === 0) return;
+
+    const viewRect = contentEl.getBoundingClientRect();
+    const startsOnScreen = (el) => {
+        const rect = el.getBoundingClientRect();
+        // Page mode lays messages out in columns
+        return state.pageMode ? rect.left < viewRect.right : rect.top < viewRect.bottom;
+    };
+
+    let lo = 0;
+    let hi = msgEls.length - 1;
+    let last = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (startsOnScreen(msgEls[mid])) {
+            last = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    if (last < 0) return;
+
+    const msgIndex = parseInt(msgEls[last].dataset.msgIndex, 10);
+    if (msgIndex > state.readUpTo) {
+        state.readUpTo = msgIndex;
+        updateUnreadBadge();
+    }
+}
+
+/**
+ * Get the messages after readUpTo.
+ * @returns {Array}
+ */
+function getUnreadMessages() {
+    return state.chapters.flatMap(ch => ch.messages).filter(m => m._index > state.readUpTo);
+}
+
+/**
+ * Show the unread count on the header button (hidden on a chat's first visit).
+ */
+function updateUnreadBadge() {
+    const btn = state.overlay?.querySelector('.cn-unread-btn');
+    if (!btn) return;
+
+    const count = state.unreadAfter != null ? getUnreadMessages().length : 0;
+    btn.style.display = count > 0 ? '' : 'none';
+    btn.textContent = `🆕 ${count > 999 ? '999+' : count}`;
+}
+
+/**
+ * Draw the "여기부터 새 메시지" divider after the last message read before this visit.
+ * @param {HTMLElement} contentEl
+ */
+function renderUnreadDivider(contentEl) {
+    contentEl.querySelector('.cn-unread-divider')?.remove();
+    if (state.unreadAfter == null) return;
+
+    const first = state.chapters.flatMap(ch => ch.messages).find(m => m._index > state.unreadAfter);
+    const msgEl = first && contentEl.querySelector(`[data-msg-index="${first._index}"]`);
+    if (!msgEl) return;
+
+    msgEl.insertAdjacentHTML('beforebegin', '<div class="cn-unread-divider"><span>여기부터 새 메시지</span></div>');
+}
+
+/**
+ * Jump to the first message not read yet.
+ */
+function jumpToUnread() {
+    const first = getUnreadMessages()[0];
+    if (!first) {
+        toastr.info('새 메시지가 없습니다.');
+        return;
+    }
+    jumpToMessage(first._index);
+}
+
+// ===== Resume Recap =====
+
+/** Minimum time away before the recap card is shown (unless new messages arrived) */
+const RECAP_MIN_AWAY_MS = 30 * 60 * 1000;
+
+/** Bookmarks listed on the recap card */
+const RECAP_MAX_BOOKMARKS = 5;
+
+/**
+ * Show the dismissible "지난 이야기" card when returning to a chat: time since the last
+ * read, messages that arrived since, bookmarks already passed, and the previous chapter's summary.
+ * @param {Object} savedPos - Saved reading position (see saveReadingPosition)
+ */
+function showResumeRecap(savedPos) {
+    state.overlay.querySelector('.cn-resume-recap')?.remove();
+
+    const messages = state.chapters.flatMap(ch => ch.messages);
+    const awayMs = Date.now() - (savedPos.timestamp || Date.now());
+    // Positions saved before lastMsgIndex existed: fall back to send dates
+    const newCount = savedPos.lastMsgIndex != null
+        ? messages.filter(m => m._index > savedPos.lastMsgIndex).length
+        : messages.filter(m => m._parsedDate?.getTime() > savedPos.timestamp).length;
+    if (awayMs < RECAP_MIN_AWAY_MS && newCount === 0) return;
+
+    const passed = getBookmarks(state.chatId).filter(bm => bm.msgIndex <= (savedPos.msgIndex ?? -1));
+    const chapterIdx = state.chapters.findIndex(ch => ch.messages.some(m => m._index === savedPos.msgIndex));
+    const previous = chapterIdx > 0 ? state.chapters[chapterIdx - 1] : null;
+
+    const card = document.createElement('div');
+    card.className = 'cn-resume-recap';
+    card.innerHTML = `
+        <div class="cn-recap-header">
+            <span class="cn-recap-title">📖 지난 이야기</span>
+            <button class="cn-recap-close" title="닫기">✕</button>
+        </div>
+        <div class="cn-recap-stats">
+            <span>마지막으로 읽은 지 <strong>${formatElapsed(awayMs)}</strong>이 지났습니다</span>
+            <span>${newCount > 0 ? `그 뒤로 새 메시지 <strong>${newCount}개</strong>` : '새 메시지 없음'}</span>
+        </div>
+        ${passed.length > 0 ? `
+            <div class="cn-recap-section">
+                <div class="cn-recap-label">지나온 북마크${passed.length > RECAP_MAX_BOOKMARKS ? ` (최근 ${RECAP_MAX_BOOKMARKS}개 / ${passed.length}개)` : ''}</div>
+                ${passed.slice(-RECAP_MAX_BOOKMARKS).map(bm => `
+                    <div class="cn-recap-bookmark" data-msg-index="${bm.msgIndex}">🔖 ${escapeHtml(bm.label || `메시지 #${bm.msgIndex}`)}</div>
+                `).join('')}
+            </div>` : ''}
+        ${previous?.summary ? `
+            <div class="cn-recap-section">
+                <div class="cn-recap-label">이전 챕터 — ${escapeHtml(previous.title)}</div>
+                <div class="cn-recap-summary">${escapeHtml(previous.summary)}</div>
+            </div>` : ''}
+        <button class="cn-recap-continue">이어 읽기</button>
+    `;
+
+    const dismiss = () => card.remove();
+    card.querySelector('.cn-recap-close').addEventListener('click', dismiss);
+    card.querySelector('.cn-recap-continue').addEventListener('click', dismiss);
+    card.querySelectorAll('.cn-recap-bookmark').forEach(item => {
+        item.addEventListener('click', () => {
+            dismiss();
+            jumpToMessage(parseInt(item.dataset.msgIndex, 10));
+        });
+    });
+
+    state.overlay.appendChild(card);
+}
+
+/**
+ * Format a duration as a rough Korean phrase, e.g. "3일", "2시간".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return '1분 미만';
+    if (minutes < 60) return `${minutes}분`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}시간`;
+    const days = Math.floor(hours / 24);
+    if (days < 30) return `${days}일`;
+    const months = Math.floor(days / 30);
+    if (months < 12) return `${months}개월`;
+    return `${Math.floor(days / 365)}년`;
+}
+
 // ===== Bookmark Context Menu =====
 
 /**
@@ -1053,10 +2188,15 @@ function setupBookmarkContextMenu(contentEl) {
         clearTimeout(longPressTimer);
         longPressTarget = null;
     }, { passive: true });
+}
 
-    // Mark already-bookmarked messages
-    const bookmarks = getBookmarks(state.chatId);
-    for (const bm of bookmarks) {
+/**
+ * Mark already-bookmarked messages of the current chat.
+ * @param {HTMLElement} contentEl
+ */
+function markBookmarkedMessages(contentEl) {
+    const bookmarks = getBookmarks(state.chatId);
+    for (const bm of bookmarks) {
         const el = contentEl.querySelector(`[data-msg-index="${bm.msgIndex}"]`);
         if (el) el.classList.add('cn-bookmarked');
     }
@@ -1118,6 +2258,7 @@ function showBookmarkMenu(msgEl, x, y) {
         });
     }
 
+    appendChapterBreakItem(menu, msgIndex);
     state.overlay.appendChild(menu);
 
     // 화면 밖으로 나가지 않도록 위치 보정
@@ -1143,6 +2284,160 @@ function showBookmarkMenu(msgEl, x, y) {
     setTimeout(() => document.addEventListener('click', close), 0);
 }
 
+/**
+ * Add the insert / remove chapter break item to a message's context menu.
+ * @param {HTMLElement} menu
+ * @param {number} msgIndex
+ */
+function appendChapterBreakItem(menu, msgIndex) {
+    const chapterIdx = state.chapters.findIndex(ch => ch.messages[0]?._index === msgIndex);
+    // The very first message always starts a chapter
+    if (chapterIdx === 0) return;
+
+    const item = document.createElement('div');
+    item.className = 'cn-context-item cn-context-break';
+    item.textContent = chapterIdx > 0 ? '📑 챕터 나누기 제거 (앞 챕터와 합치기)' : '📑 여기서 새 챕터 시작';
+    item.addEventListener('click', () => {
+        menu.remove();
+        editChapterBreak(msgIndex, chapterIdx < 0);
+    });
+    menu.appendChild(item);
+}
+
+/**
+ * Insert or remove a manual chapter break, re-split and keep the message in view.
+ * @param {number} msgIndex - Message that should (not) start a chapter
+ * @param {boolean} isBreak
+ */
+function editChapterBreak(msgIndex, isBreak) {
+    setChapterBreak(state.chatId, msgIndex, isBreak);
+    reRender(state.userName, state.characterName);
+    requestAnimationFrame(() => jumpToMessage(msgIndex));
+}
+
+/**
+ * Ask which message a chapter should be split at, then split it.
+ * @param {number} chapterIdx
+ */
+function promptChapterSplit(chapterIdx) {
+    const messages = state.chapters[chapterIdx]?.messages || [];
+    if (messages.length < 2) return;
+
+    const first = messages[1]._index;
+    const last = messages[messages.length - 1]._index;
+    const middle = messages[Math.floor(messages.length / 2)]._index;
+    const answer = prompt(`새 챕터를 시작할 메시지 번호 (#${first} ~ #${last}):`, String(middle));
+    if (answer == null) return;
+
+    const msgIndex = parseInt(answer.replace('#', ''), 10);
+    if (!messages.slice(1).some(m => m._index === msgIndex)) {
+        toastr.warning(`#${first} ~ #${last} 사이의 메시지 번호를 입력하세요.`);
+        return;
+    }
+    editChapterBreak(msgIndex, true);
+}
+
+/**
+ * Find custom chapter names whose anchor message no longer starts a chapter,
+ * e.g. after the chapter settings changed or the message was deleted.
+ * @returns {Array<{msgIndex: number, name: string, exists: boolean}>}
+ */
+function findOrphanNames() {
+    const starts = new Set(state.chapters.map(ch => ch.messages[0]?._index));
+    const messages = new Set(state.chapters.flatMap(ch => ch.messages.map(m => m._index)));
+
+    return Object.entries(getChapterNames(state.chatId))
+        .map(([anchor, name]) => ({ msgIndex: Number(anchor), name }))
+        .filter(entry => !starts.has(entry.msgIndex))
+        .map(entry => ({ ...entry, exists: messages.has(entry.msgIndex) }))
+        .sort((a, b) => a.msgIndex - b.msgIndex);
+}
+
+// ===== Chapter Summaries =====
+
+/**
+ * Update a rendered chapter's title and summary box in place.
+ * @param {HTMLElement} chapterEl
+ * @param {Object} chapter
+ * @param {Object} settings
+ */
+function updateChapterHeading(chapterEl, chapter, settings) {
+    const titleEl = chapterEl.querySelector('.cn-chapter-title');
+    if (titleEl) titleEl.textContent = chapter.title;
+
+    chapterEl.querySelector('.cn-chapter-recap')?.remove();
+    if (settings.chapterRecap && chapter.summary) {
+        chapterEl.querySelector('.cn-chapter-content')?.insertAdjacentHTML('beforebegin', renderChapterRecap(chapter.summary));
+    }
+}
+
+/**
+ * Generate titles and summaries with the model — for the given chapters, or for
+ * every chapter without an up-to-date summary. Calling it while running cancels.
+ * @param {number[]} [chapterIdxs]
+ */
+async function generateChapterSummaries(chapterIdxs) {
+    if (state._summaryAbort) {
+        state._summaryAbort.abort();
+        return;
+    }
+
+    const summaries = getChapterSummaries(state.chatId);
+    const targets = chapterIdxs
+        ? chapterIdxs.map(i => state.chapters[i]).filter(Boolean)
+        : state.chapters.filter(ch => {
+            const cached = summaries[ch.messages[0]?._index];
+            return !cached || cached.endIndex !== ch.messages[ch.messages.length - 1]?._index;
+        });
+    if (targets.length === 0) {
+        toastr.info('모든 챕터에 요약이 있습니다.');
+        return;
+    }
+
+    const settings = getSettings();
+    const chatId = state.chatId;
+    const abort = new AbortController();
+    state._summaryAbort = abort;
+    refreshSidebar();
+    toastr.info(`챕터 ${targets.length}개 요약 생성 중...`);
+
+    let failed = 0;
+    const done = await summarizeChapters(targets, {
+        renderOptions: buildRenderOptions(settings, state.userName, state.characterName),
+        signal: abort.signal,
+        onResult: (chapter, result) => {
+            const anchor = chapter.messages[0]._index;
+            setChapterSummary(chatId, anchor, {
+                ...result,
+                endIndex: chapter.messages[chapter.messages.length - 1]._index,
+            });
+            // The reader may have moved on to another chat or re-split meanwhile
+            if (state.chatId !== chatId || !state.overlay) return;
+            const idx = state.chapters.findIndex(ch => ch.messages[0]?._index === anchor);
+            if (idx < 0) return;
+
+            const current = state.chapters[idx];
+            current.summary = result.summary;
+            if (result.title && getChapterNames(chatId)[anchor] == null) current.title = result.title;
+            const chapterEl = state.overlay.querySelector(`#cn-chapter-${idx}`);
+            if (chapterEl) updateChapterHeading(chapterEl, current, settings);
+            refreshSidebar();
+        },
+        onError: () => { failed++; },
+    });
+
+    if (state._summaryAbort === abort) state._summaryAbort = null;
+    refreshSidebar();
+
+    if (abort.signal.aborted) {
+        toastr.info(`요약 생성을 중단했습니다. (${done}/${targets.length})`);
+    } else if (failed > 0) {
+        toastr.warning(`챕터 ${failed}개는 요약하지 못했습니다. (${done}/${targets.length} 완료)`);
+    } else {
+        toastr.success(`챕터 ${done}개 요약 완료`);
+    }
+}
+
 /**
  * Refresh sidebar to reflect bookmark/chapter name changes.
  */
@@ -1152,27 +2447,20 @@ function refreshSidebar() {
     const sidebarContainer = state.overlay.querySelector('.cn-sidebar-container');
     if (!sidebarContainer) return;
 
-    const customNames = getChapterNames(state.chatId);
+    const settings = getSettings();
+    const searchRenderOptions = buildRenderOptions(settings, state.userName, state.characterName);
+    const breaks = getChapterBreaks(state.chatId);
+    const wasOpen = state.sidebar ? state.sidebar.isOpen() : true;
     sidebarContainer.innerHTML = '';
     state.sidebar = createSidebar(sidebarContainer, state.chapters, (chapterIdx) => {
         scrollToChapter(chapterIdx);
     }, {
         bookmarks: getBookmarks(state.chatId),
-        chapterNames: customNames,
+        orphanNames: findOrphanNames(),
+        hasManualBreaks: breaks.add.length > 0 || breaks.remove.length > 0,
+        summarizing: !!state._summaryAbort,
         onBookmarkClick: (msgIndex) => {
-            const msgEl = contentEl?.querySelector(`[data-msg-index="${msgIndex}"]`);
-            if (msgEl) {
-                if (state.pageMode) {
-                    const rect = contentEl.getBoundingClientRect();
-                    const pageUnit = rect.width * 2;
-                    const page = Math.floor(msgEl.offsetLeft / pageUnit);
-                    goToPage(contentEl, page);
-                } else {
-                    msgEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
-                msgEl.classList.add('cn-msg-highlight');
-                setTimeout(() => msgEl.classList.remove('cn-msg-highlight'), 2000);
-            }
+            jumpToMessage(msgIndex);
         },
         onBookmarkRemove: (msgIndex) => {
             removeBookmark(state.chatId, msgIndex);
@@ -1180,14 +2468,207 @@ function refreshSidebar() {
             if (el) el.classList.remove('cn-bookmarked');
         },
         onChapterRename: (chapterIdx, newName) => {
-            setChapterName(state.chatId, chapterIdx, newName);
+            const anchor = state.chapters[chapterIdx]?.messages[0]?._index;
+            if (anchor == null) return;
+            setChapterName(state.chatId, anchor, newName);
             const chapterTitleEl = state.overlay.querySelector(`#cn-chapter-${chapterIdx} .cn-chapter-title`);
             if (chapterTitleEl) chapterTitleEl.textContent = newName;
             if (state.chapters[chapterIdx]) state.chapters[chapterIdx].title = newName;
         },
+        onChapterMerge: (chapterIdx) => {
+            const next = state.chapters[chapterIdx + 1];
+            if (next) editChapterBreak(next.messages[0]._index, false);
+        },
+        onChapterSplit: (chapterIdx) => {
+            promptChapterSplit(chapterIdx);
+        },
+        onSummarize: () => {
+            generateChapterSummaries();
+        },
+        onChapterSummarize: (chapterIdx) => {
+            generateChapterSummaries([chapterIdx]);
+        },
+        onOrphanClick: (msgIndex) => {
+            jumpToMessage(msgIndex);
+        },
+        onOrphanRestore: (msgIndex) => {
+            editChapterBreak(msgIndex, true);
+        },
+        onOrphanRemove: (msgIndex) => {
+            setChapterName(state.chatId, msgIndex, '');
+            refreshSidebar();
+        },
+        search: state.search.query,
+        getSearchText: settings.searchRenderedText
+            ? msg => getRenderedText(msg, searchRenderOptions)
+            : undefined,
+        onSearch: (query, pattern, results) => {
+            state.search = { ...state.search, query, pattern, results };
+            applySearchHighlights();
+            if (pattern && settings.searchRenderedText) indexRenderedTextInBackground(settings);
+        },
+        onSearchResultClick: (msgIndex, hitIdx) => {
+            showSearchHit(msgIndex, hitIdx);
+        },
+        onSearchNavigate: (delta) => {
+            navigateSearch(delta);
+        },
+        onBreaksReset: () => {
+            if (!confirm('직접 나누거나 합친 챕터를 모두 자동 분할로 되돌릴까요?')) return;
+            clearChapterBreaks(state.chatId);
+            reRender(state.userName, state.characterName);
+        },
     });
     sidebarContainer.appendChild(state.sidebar.element);
     state.sidebar.highlightChapter(state.currentChapter);
+    // The restored search highlighted the content before the new sidebar existed
+    state.sidebar.setSearchPosition(state.search.current, state.search.marks.length);
+    // Keep a collapsed sidebar collapsed across rebuilds
+    if (!wasOpen) state.sidebar.toggle();
+}
+
+/**
+ * Bring a message into view (scroll or page mode) and flash a highlight on it.
+ * @param {number} msgIndex
+ */
+function jumpToMessage(msgIndex) {
+    const contentEl = state.overlay?.querySelector('.cn-content');
+    const msgEl = contentEl && getMessageElement(msgIndex);
+    if (!msgEl) return;
+
+    revealElement(contentEl, msgEl);
+    msgEl.classList.add('cn-msg-highlight');
+    setTimeout(() => msgEl.classList.remove('cn-msg-highlight'), 2000);
+}
+
+/**
+ * Bring an element of the content into view — scroll to it, or turn to its page.
+ * @param {HTMLElement} contentEl
+ * @param {HTMLElement} el
+ */
+function revealElement(contentEl, el) {
+    if (state.pageMode) {
+        // Find which page contains the element
+        const contentRect = contentEl.getBoundingClientRect();
+        const offset = el.getBoundingClientRect().left - contentRect.left;
+        goToPage(contentEl, state.currentPage + Math.floor(offset / contentRect.width));
+    } else {
+        const top = contentEl.scrollTop + screenOffset(contentEl, el);
+        el.scrollIntoView({ behavior: scrollBehaviorTo(contentEl, top), block: 'center' });
+    }
+}
+
+// ===== Search Highlights =====
+
+/**
+ * F3 / Shift+F3 step through the search hits (scroll and page mode).
+ */
+function setupSearchNavigation() {
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'F3' || !state.search.pattern) return;
+        e.preventDefault();
+        navigateSearch(e.shiftKey ? -1 : 1);
+    }, { signal: state._abortController?.signal });
+}
+
+/**
+ * Highlight the current search's hits in the rendered messages it found.
+ */
+function applySearchHighlights() {
+    const contentEl = state.overlay?.querySelector('.cn-content');
+    if (!contentEl) return;
+
+    clearHighlights(contentEl);
+    highlightSearchResults(contentEl);
+    state.search.current = -1;
+    collectSearchMarks(contentEl);
+}
+
+/**
+ * Highlight the search hits of the result messages rendered under an element.
+ * @param {HTMLElement} root - Content area or a chapter
+ */
+function highlightSearchResults(root) {
+    if (!state.search.pattern) return;
+    for (const result of state.search.results) {
+        const bodyEl = root.querySelector(`[data-msg-index="${result.message._index}"] .cn-msg-body`);
+        if (bodyEl) highlightMatches(bodyEl, state.search.pattern);
+    }
+}
+
+/**
+ * Gather the highlighted hits in reading order, keeping the current one.
+ * @param {HTMLElement} contentEl
+ */
+function collectSearchMarks(contentEl) {
+    const currentMark = state.search.marks[state.search.current];
+    const marks = [...contentEl.querySelectorAll('mark.cn-search-hit')];
+    state.search.marks = marks;
+    state.search.current = currentMark ? marks.indexOf(currentMark) : -1;
+    state.sidebar?.setSearchPosition(state.search.current, marks.length);
+}
+
+/**
+ * Move to the previous / next highlighted hit, wrapping around.
+ * @param {number} delta - -1 | 1
+ */
+function navigateSearch(delta) {
+    // Hits are counted in the content, so every chapter with results has to be there
+    new Set(state.search.results.map(r => r.chapterIdx)).forEach(idx => state.virtualizer?.ensureRendered(idx));
+
+    const { marks, current } = state.search;
+    if (marks.length === 0) return;
+    const next = current < 0
+        ? (delta > 0 ? firstMarkOnScreen() : firstMarkOnScreen() - 1)
+        : current + delta;
+    setCurrentSearchHit((next + marks.length) % marks.length);
+}
+
+/**
+ * Index of the first hit at or after the top of the view — where F3 starts.
+ * @returns {number}
+ */
+function firstMarkOnScreen() {
+    const contentEl = state.overlay.querySelector('.cn-content');
+    const viewRect = contentEl.getBoundingClientRect();
+    const idx = state.search.marks.findIndex(mark => {
+        const rect = mark.getBoundingClientRect();
+        return state.pageMode ? rect.left >= viewRect.left : rect.top >= viewRect.top;
+    });
+    return idx < 0 ? 0 : idx;
+}
+
+/**
+ * Make a hit the current one and bring it into view.
+ * @param {number} index - Index into state.search.marks
+ */
+function setCurrentSearchHit(index) {
+    const { marks, current } = state.search;
+    marks[current]?.classList.remove('cn-search-hit-current');
+    const mark = marks[index];
+    if (!mark) return;
+
+    mark.classList.add('cn-search-hit-current');
+    state.search.current = index;
+    revealElement(state.overlay.querySelector('.cn-content'), mark);
+    state.sidebar?.setSearchPosition(index, marks.length);
+}
+
+/**
+ * Show a hit picked from the result list.
+ * Falls back to the message when the hit isn't visible in the rendered text.
+ * @param {number} msgIndex
+ * @param {number} hitIdx - Hit number within the message
+ */
+function showSearchHit(msgIndex, hitIdx) {
+    const msgEl = state.overlay && getMessageElement(msgIndex);
+    const msgMarks = msgEl ? [...msgEl.querySelectorAll('mark.cn-search-hit')] : [];
+    const mark = msgMarks[hitIdx] || msgMarks[0];
+    if (mark) {
+        setCurrentSearchHit(state.search.marks.indexOf(mark));
+    } else {
+        jumpToMessage(msgIndex);
+    }
 }
 
 function showThemePanel() {
@@ -1236,6 +2717,357 @@ function showThemePanel() {
     state.overlay.querySelector('.cn-header').appendChild(popup);
 }
 
+/**
+ * Show the export format menu.
+ */
+function showExportMenu() {
+    const existing = state.overlay?.querySelector('.cn-export-popup');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const popup = document.createElement('div');
+    popup.className = 'cn-theme-popup cn-export-popup';
+    popup.innerHTML = `
+        <div class="cn-popup-title">📤 내보내기</div>
+        <div class="cn-theme-popup-item" data-format="html">
+            <strong>HTML</strong>
+            <small>브라우저에서 읽는 단일 파일</small>
+        </div>
+        <div class="cn-theme-popup-item" data-format="epub">
+            <strong>EPUB</strong>
+            <small>전자책 리더용 (챕터별 목차)</small>
+        </div>
+        <div class="cn-theme-popup-item" data-format="txt">
+            <strong>TXT</strong>
+            <small>서식 없는 텍스트</small>
+        </div>
+        <div class="cn-theme-popup-item" data-format="md">
+            <strong>Markdown</strong>
+            <small>글쓰기 도구·커뮤니티 붙여넣기용</small>
+        </div>
+        <div class="cn-theme-popup-item" data-format="print">
+            <strong>인쇄용 내보내기</strong>
+            <small>쪽 번호·목차가 있는 인쇄 / PDF</small>
+        </div>
+    `;
+
+    const closeHandler = (e) => {
+        if (!popup.contains(e.target) && !e.target.closest('.cn-export-btn')) {
+            popup.remove();
+            document.removeEventListener('click', closeHandler);
+        }
+    };
+
+    popup.querySelectorAll('.cn-theme-popup-item').forEach(item => {
+        item.addEventListener('click', () => {
+            popup.remove();
+            document.removeEventListener('click', closeHandler);
+            const format = item.dataset.format;
+            if (format === 'epub') {
+                handleEpubExport(state.userName, state.characterName);
+            } else if (format === 'txt' || format === 'md') {
+                handleTextExport(format, state.userName, state.characterName);
+            } else if (format === 'print') {
+                handlePrintExport(state.userName, state.characterName);
+            } else {
+                handleExport(state.userName, state.characterName);
+            }
+        });
+    });
+
+    setTimeout(() => document.addEventListener('click', closeHandler), 0);
+
+    state.overlay.querySelector('.cn-header').appendChild(popup);
+}
+
+/**
+ * Show the chat picker — every chat file of the current character,
+ * with message count, last date and saved reading progress.
+ */
+async function showChatPicker() {
+    const existing = state.overlay?.querySelector('.cn-chat-picker');
+    if (existing) {
+        existing.closest('.cn-settings-overlay').remove();
+        return;
+    }
+
+    const panelContainer = document.createElement('div');
+    panelContainer.className = 'cn-settings-overlay';
+    panelContainer.innerHTML = `
+        <div class="cn-settings-panel cn-chat-picker">
+            <div class="cn-settings-header">
+                <h3>📚 채팅 목록</h3>
+                <button class="cn-settings-close" title="닫기">✕</button>
+            </div>
+            <div class="cn-settings-body cn-chat-picker-list">
+                <div class="cn-chat-picker-empty">불러오는 중...</div>
+            </div>
+        </div>
+    `;
+    state.overlay.appendChild(panelContainer);
+
+    panelContainer.querySelector('.cn-settings-close').addEventListener('click', () => {
+        panelContainer.remove();
+    });
+
+    const listEl = panelContainer.querySelector('.cn-chat-picker-list');
+    let chats;
+    try {
+        chats = await listCharacterChats();
+    } catch (e) {
+        console.error('[ChatNovel] Failed to list chats:', e);
+        listEl.innerHTML = `<div class="cn-chat-picker-empty">${escapeHtml(e.message)}</div>`;
+        return;
+    }
+
+    if (chats.length === 0) {
+        listEl.innerHTML = '<div class="cn-chat-picker-empty">채팅 파일이 없습니다.</div>';
+        return;
+    }
+
+    const activeFile = SillyTavern.getContext().getCurrentChatId?.();
+    const shownFile = state.source?.type !== 'file' ? state.source?.fileName : null;
+
+    listEl.innerHTML = chats.map(chat => {
+        const pos = getReadingPositionByFile(chat.fileName);
+        const progress = pos ? Math.round(pos.progress || 0) : null;
+        const lastDate = chat.lastDate.getTime() > 0 ? formatChatDate(chat.lastDate) : '';
+        return `
+            <div class="cn-chat-picker-item ${chat.fileName === shownFile ? 'cn-chat-picker-current' : ''}"
+                 data-file="${escapeHtml(chat.fileName)}">
+                <div class="cn-chat-picker-name">
+                    ${escapeHtml(chat.fileName)}
+                    ${chat.fileName === activeFile ? '<span class="cn-chat-picker-badge">현재 채팅</span>' : ''}
+                </div>
+                <div class="cn-chat-picker-meta">${chat.messageCount}개 메시지${lastDate ? ` · ${lastDate}` : ''}</div>
+                <div class="cn-chat-picker-progress">
+                    <div class="cn-chat-picker-progress-bar" style="width:${progress ?? 0}%"></div>
+                </div>
+                <div class="cn-chat-picker-progress-text">${progress != null ? `${progress}% 읽음` : '읽은 기록 없음'}</div>
+            </div>
+        `;
+    }).join('');
+
+    listEl.querySelectorAll('.cn-chat-picker-item').forEach(item => {
+        item.addEventListener('click', async () => {
+            if (item.classList.contains('cn-chat-picker-loading')) return;
+            item.classList.add('cn-chat-picker-loading');
+            try {
+                await openCharacterChat(item.dataset.file);
+                panelContainer.remove();
+            } catch (e) {
+                console.error('[ChatNovel] Failed to load chat:', e);
+                toastr.error(`채팅을 불러올 수 없습니다: ${e.message}`);
+                item.classList.remove('cn-chat-picker-loading');
+            }
+        });
+    });
+}
+
+/**
+ * Format a chat's last-message date for the chat picker.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatChatDate(date) {
+    try {
+        return date.toLocaleString('ko-KR', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+        });
+    } catch {
+        return date.toISOString();
+    }
+}
+
+/**
+ * Show the regex inspector — every ST regex script the reader picked up,
+ * with its source, placement, flags and how many messages it matches.
+ * Scripts can be turned off here for the reader only (remembered per character).
+ */
+function showRegexPanel() {
+    const existing = state.overlay?.querySelector('.cn-regex-panel, .cn-regex-editor');
+    if (existing) {
+        state._regexCountAbort?.abort();
+        existing.closest('.cn-settings-overlay').remove();
+        return;
+    }
+
+    const panelContainer = document.createElement('div');
+    panelContainer.className = 'cn-settings-overlay';
+    panelContainer.innerHTML = `
+        <div class="cn-settings-panel cn-regex-panel">
+            <div class="cn-settings-header">
+                <h3>🔣 정규식</h3>
+                <button class="cn-settings-close" title="닫기">✕</button>
+            </div>
+            <div class="cn-settings-body">
+                <div class="cn-regex-summary"></div>
+                <div class="cn-regex-editor-actions">
+                    <button class="cn-btn cn-regex-edit-own">✏️ 리더 전용 정규식</button>
+                </div>
+                <div class="cn-regex-list"></div>
+            </div>
+        </div>
+    `;
+    state.overlay.appendChild(panelContainer);
+
+    panelContainer.querySelector('.cn-settings-close').addEventListener('click', () => {
+        state._regexCountAbort?.abort();
+        panelContainer.remove();
+    });
+
+    panelContainer.querySelector('.cn-regex-edit-own').addEventListener('click', () => {
+        state._regexCountAbort?.abort();
+        panelContainer.remove();
+        showReaderRegexEditor(state.overlay, {
+            sampleText: getRegexSampleText(),
+            regexOptions: {
+                userName: state.userName,
+                characterName: state.characterName,
+                characterKey: state.characterKey,
+                macros: buildMacroContext(),
+            },
+            onChange: () => reRender(state.userName, state.characterName),
+            onClose: () => showRegexPanel(),
+        });
+    });
+
+    const scripts = listRegexScripts();
+    const listEl = panelContainer.querySelector('.cn-regex-list');
+    const summaryEl = panelContainer.querySelector('.cn-regex-summary');
+    if (scripts.length === 0) {
+        listEl.innerHTML = '<div class="cn-chat-picker-empty">정규식 스크립트가 없습니다.</div>';
+        return;
+    }
+
+    const updateSummary = () => {
+        const off = getDisabledRegexScripts(state.characterKey).filter(key => scripts.some(s => s.key === key)).length;
+        const quarantined = scripts.filter(info => info.quarantine).length;
+        summaryEl.textContent = `스크립트 ${scripts.length}개${off ? ` · 리더에서 끈 스크립트 ${off}개` : ''}`
+            + `${quarantined ? ` · 격리 ${quarantined}개` : ''}`;
+    };
+
+    const disabled = new Set(getDisabledRegexScripts(state.characterKey));
+    listEl.innerHTML = scripts.map(info => renderRegexScriptItem(info, disabled.has(info.key))).join('');
+    updateSummary();
+
+    // Counts depend on which scripts run before — recount after each toggle.
+    // Counted in the regex sandbox, so a stalling script gets quarantined instead of freezing the tab.
+    const fillCounts = async () => {
+        state._regexCountAbort?.abort();
+        const countAbort = new AbortController();
+        state._regexCountAbort = countAbort;
+        listEl.querySelectorAll('.cn-regex-count').forEach(el => { el.textContent = '세는 중...'; });
+
+        const options = {
+            userName: state.userName,
+            characterName: state.characterName,
+            characterKey: state.characterKey,
+            macros: buildMacroContext(),
+            excludedScripts: new Set(getDisabledRegexScripts(state.characterKey)),
+        };
+        const messages = state.chapters.flatMap(ch => viewChapter(ch).messages);
+        const counts = await countRegexMatchesSafely(scripts, messages, options, {
+            signal: countAbort.signal,
+            onQuarantine: (report, info) => {
+                notifyRegexQuarantine(report);
+                const item = [...listEl.querySelectorAll('.cn-regex-item')].find(el => el.dataset.key === info.key);
+                if (item) item.outerHTML = renderRegexScriptItem(info, item.classList.contains('cn-regex-reader-off'));
+                updateSummary();
+                reRender(state.userName, state.characterName);
+            },
+        });
+        if (!counts || !panelContainer.isConnected) return;
+
+        listEl.querySelectorAll('.cn-regex-item').forEach(item => {
+            const count = counts.get(item.dataset.key) || 0;
+            const quarantined = scripts.some(info => info.key === item.dataset.key && info.quarantine);
+            item.querySelector('.cn-regex-count').textContent = quarantined ? '실행 안 함' : `${count}개 메시지 일치`;
+        });
+    };
+
+    listEl.addEventListener('change', (e) => {
+        const toggle = e.target.closest('.cn-regex-toggle');
+        if (!toggle) return;
+        const item = toggle.closest('.cn-regex-item');
+        setRegexScriptDisabled(state.characterKey, item.dataset.key, !toggle.checked);
+        item.classList.toggle('cn-regex-reader-off', !toggle.checked);
+        updateSummary();
+        reRender(state.userName, state.characterName);
+        fillCounts();
+    });
+
+    fillCounts();
+}
+
+/**
+ * Pick a message to test regex scripts on — the first character message
+ * of the chapter being read.
+ * @returns {string}
+ */
+function getRegexSampleText() {
+    const chapter = state.chapters[state.currentChapter] || state.chapters[0];
+    const messages = chapter ? viewChapter(chapter).messages : [];
+    const sample = messages.find(msg => !msg.is_user && !msg.is_system) || messages[0];
+    return sample?.mes || '';
+}
+
+/**
+ * Render one script of the regex inspector.
+ * @param {import('./regexEngine.js').RegexScriptInfo} info
+ * @param {boolean} readerOff - Turned off in the reader
+ * @returns {string} HTML string
+ */
+function renderRegexScriptItem(info, readerOff) {
+    const { script } = info;
+    // Scripts that don't run in ST's chat window can't be toggled here either
+    const stOff = !info.display;
+
+    const badge = (text, modifier = '') => `<span class="cn-regex-badge ${modifier}">${text}</span>`;
+    const badges = [badge(REGEX_SOURCE_LABELS[info.source])];
+    if (info.quarantine) {
+        badges.push(badge('격리됨', 'cn-regex-badge-error'));
+    } else if (script.disabled) {
+        badges.push(badge('ST에서 꺼짐', 'cn-regex-badge-muted'));
+    } else if (!info.allowed) {
+        badges.push(badge('캐릭터 정규식 미허용', 'cn-regex-badge-muted'));
+    } else if (!script.markdownOnly) {
+        // Non-markdown scripts rewrite the saved message when it's sent or edited
+        badges.push(badge(script.promptOnly ? '프롬프트 전용' : '채팅 원문 변경', 'cn-regex-badge-muted'));
+    }
+    if (info.flags === null) badges.push(badge('잘못된 정규식', 'cn-regex-badge-error'));
+
+    const meta = info.quarantine
+        ? [`메시지 #${info.quarantine.messageIndex}에서 ${info.quarantine.timeoutMs / 1000}초 초과`]
+        : [];
+    meta.push(info.placement.length > 0
+        ? info.placement.map(p => REGEX_PLACEMENT_LABELS[p] ?? `#${p}`).join(', ')
+        : '배치 없음');
+    const depth = formatDepthRange(script);
+    if (depth) meta.push(depth);
+    if (REGEX_SUBSTITUTE_LABELS[script.substituteRegex]) meta.push(REGEX_SUBSTITUTE_LABELS[script.substituteRegex]);
+    if (info.flags !== null) meta.push(`플래그 ${info.flags || '없음'}`);
+
+    return `
+        <div class="cn-regex-item ${readerOff ? 'cn-regex-reader-off' : ''} ${stOff ? 'cn-regex-st-off' : ''}"
+             data-key="${escapeHtml(info.key)}">
+            <input type="checkbox" class="cn-regex-toggle" title="리더에서 사용"
+                ${readerOff ? '' : 'checked'} ${stOff ? 'disabled' : ''} />
+            <div class="cn-regex-info">
+                <div class="cn-regex-name">${escapeHtml(info.name)} ${badges.join(' ')}</div>
+                <div class="cn-regex-meta">${escapeHtml(meta.join(' · '))} · <span class="cn-regex-count"></span></div>
+                <code class="cn-regex-pattern">${escapeHtml(script.findRegex || '')}</code>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Show the settings panel.
  * @param {string} userName
@@ -1330,12 +3162,28 @@ function showSettingsPanel(userName, characterName) {
         });
     });
 
+    // Textarea inputs (saved when editing finishes)
+    panelContainer.querySelectorAll('textarea.cn-setting-input').forEach(textarea => {
+        textarea.addEventListener('change', () => {
+            updateSetting(textarea.dataset.setting, textarea.value);
+            reRender(userName, characterName);
+        });
+    });
+
     // Checkbox inputs
     panelContainer.querySelectorAll('input[type="checkbox"].cn-setting-input').forEach(checkbox => {
         checkbox.addEventListener('change', () => {
             const key = checkbox.dataset.setting;
             updateSetting(key, checkbox.checked);
-            reRender(userName, characterName);
+            if (key === 'renderCachePersist') {
+                // Storage only — turning it off deletes the stored renders
+                setRenderCachePersistence(checkbox.checked);
+                return;
+            }
+            // Export options don't affect the reader view
+            if (!key.startsWith('export')) {
+                reRender(userName, characterName);
+            }
         });
     });
 
@@ -1379,57 +3227,24 @@ function reRender(userName, characterName) {
     // DOM 재파싱 안 함 — 기존 파싱 데이터에서 메시지만 추출하여 재분할
     const allMessages = state.chapters.flatMap(ch => ch.messages);
 
-    state.chapters = chapterize(allMessages, {
-        mode: settings.chapterMode,
-        messagesPerChapter: settings.messagesPerChapter,
-        timeGapHours: settings.timeGapHours,
-    });
-
-    // Apply custom chapter names
-    const customNames = getChapterNames(state.chatId);
-    for (const ch of state.chapters) {
-        if (customNames[ch.index] != null) {
-            ch.title = customNames[ch.index];
-        }
-    }
+    state.chapters = buildChapters(allMessages, settings);
 
     const contentEl = state.overlay.querySelector('.cn-content');
     renderAllChapters(contentEl, settings, userName, characterName);
 
     // Rebuild sidebar with bookmarks
-    const sidebarContainer = state.overlay.querySelector('.cn-sidebar-container');
-    sidebarContainer.innerHTML = '';
-    state.sidebar = createSidebar(sidebarContainer, state.chapters, (chapterIdx) => {
-        scrollToChapter(chapterIdx);
-    }, {
-        bookmarks: getBookmarks(state.chatId),
-        chapterNames: customNames,
-        onBookmarkClick: (msgIndex) => {
-            const msgEl = contentEl.querySelector(`[data-msg-index="${msgIndex}"]`);
-            if (msgEl) {
-                msgEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                msgEl.classList.add('cn-msg-highlight');
-                setTimeout(() => msgEl.classList.remove('cn-msg-highlight'), 2000);
-            }
-        },
-        onBookmarkRemove: (msgIndex) => {
-            removeBookmark(state.chatId, msgIndex);
-        },
-        onChapterRename: (chapterIdx, newName) => {
-            setChapterName(state.chatId, chapterIdx, newName);
-            const chapterTitleEl = state.overlay.querySelector(`#cn-chapter-${chapterIdx} .cn-chapter-title`);
-            if (chapterTitleEl) chapterTitleEl.textContent = newName;
-            if (state.chapters[chapterIdx]) state.chapters[chapterIdx].title = newName;
-        },
-    });
-    sidebarContainer.appendChild(state.sidebar.element);
+    refreshSidebar();
 
-    // Re-setup bookmark context menu
-    setupBookmarkContextMenu(contentEl);
+    // Re-mark bookmarked messages
+    markBookmarkedMessages(contentEl);
+    renderUnreadDivider(contentEl);
+
+    if (state.pageMode) recalcPageLayout(contentEl);
 }
 
 /**
  * Handle HTML export.
+ * Like every export, it has the swipes the reader switched to in place of the chosen ones.
  * @param {string} userName
  * @param {string} characterName
  */
@@ -1440,14 +3255,16 @@ async function handleExport(userName, characterName) {
 
         toastr.info('HTML 파일 생성 중...');
 
-        // Build the full rendered HTML
-        const contentEl = state.overlay.querySelector('.cn-content');
+        // Build the full rendered HTML (without the reader-only swipe switchers)
+        state.virtualizer?.renderAll();
+        const contentEl = state.overlay.querySelector('.cn-content').cloneNode(true);
+        contentEl.querySelectorAll('.cn-msg-swipes').forEach(el => el.remove());
         const renderedHtml = contentEl.innerHTML;
 
         const html = await exportToHtml({
             title,
             renderedHtml,
-            chapters: state.chapters,
+            chapters: state.chapters.map(viewChapter),
             theme: settings.theme,
             typography: {
                 fontSize: settings.fontSize,
@@ -1468,6 +3285,113 @@ async function handleExport(userName, characterName) {
     }
 }
 
+/**
+ * Handle EPUB export.
+ * Chapters are rendered from the parsed messages, so the book doesn't depend on what's in the DOM.
+ * @param {string} userName
+ * @param {string} characterName
+ */
+async function handleEpubExport(userName, characterName) {
+    try {
+        const settings = getSettings();
+        const title = state.metadata?.character_name || characterName;
+
+        toastr.info('EPUB 파일 생성 중...');
+
+        const renderOptions = buildRenderOptions(settings, userName, characterName);
+        const chapters = renderExportChapters(state.chapters.map(viewChapter), renderOptions, settings.exportAlternates);
+
+        const blob = await exportToEpub({
+            title,
+            author: characterName,
+            bookId: state.chatId,
+            chapters,
+            theme: settings.theme,
+            typography: {
+                lineHeight: settings.lineHeight,
+                fontFamily: settings.fontFamily,
+            },
+        });
+
+        const filename = `${title.replace(/[<>:"/\\|?*]/g, '_')}_novel.epub`;
+        downloadBlob(blob, filename);
+
+        toastr.success('EPUB 파일이 다운로드되었습니다!');
+    } catch (e) {
+        console.error('[ChatNovel] EPUB export failed:', e);
+        toastr.error(`내보내기 실패: ${e.message}`);
+    }
+}
+
+/**
+ * Handle plain-text / Markdown export.
+ * @param {'txt'|'md'} format
+ * @param {string} userName
+ * @param {string} characterName
+ */
+function handleTextExport(format, userName, characterName) {
+    try {
+        const settings = getSettings();
+        const title = state.metadata?.character_name || characterName;
+
+        const text = exportToText({
+            format,
+            title,
+            chapters: state.chapters.map(viewChapter),
+            renderOptions: buildRenderOptions(settings, userName, characterName),
+            stripIframes: settings.exportStripIframes,
+            stripStatusPanels: settings.exportStripStatusPanels,
+            stripChoices: settings.exportStripChoices,
+            alternates: settings.exportAlternates,
+        });
+
+        const type = format === 'md' ? 'text/markdown' : 'text/plain';
+        const filename = `${title.replace(/[<>:"/\\|?*]/g, '_')}_novel.${format}`;
+        downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
+
+        toastr.success(`${format.toUpperCase()} 파일이 다운로드되었습니다!`);
+    } catch (e) {
+        console.error('[ChatNovel] Text export failed:', e);
+        toastr.error(`내보내기 실패: ${e.message}`);
+    }
+}
+
+/**
+ * Handle print export — opens the paginated print view.
+ * Opens the window first, while the click still counts as user-initiated, then renders.
+ * @param {string} userName
+ * @param {string} characterName
+ */
+async function handlePrintExport(userName, characterName) {
+    let win = null;
+    try {
+        win = openPrintWindow();
+        const settings = getSettings();
+        const title = state.metadata?.character_name || characterName;
+
+        const renderOptions = buildRenderOptions(settings, userName, characterName);
+        const chapters = renderExportChapters(state.chapters.map(viewChapter), renderOptions, settings.exportAlternates);
+
+        const pageCount = await openPrintView(win, {
+            title,
+            author: characterName,
+            chapters,
+            typography: {
+                fontSize: settings.fontSize,
+                lineHeight: settings.lineHeight,
+                fontFamily: settings.fontFamily,
+            },
+            pageSize: settings.printPageSize,
+        });
+
+        toastr.success(`인쇄용 페이지 ${pageCount}쪽을 만들었습니다.`);
+    } catch (e) {
+        console.error('[ChatNovel] Print export failed:', e);
+        win?.close();
+        toastr.error(`내보내기 실패: ${e.message}`);
+    }
+}
+
 /**
  * Check if reader is currently open.
  * @returns {boolean}
@@ -1475,3 +3399,11 @@ async function handleExport(userName, characterName) {
 export function isReaderOpen() {
     return state.isOpen;
 }
+
+/**
+ * Get the source type of the chat shown in the reader.
+ * @returns {string|null} 'context' | 'chat' | 'file', or null when closed
+ */
+export function getReaderSource() {
+    return state.source?.type || null;
+}
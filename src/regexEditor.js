@@ -0,0 +1,426 @@
+/**
+ * Chat Novel — Reader Regex Editor
+ * Create, edit, test, import and export the extension's own "리더 전용" regex
+ * scripts. They only change what the reader shows — the chat window keeps ST's output.
+ */
+
+import { formatDepthRange, regexFromString } from './regexEngine.js';
+import { applyRegexScriptSafely } from './regexSandbox.js';
+import {
+    getSettings,
+    updateSetting,
+    getReaderRegexScripts,
+    saveReaderRegexScript,
+    deleteReaderRegexScript,
+} from './settings.js';
+import { downloadBlob } from './exporter.js';
+import { escapeHtml, uuidv4 } from './utils.js';
+
+/** Placements a reader script can target (ST's values) and their labels */
+const PLACEMENT_OPTIONS = [
+    [1, '사용자 입력'],
+    [2, 'AI 출력'],
+    [3, '슬래시 명령 (내레이터)'],
+];
+
+/** ST's substituteRegex modes */
+const SUBSTITUTE_OPTIONS = [
+    [0, '안 함'],
+    [1, '그대로'],
+    [2, '이스케이프'],
+];
+
+/** Wait after the last keystroke before refreshing the preview (ms) */
+const PREVIEW_DELAY_MS = 250;
+
+/**
+ * Show the reader-only regex editor.
+ * @param {HTMLElement} container - Element to attach the panel to (reader overlay)
+ * @param {Object} opts
+ * @param {string} [opts.sampleText] - Message text the test area starts with
+ * @param {Object} [opts.regexOptions] - userName / characterName / characterKey / macros (MacroContext) for macros
+ * @param {Function} [opts.onChange] - Called after the scripts or their order changed
+ * @param {Function} [opts.onClose] - Called when the editor is closed
+ */
+export function showReaderRegexEditor(container, opts = {}) {
+    const panelContainer = document.createElement('div');
+    panelContainer.className = 'cn-settings-overlay';
+    panelContainer.innerHTML = `
+        <div class="cn-settings-panel cn-regex-editor">
+            <div class="cn-settings-header">
+                <h3>✏️ 리더 전용 정규식</h3>
+                <button class="cn-settings-close" title="닫기">✕</button>
+            </div>
+            <div class="cn-settings-body"></div>
+        </div>
+    `;
+    container.appendChild(panelContainer);
+
+    const bodyEl = panelContainer.querySelector('.cn-settings-body');
+    let sampleText = opts.sampleText || '';
+    const changed = () => opts.onChange?.();
+
+    panelContainer.querySelector('.cn-settings-close').addEventListener('click', () => {
+        panelContainer.remove();
+        opts.onClose?.();
+    });
+
+    // ----- Script list -----
+
+    const showList = () => {
+        const scripts = getReaderRegexScripts();
+        const order = getSettings().readerRegexOrder;
+        bodyEl.innerHTML = `
+            <div class="cn-setting-row">
+                <label>실행 순서</label>
+                <select class="cn-setting-input cn-regex-editor-order">
+                    <option value="before" ${order === 'before' ? 'selected' : ''}>ST 정규식보다 먼저</option>
+                    <option value="after" ${order !== 'before' ? 'selected' : ''}>ST 정규식 다음에</option>
+                </select>
+            </div>
+            <div class="cn-setting-hint">
+                리더에만 적용되고 ST 채팅창과 저장된 채팅은 그대로입니다.
+                OOC 메모, 상태창, 토큰 카운터처럼 소설로 읽을 때만 치우고 싶은 부분에 쓰세요.
+            </div>
+            <div class="cn-regex-editor-actions">
+                <button class="cn-btn cn-regex-editor-new">＋ 새 스크립트</button>
+                <button class="cn-btn cn-regex-editor-import">가져오기</button>
+                <button class="cn-btn cn-regex-editor-export-all" ${scripts.length ? '' : 'disabled'}>모두 내보내기</button>
+                <input type="file" class="cn-regex-editor-file" accept=".json,application/json" multiple hidden />
+            </div>
+            <div class="cn-regex-editor-list">
+                ${scripts.length
+                    ? scripts.map(renderScriptItem).join('')
+                    : '<div class="cn-chat-picker-empty">리더 전용 정규식이 없습니다.</div>'}
+            </div>
+        `;
+
+        bodyEl.querySelector('.cn-regex-editor-order').addEventListener('change', (e) => {
+            updateSetting('readerRegexOrder', e.target.value);
+            changed();
+        });
+        bodyEl.querySelector('.cn-regex-editor-new').addEventListener('click', () => showForm(null));
+        bodyEl.querySelector('.cn-regex-editor-export-all').addEventListener('click', () => {
+            exportScripts(getReaderRegexScripts(), 'chat-novel-regex.json');
+        });
+
+        const fileInput = bodyEl.querySelector('.cn-regex-editor-file');
+        bodyEl.querySelector('.cn-regex-editor-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const imported = await importScripts([...fileInput.files]);
+            if (imported > 0) {
+                changed();
+                showList();
+            }
+        });
+
+        bodyEl.querySelector('.cn-regex-editor-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.closest('.cn-regex-item').dataset.id;
+            const script = getReaderRegexScripts().find(s => s.id === id);
+            if (!script) return;
+
+            if (button.dataset.action === 'edit') {
+                showForm(script);
+            } else if (button.dataset.action === 'export') {
+                exportScripts(script, `regex-${script.scriptName || 'script'}.json`);
+            } else if (button.dataset.action === 'delete') {
+                if (!confirm(`"${script.scriptName || '(이름 없음)'}" 스크립트를 삭제할까요?`)) return;
+                deleteReaderRegexScript(id);
+                changed();
+                showList();
+            }
+        });
+
+        bodyEl.querySelector('.cn-regex-editor-list').addEventListener('change', (e) => {
+            const toggle = e.target.closest('.cn-regex-toggle');
+            if (!toggle) return;
+            const item = toggle.closest('.cn-regex-item');
+            const script = getReaderRegexScripts().find(s => s.id === item.dataset.id);
+            if (!script) return;
+            saveReaderRegexScript({ ...script, disabled: !toggle.checked });
+            item.classList.toggle('cn-regex-reader-off', !toggle.checked);
+            changed();
+        });
+    };
+
+    // ----- Edit form -----
+
+    const showForm = (original) => {
+        const script = original || createScript();
+        bodyEl.innerHTML = renderForm(script, sampleText);
+
+        const form = bodyEl.querySelector('.cn-regex-editor-form');
+        const previewEl = form.querySelector('.cn-regex-editor-preview');
+        const statusEl = form.querySelector('.cn-regex-editor-status');
+
+        // Live preview — in the regex sandbox, so a runaway pattern can't freeze the tab
+        let previewRun = 0;
+        let previewTimer = null;
+        const refreshPreview = async () => {
+            const run = ++previewRun;
+            const draft = readForm(form, script);
+            sampleText = form.querySelector('[data-field="sample"]').value;
+
+            if (!draft.findRegex) {
+                statusEl.textContent = '찾을 정규식을 입력하세요.';
+                previewEl.textContent = sampleText;
+                return;
+            }
+            if (!regexFromString(draft.findRegex)) {
+                statusEl.textContent = '잘못된 정규식입니다.';
+                previewEl.textContent = sampleText;
+                return;
+            }
+
+            statusEl.textContent = '적용 중...';
+            const result = await applyRegexScriptSafely(draft, sampleText, opts.regexOptions || {});
+            if (run !== previewRun || !form.isConnected) return;
+
+            if (result.timedOut) {
+                statusEl.textContent = '시간 초과 — 이 패턴은 너무 오래 걸려 리더에서 격리될 수 있습니다.';
+                previewEl.textContent = sampleText;
+            } else {
+                statusEl.textContent = result.text === sampleText ? '바뀐 곳 없음' : '적용 결과';
+                previewEl.textContent = result.text ?? sampleText;
+            }
+        };
+        form.addEventListener('input', () => {
+            clearTimeout(previewTimer);
+            previewTimer = setTimeout(refreshPreview, PREVIEW_DELAY_MS);
+        });
+        refreshPreview();
+
+        form.querySelector('.cn-regex-editor-cancel').addEventListener('click', () => {
+            clearTimeout(previewTimer);
+            showList();
+        });
+        form.querySelector('.cn-regex-editor-save').addEventListener('click', () => {
+            const draft = readForm(form, script);
+            if (!draft.findRegex || !regexFromString(draft.findRegex)) {
+                toastr.warning('찾을 정규식을 올바르게 입력하세요.');
+                return;
+            }
+            if (draft.placement.length === 0) {
+                toastr.warning('적용 위치를 하나 이상 고르세요.');
+                return;
+            }
+            clearTimeout(previewTimer);
+            saveReaderRegexScript(draft);
+            changed();
+            showList();
+        });
+    };
+
+    showList();
+}
+
+/**
+ * Create an empty reader script.
+ * @returns {Object} ST-format regex script
+ */
+function createScript() {
+    return {
+        id: uuidv4(),
+        scriptName: '',
+        findRegex: '',
+        replaceString: '',
+        trimStrings: [],
+        placement: [2],
+        disabled: false,
+        markdownOnly: true,
+        promptOnly: false,
+        runOnEdit: false,
+        substituteRegex: 0,
+        minDepth: null,
+        maxDepth: null,
+    };
+}
+
+/**
+ * Turn a script from an ST regex JSON file into a reader script.
+ * Reader scripts only ever change the display, so they're always markdown-only.
+ * @param {Object} raw
+ * @returns {Object|null} Null if it isn't a regex script
+ */
+function toReaderScript(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.findRegex !== 'string') return null;
+    return {
+        ...createScript(),
+        ...raw,
+        id: typeof raw.id === 'string' && raw.id ? raw.id : uuidv4(),
+        trimStrings: Array.isArray(raw.trimStrings) ? raw.trimStrings : [],
+        placement: Array.isArray(raw.placement) && raw.placement.length > 0 ? raw.placement : [2],
+        markdownOnly: true,
+        promptOnly: false,
+    };
+}
+
+/**
+ * Import scripts from ST regex JSON files (one script per file, or an array).
+ * A script with the id of an existing one replaces it.
+ * @param {File[]} files
+ * @returns {Promise<number>} Number of scripts imported
+ */
+async function importScripts(files) {
+    let imported = 0;
+    for (const file of files) {
+        try {
+            const data = JSON.parse(await file.text());
+            const scripts = (Array.isArray(data) ? data : [data]).map(toReaderScript).filter(Boolean);
+            if (scripts.length === 0) {
+                toastr.warning(`${file.name}: 정규식 스크립트가 없습니다.`);
+                continue;
+            }
+            scripts.forEach(saveReaderRegexScript);
+            imported += scripts.length;
+        } catch (e) {
+            console.warn('[ChatNovel] Failed to import regex scripts:', e);
+            toastr.error(`${file.name}: 읽을 수 없는 파일입니다.`);
+        }
+    }
+    if (imported > 0) toastr.success(`정규식 ${imported}개를 가져왔습니다.`);
+    return imported;
+}
+
+/**
+ * Download scripts as an ST regex JSON file.
+ * @param {Object|Object[]} data - One script (ST's per-script format) or a list
+ * @param {string} filename
+ */
+function exportScripts(data, filename) {
+    const json = JSON.stringify(data, null, 4);
+    downloadBlob(new Blob([json], { type: 'application/json' }), filename.replace(/[\\/:*?"<>|]/g, '_'));
+}
+
+/**
+ * Render one script of the list.
+ * @param {Object} script
+ * @returns {string} HTML string
+ */
+function renderScriptItem(script) {
+    const meta = [PLACEMENT_OPTIONS.filter(([value]) => script.placement?.includes(value)).map(([, label]) => label).join(', ')
+        || '배치 없음'];
+    const depth = formatDepthRange(script);
+    if (depth) meta.push(depth);
+    if (!regexFromString(script.findRegex)) meta.push('잘못된 정규식');
+
+    return `
+        <div class="cn-regex-item ${script.disabled ? 'cn-regex-reader-off' : ''}" data-id="${escapeHtml(script.id)}">
+            <input type="checkbox" class="cn-regex-toggle" title="사용" ${script.disabled ? '' : 'checked'} />
+            <div class="cn-regex-info">
+                <div class="cn-regex-name">${escapeHtml(script.scriptName || '(이름 없음)')}</div>
+                <div class="cn-regex-meta">${escapeHtml(meta.join(' · '))}</div>
+                <code class="cn-regex-pattern">${escapeHtml(script.findRegex || '')}</code>
+            </div>
+            <div class="cn-regex-editor-item-actions">
+                <button class="cn-btn" data-action="edit" title="편집">✏️</button>
+                <button class="cn-btn" data-action="export" title="내보내기">📤</button>
+                <button class="cn-btn" data-action="delete" title="삭제">🗑️</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the edit form.
+ * @param {Object} script
+ * @param {string} sampleText
+ * @returns {string} HTML string
+ */
+function renderForm(script, sampleText) {
+    const depthValue = value => (value === null || value === undefined || isNaN(value) ? '' : value);
+    return `
+        <div class="cn-regex-editor-form">
+            <div class="cn-setting-row cn-setting-row-stacked">
+                <label>이름</label>
+                <input type="text" class="cn-regex-editor-input" data-field="scriptName"
+                    value="${escapeHtml(script.scriptName || '')}" placeholder="예: OOC 지우기" />
+            </div>
+            <div class="cn-setting-row cn-setting-row-stacked">
+                <label>찾을 정규식</label>
+                <textarea class="cn-setting-textarea" data-field="findRegex" rows="2"
+                    placeholder="/\\(OOC:.*?\\)/gs">${escapeHtml(script.findRegex || '')}</textarea>
+            </div>
+            <div class="cn-setting-row cn-setting-row-stacked">
+                <label>바꿀 내용</label>
+                <textarea class="cn-setting-textarea" data-field="replaceString" rows="2"
+                    placeholder="비우면 지움 · {{match}}, $1, {{char}}, {{user}} 사용 가능">${escapeHtml(script.replaceString || '')}</textarea>
+            </div>
+            <div class="cn-setting-row cn-setting-row-stacked">
+                <label>잘라낼 문자열 (한 줄에 하나)</label>
+                <textarea class="cn-setting-textarea" data-field="trimStrings" rows="2">${escapeHtml((script.trimStrings || []).join('\n'))}</textarea>
+            </div>
+            <div class="cn-setting-row">
+                <label>적용 위치</label>
+                <div class="cn-regex-editor-checks">
+                    ${PLACEMENT_OPTIONS.map(([value, label]) => `
+                        <label><input type="checkbox" data-placement="${value}"
+                            ${script.placement?.includes(value) ? 'checked' : ''} /> ${label}</label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="cn-setting-row">
+                <label>깊이 (마지막 메시지 = 0)</label>
+                <div class="cn-regex-editor-checks">
+                    <input type="number" class="cn-regex-editor-input cn-regex-editor-depth" data-field="minDepth"
+                        min="-1" placeholder="최소" value="${depthValue(script.minDepth)}" />
+                    ~
+                    <input type="number" class="cn-regex-editor-input cn-regex-editor-depth" data-field="maxDepth"
+                        min="0" placeholder="최대" value="${depthValue(script.maxDepth)}" />
+                </div>
+            </div>
+            <div class="cn-setting-row">
+                <label>찾을 정규식의 매크로 치환</label>
+                <select class="cn-setting-input" data-field="substituteRegex">
+                    ${SUBSTITUTE_OPTIONS.map(([value, label]) => `
+                        <option value="${value}" ${Number(script.substituteRegex || 0) === value ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div class="cn-settings-section">
+                <h4>테스트</h4>
+                <textarea class="cn-setting-textarea" data-field="sample" rows="4"
+                    placeholder="테스트할 메시지">${escapeHtml(sampleText)}</textarea>
+                <div class="cn-setting-hint cn-regex-editor-status"></div>
+                <pre class="cn-regex-editor-preview"></pre>
+                <div class="cn-setting-hint">위치·깊이와 상관없이 이 스크립트 하나만 적용한 결과입니다.</div>
+            </div>
+
+            <div class="cn-regex-editor-actions">
+                <button class="cn-btn cn-regex-editor-save">저장</button>
+                <button class="cn-btn cn-regex-editor-cancel">취소</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Read the edit form into a script.
+ * @param {HTMLElement} form
+ * @param {Object} script - Script being edited (keeps fields the form doesn't show)
+ * @returns {Object}
+ */
+function readForm(form, script) {
+    const field = name => form.querySelector(`[data-field="${name}"]`).value;
+    const depth = (name) => {
+        const value = field(name).trim();
+        return value === '' || isNaN(Number(value)) ? null : Number(value);
+    };
+
+    return {
+        ...script,
+        scriptName: field('scriptName').trim(),
+        findRegex: field('findRegex'),
+        replaceString: field('replaceString'),
+        trimStrings: field('trimStrings').split('\n').filter(Boolean),
+        placement: [...form.querySelectorAll('[data-placement]:checked')].map(el => Number(el.dataset.placement)),
+        minDepth: depth('minDepth'),
+        maxDepth: depth('maxDepth'),
+        substituteRegex: Number(field('substituteRegex')),
+        markdownOnly: true,
+        promptOnly: false,
+    };
+}
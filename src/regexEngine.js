@@ -4,51 +4,93 @@
  * Reproduces the same regex pipeline ST uses for chat display.
  */
 
-/**
- * Determine regex flags from a ST script's substituteRegex field.
- * @param {Object} script
- * @returns {string}
- */
-function getRegexFlags(script) {
-    switch (script.substituteRegex) {
-        case 0: return 'gi';  // global + case-insensitive (default)
-        case 1: return 'g';   // global only
-        case 2: return 'i';   // case-insensitive only
-        case 3: return '';    // no flags
-        default: return 'gi';
-    }
-}
+import { hashString } from './utils.js';
+import { getReaderRegexScripts, getSettings } from './settings.js';
+import { substituteMacros } from './macros.js';
+
+/** ST regex placements (MD_DISPLAY is the deprecated form of markdownOnly) */
+const PLACEMENT = Object.freeze({
+    MD_DISPLAY: 0,
+    USER_INPUT: 1,
+    AI_OUTPUT: 2,
+    SLASH_COMMAND: 3,
+    WORLD_INFO: 5,
+    REASONING: 6,
+});
+
+/** ST's substituteRegex modes — how macros in the find pattern are replaced */
+const SUBSTITUTE_FIND_REGEX = Object.freeze({
+    NONE: 0,
+    RAW: 1,
+    ESCAPED: 2,
+});
 
 /**
- * Convert a regex string (like "/pattern/flags" or plain pattern) to a RegExp object.
+ * Convert a regex string ("/pattern/flags" or a bare pattern) to a RegExp object.
+ * Same parsing as ST's regexFromString(): a bare pattern gets no flags, and
+ * unknown flags make the whole string the pattern.
  * @param {string} regexStr
- * @param {Object} [script] - ST regex script (for substituteRegex flag lookup)
  * @returns {RegExp|null}
  */
-export function regexFromString(regexStr, script = null) {
+export function regexFromString(regexStr) {
     if (!regexStr) return null;
 
-    // 1. /pattern/flags format — parse as-is
-    const match = regexStr.match(/^\/(.*?)\/([gimsuy]*)$/);
-    if (match) {
-        try {
-            return new RegExp(match[1], match[2]);
-        } catch (e) {
-            console.warn(`[ChatNovel] Invalid regex: ${regexStr}`, e);
-            return null;
-        }
-    }
-
-    // 2. Plain pattern string — use substituteRegex field for flags
-    const flags = script != null ? getRegexFlags(script) : 'gi';
     try {
-        return new RegExp(regexStr, flags);
+        const match = regexStr.match(/(\/?)(.+)\1([a-z]*)/i);
+        if (match[3] && !/^(?!.*?(.).*?\1)[gmixXsuUAJ]+$/.test(match[3])) {
+            return new RegExp(regexStr);
+        }
+        return new RegExp(match[2], match[3]);
     } catch (e) {
         console.warn(`[ChatNovel] Invalid regex: ${regexStr}`, e);
         return null;
     }
 }
 
+/**
+ * Escape a macro value for use inside a regex pattern — ST's sanitizeRegexMacro().
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegexMacro(value) {
+    if (!value || typeof value !== 'string') return value;
+    const controls = { '\n': '\\n', '\r': '\\r', '\t': '\\t', '\v': '\\v', '\f': '\\f', '\0': '\\0' };
+    return value.replace(/[\n\r\t\v\f\0.^$*+?{}[\]\\/|()]/g, ch => controls[ch] ?? `\\${ch}`);
+}
+
+/**
+ * Replace {{charkey}} and the ST macros (see macros.js) in a string.
+ * @param {string} text
+ * @param {Object} options - See applyRegexScript
+ * @param {Function} [transform] - Applied to each macro value (e.g. escaping)
+ * @returns {string}
+ */
+function substituteRegexMacros(text, options, transform = value => value) {
+    const charKey = options.characterKey || options.characterName;
+    if (charKey) {
+        text = text.replace(/\{\{charkey\}\}/gi, () => transform(charKey));
+    }
+    return substituteMacros(text, options, transform);
+}
+
+/**
+ * Build a script's find regex, substituting macros in the pattern first
+ * when its substituteRegex mode asks for it.
+ * @param {Object} script
+ * @param {Object} [options] - See applyRegexScript
+ * @returns {RegExp|null}
+ */
+function getFindRegex(script, options = {}) {
+    switch (Number(script.substituteRegex)) {
+        case SUBSTITUTE_FIND_REGEX.RAW:
+            return regexFromString(substituteRegexMacros(script.findRegex, options));
+        case SUBSTITUTE_FIND_REGEX.ESCAPED:
+            return regexFromString(substituteRegexMacros(script.findRegex, options, escapeRegexMacro));
+        default:
+            return regexFromString(script.findRegex);
+    }
+}
+
 /**
  * Apply a single regex script to a string.
  * Reproduces ST's runRegexScript() behavior:
@@ -56,27 +98,33 @@ export function regexFromString(regexStr, script = null) {
  *   2. function callback for replace() — no native $& interpretation
  *   3. Manual $N / $<name> capture group resolution inside callback
  *   4. trimStrings applied to each resolved group
- *   5. Macro substitution ({{char}}, {{user}}, {{charkey}}) after group resolution
+ *   5. Macro substitution ({{charkey}} and the ST macros) after group resolution
+ * The find pattern gets macros substituted first when substituteRegex says so
+ * (1 = raw values, 2 = regex-escaped values).
  * @param {Object} script - The regex script object
  * @param {string} text - The input text
  * @param {Object} [options]
  * @param {string} [options.characterName]
  * @param {string} [options.characterKey]
  * @param {string} [options.userName]
+ * @param {import('./macros.js').MacroContext} [options.macros]
+ * @param {number} [options.date] - Send date of the message (ms), for date and time macros
+ * @param {Object} [options.variables] - Chat variables as of the message
  * @returns {string}
  */
 export function applyRegexScript(script, text, options = {}) {
     if (!script || !script.findRegex || !text) return text;
 
     try {
-        const findRegex = regexFromString(script.findRegex, script);
+        const findRegex = getFindRegex(script, options);
         if (!findRegex) return text;
 
         // Step 1: {{match}} → $0 (same as ST)
         let replaceTemplate = (script.replaceString || '').replace(/\{\{match\}\}/gi, '$0');
 
+        // ST substitutes macros in trim strings too
         const trimStrings = (script.trimStrings && Array.isArray(script.trimStrings))
-            ? script.trimStrings.filter(Boolean)
+            ? script.trimStrings.filter(Boolean).map(trimStr => substituteRegexMacros(trimStr, options))
             : [];
 
         // Step 2: function callback — avoids native $& / $1 interpretation
@@ -104,19 +152,7 @@ export function applyRegexScript(script, text, options = {}) {
             });
 
             // Step 4: Macro substitution
-            if (options.characterKey) {
-                output = output.replace(/\{\{charkey\}\}/gi, options.characterKey);
-            } else if (options.characterName) {
-                output = output.replace(/\{\{charkey\}\}/gi, options.characterName);
-            }
-            if (options.characterName) {
-                output = output.replace(/\{\{char\}\}/gi, options.characterName);
-            }
-            if (options.userName) {
-                output = output.replace(/\{\{user\}\}/gi, options.userName);
-            }
-
-            return output;
+            return substituteRegexMacros(output, options);
         });
 
         return result;
@@ -129,28 +165,69 @@ export function applyRegexScript(script, text, options = {}) {
 // One-time diagnostic flag
 let _diagLogged = false;
 
+// Scripts that blew the sandbox's time budget: key → RegexQuarantine (until the page reloads)
+const quarantine = new Map();
+
+/**
+ * @typedef {Object} RegexQuarantine
+ * @property {string} key - From getRegexScriptKey()
+ * @property {string} name - Script name
+ * @property {number} messageIndex - Chat index of the message it got stuck on
+ * @property {number} timeoutMs - Time budget it exceeded
+ */
+
+/**
+ * Stop running a script for the rest of the session (see regexSandbox.js).
+ * @param {RegexQuarantine} report
+ */
+export function quarantineRegexScript(report) {
+    quarantine.set(report.key, report);
+}
+
+/**
+ * @typedef {Object} RegexEntry
+ * @property {Object} script - ST regex script
+ * @property {'global'|'scoped'|'reader'} source - Global (extension settings), scoped (character card)
+ *   or the reader's own (chat_novel settings)
+ * @property {boolean} allowed - Whether ST runs it (scoped scripts need the character allowed)
+ */
+
 /**
  * Collect regex scripts from all known ST storage locations.
  * ST stores scripts in multiple possible paths depending on version/config.
+ * Global scripts come first, then scoped ones — the order ST runs them in.
+ * The reader's own scripts run before or after those, per readerRegexOrder.
  * @param {Object} context - SillyTavern context
- * @returns {Array} Array of regex script objects
+ * @returns {RegexEntry[]}
  */
-function collectRegexScripts(context) {
-    const scripts = [];
+function collectRegexEntries(context) {
+    const entries = [];
     const ext = context.extensionSettings || {};
+    const avatar = context.characters?.[context.characterId]?.avatar;
+    // Scoped scripts only run for characters the user allowed (older ST has no such list)
+    const scopedAllowed = !Array.isArray(ext.character_allowed_regex)
+        || ext.character_allowed_regex.includes(avatar);
+    const add = (list, source) => list.forEach(script => entries.push({
+        script: migrateScript(script),
+        source,
+        allowed: source !== 'scoped' || scopedAllowed,
+    }));
+
+    const readerFirst = getSettings().readerRegexOrder === 'before';
+    if (readerFirst) add(getReaderRegexScripts(), 'reader');
 
     // Path 1: extensionSettings.regex (direct array — some ST versions)
     if (Array.isArray(ext.regex)) {
-        scripts.push(...ext.regex);
+        add(ext.regex, 'global');
     }
     // Path 2: extensionSettings.regex.scripts (nested)
     else if (ext.regex && Array.isArray(ext.regex?.scripts)) {
-        scripts.push(...ext.regex.scripts);
+        add(ext.regex.scripts, 'global');
     }
 
     // Path 3: extensionSettings.regex_scripts (alternate key)
     if (Array.isArray(ext.regex_scripts)) {
-        scripts.push(...ext.regex_scripts);
+        add(ext.regex_scripts, 'global');
     }
 
     // Path 4: Character-specific regex scripts (embedded in character data)
@@ -158,10 +235,12 @@ function collectRegexScripts(context) {
         const charId = context.characterId;
         const charData = context.characters?.[charId]?.data;
         if (charData?.extensions?.regex_scripts && Array.isArray(charData.extensions.regex_scripts)) {
-            scripts.push(...charData.extensions.regex_scripts);
+            add(charData.extensions.regex_scripts, 'scoped');
         }
     } catch { /* ignore */ }
 
+    if (!readerFirst) add(getReaderRegexScripts(), 'reader');
+
     // One-time diagnostic log
     if (!_diagLogged) {
         _diagLogged = true;
@@ -180,9 +259,9 @@ function collectRegexScripts(context) {
                 console.log('[ChatNovel] char.data.extensions keys:', Object.keys(charData.extensions).join(', '));
             }
         } catch { /* ignore */ }
-        console.log('[ChatNovel] Total scripts found:', scripts.length);
-        if (scripts.length > 0) {
-            console.log('[ChatNovel] Script names:', scripts.map(s => s.scriptName || '(unnamed)').join(', '));
+        console.log('[ChatNovel] Total scripts found:', entries.length);
+        if (entries.length > 0) {
+            console.log('[ChatNovel] Script names:', entries.map(e => e.script.scriptName || '(unnamed)').join(', '));
         }
         // Check if ST exposes getRegexedString globally
         if (typeof window.getRegexedString === 'function') {
@@ -190,7 +269,274 @@ function collectRegexScripts(context) {
         }
     }
 
-    return scripts;
+    return entries;
+}
+
+/**
+ * Collect the regex scripts ST runs, from all known storage locations,
+ * leaving out quarantined ones.
+ * @param {Object} context - SillyTavern context
+ * @returns {Array} Array of regex script objects
+ */
+function collectRegexScripts(context) {
+    return collectRegexEntries(context)
+        .filter(entry => entry.allowed && !quarantine.has(getRegexScriptKey(entry.script)))
+        .map(entry => entry.script);
+}
+
+/**
+ * Convert the deprecated "markdown display" placement the way ST migrates it:
+ * such a script becomes markdown- and prompt-only (returns a copy; ST's own data stays untouched).
+ * @param {Object} script
+ * @returns {Object}
+ */
+function migrateScript(script) {
+    if (!Array.isArray(script.placement) || !script.placement.includes(PLACEMENT.MD_DISPLAY)) return script;
+
+    const placement = script.placement.length === 1
+        ? Object.values(PLACEMENT).filter(p => p !== PLACEMENT.MD_DISPLAY)
+        : script.placement.filter(p => p !== PLACEMENT.MD_DISPLAY);
+    return { ...script, placement, markdownOnly: true, promptOnly: true };
+}
+
+/**
+ * Get the key a script is remembered by (reader-only toggles).
+ * ST gives scripts a UUID; older ones without fall back to name + pattern.
+ * @param {Object} script
+ * @returns {string}
+ */
+export function getRegexScriptKey(script) {
+    return script.id || `h:${hashString(`${script.scriptName || ''}\n${script.findRegex || ''}`)}`;
+}
+
+/**
+ * @typedef {Object} RegexPass
+ * @property {number} placement - PLACEMENT of the text being processed
+ * @property {boolean} [isMarkdown] - Display formatting (markdownOnly scripts)
+ * @property {boolean} [isPrompt] - Prompt building (promptOnly scripts)
+ * @property {boolean} [isEdit] - The user edited the message (runOnEdit scripts)
+ * @property {number} [depth] - Messages after this one, system messages not counted
+ */
+
+/**
+ * Build the pass ST's chat window runs a message's text through.
+ * Only markdownOnly scripts run on display — the others already changed the
+ * saved message when it was sent, received or edited.
+ * @param {Object} options - See applyAllRegex
+ * @returns {RegexPass}
+ */
+function getDisplayPass(options) {
+    let placement = PLACEMENT.AI_OUTPUT;
+    if (options.isUser) placement = PLACEMENT.USER_INPUT;
+    else if (options.isNarrator) placement = PLACEMENT.SLASH_COMMAND;
+
+    return { placement, isMarkdown: true, depth: options.depth };
+}
+
+/**
+ * Whether a script runs in a pass — the same checks as ST's getRegexedString().
+ * @param {Object} script
+ * @param {RegexPass} pass
+ * @returns {boolean}
+ */
+function scriptRuns(script, pass) {
+    const inPass = (script.markdownOnly && pass.isMarkdown)
+        || (script.promptOnly && pass.isPrompt)
+        || (!script.markdownOnly && !script.promptOnly && !pass.isMarkdown && !pass.isPrompt);
+    if (!inPass) return false;
+    if (pass.isEdit && !script.runOnEdit) return false;
+    return fitsMessage(script, pass);
+}
+
+/**
+ * Whether a pass's message is within a script's depth range and placement.
+ * @param {Object} script
+ * @param {RegexPass} pass
+ * @returns {boolean}
+ */
+function fitsMessage(script, pass) {
+    if (typeof pass.depth === 'number') {
+        const minDepth = script.minDepth;
+        const maxDepth = script.maxDepth;
+        if (minDepth !== null && !isNaN(minDepth) && minDepth >= -1 && pass.depth < minDepth) return false;
+        if (maxDepth !== null && !isNaN(maxDepth) && maxDepth >= 0 && pass.depth > maxDepth) return false;
+    }
+
+    return Array.isArray(script.placement) && script.placement.includes(pass.placement);
+}
+
+/**
+ * Whether a script can change anything in the chat window.
+ * @param {Object} script
+ * @returns {boolean}
+ */
+function runsOnDisplay(script) {
+    return !script.disabled && !!script.markdownOnly;
+}
+
+/**
+ * Whether a script has a depth limit, making its output depend on the message's position.
+ * @param {Object} script
+ * @returns {boolean}
+ */
+function hasDepthLimit(script) {
+    const set = value => value !== null && value !== undefined && !isNaN(value);
+    return (set(script.minDepth) && script.minDepth >= -1) || (set(script.maxDepth) && script.maxDepth >= 0);
+}
+
+/**
+ * Describe a script's depth limits, e.g. "깊이 2~5" or "깊이 3 이상".
+ * @param {Object} script
+ * @returns {string} Empty without limits
+ */
+export function formatDepthRange(script) {
+    // Same checks as ST — null / NaN mean no limit
+    const limit = (value, min) => (value !== null && value !== undefined && !isNaN(value)
+        && Number(value) >= min ? Number(value) : null);
+    const minDepth = limit(script.minDepth, -1);
+    const maxDepth = limit(script.maxDepth, 0);
+
+    if (minDepth !== null && maxDepth !== null) return `깊이 ${minDepth}~${maxDepth}`;
+    if (minDepth !== null) return `깊이 ${minDepth} 이상`;
+    if (maxDepth !== null) return `깊이 ${maxDepth} 이하`;
+    return '';
+}
+
+/**
+ * @typedef {Object} RegexScriptInfo
+ * @property {string} key - From getRegexScriptKey()
+ * @property {Object} script
+ * @property {'global'|'scoped'|'reader'} source
+ * @property {boolean} allowed - False for scoped scripts of a character ST doesn't allow them for
+ * @property {boolean} display - Whether it runs in the chat window (enabled, markdown-only, allowed)
+ * @property {RegexQuarantine|null} quarantine - Set if the sandbox quarantined it; it then doesn't run at all
+ * @property {string} name
+ * @property {number[]} placement
+ * @property {string|null} flags - Flags the pattern compiles with; null if it doesn't compile
+ */
+
+/**
+ * List every collected script for the regex inspector, in the order they run.
+ * @returns {RegexScriptInfo[]}
+ */
+export function listRegexScripts() {
+    try {
+        return collectRegexEntries(SillyTavern.getContext()).map(({ script, source, allowed }) => {
+            const key = getRegexScriptKey(script);
+            return {
+                key,
+                script,
+                source,
+                allowed,
+                display: allowed && runsOnDisplay(script) && !quarantine.has(key),
+                quarantine: quarantine.get(key) || null,
+                name: script.scriptName || '(이름 없음)',
+                placement: Array.isArray(script.placement) ? script.placement : [],
+                flags: getFindRegex(script)?.flags ?? null,
+            };
+        });
+    } catch (e) {
+        console.warn('[ChatNovel] listRegexScripts error:', e);
+        return [];
+    }
+}
+
+/**
+ * Count, per script, the messages it matches — replaying the display chain so
+ * each script sees the text the scripts before it produced. Scripts that are
+ * off (in ST or in the reader) are tested but not applied; quarantined ones are skipped.
+ * @param {RegexScriptInfo[]} infos - From listRegexScripts()
+ * @param {Array} messages - Parsed messages
+ * @param {Object} options - See applyAllRegex
+ * @param {Map<string, number>} [counts] - Counts to add to; a new map by default
+ * @param {Function} [onScript] - Callback(infoIndex) before each script runs — the sandbox's heartbeat
+ * @returns {Map<string, number>} Script key → matched messages
+ */
+export function countRegexMatches(infos, messages, options = {}, counts = new Map(), onScript = null) {
+    const compiled = infos.map(info => getFindRegex(info.script, options));
+
+    for (const msg of messages) {
+        let text = msg.mes || '';
+        if (!text) continue;
+        const msgOptions = { ...options, ...getMessageRegexOptions(msg) };
+        const pass = getDisplayPass(msgOptions);
+
+        infos.forEach((info, i) => {
+            // Scripts that don't run on display are tested as if they did
+            const regex = compiled[i];
+            if (!regex || info.quarantine || !fitsMessage(info.script, pass)) return;
+
+            onScript?.(i);
+            regex.lastIndex = 0;
+            if (regex.test(text)) counts.set(info.key, (counts.get(info.key) || 0) + 1);
+
+            const active = info.display && !options.excludedScripts?.has(info.key);
+            if (active) text = applyRegexScript(info.script, text, msgOptions);
+        });
+    }
+    return counts;
+}
+
+/**
+ * Get the regex options that come from a message itself.
+ * @param {Object} message - Parsed message
+ * @returns {{isUser: boolean, isNarrator: boolean, depth: number|undefined, date: number|undefined,
+ *   variables: Object|undefined}}
+ */
+export function getMessageRegexOptions(message) {
+    return {
+        isUser: !!message.is_user,
+        isNarrator: message.extra?.type === 'narrator',
+        depth: message._depth,
+        // For date and time macros; undated messages parse to the epoch
+        date: message._parsedDate?.getTime() || undefined,
+        // Chat variables as of the message, for {{getvar}}
+        variables: message._variables,
+    };
+}
+
+/**
+ * Collect the ST regex scripts that can change the chat window
+ * (enabled, markdown-only, allowed, not turned off in the reader).
+ * Plain copies, safe to post to a worker.
+ * @param {Set<string>} [excludedScripts] - Keys of scripts turned off in the reader
+ * @returns {Array} Array of regex script objects
+ */
+export function getDisplayRegexScripts(excludedScripts) {
+    const scripts = collectRegexScripts(SillyTavern.getContext())
+        .filter(runsOnDisplay)
+        .filter(script => !excludedScripts?.has(getRegexScriptKey(script)));
+    return JSON.parse(JSON.stringify(scripts));
+}
+
+/**
+ * Apply regex scripts to a message string the way ST's chat window does:
+ * markdown-only scripts whose placement and depth range fit the message.
+ * Needs no ST context — also used by the render worker.
+ * @param {Array} scripts - From getDisplayRegexScripts()
+ * @param {string} text - The raw message text
+ * @param {Object} options - See applyAllRegex
+ * @returns {string}
+ */
+export function applyRegexScripts(scripts, text, options = {}) {
+    if (!text) return text;
+
+    const pass = getDisplayPass(options);
+    let result = text;
+
+    for (const script of scripts) {
+        // Skip disabled scripts
+        if (script.disabled) continue;
+
+        // Skip scripts turned off in the reader
+        if (options.excludedScripts?.size && options.excludedScripts.has(getRegexScriptKey(script))) continue;
+
+        if (!scriptRuns(script, pass)) continue;
+
+        result = applyRegexScript(script, result, options);
+    }
+
+    return result;
 }
 
 /**
@@ -199,52 +545,54 @@ function collectRegexScripts(context) {
  * @param {string} text - The raw message text
  * @param {Object} options
  * @param {boolean} options.isUser - Whether the message is from the user
+ * @param {boolean} [options.isNarrator] - Narrator message (/sys) — ST's slash command placement
+ * @param {number} [options.depth] - Message depth (see parser.js); no depth limits apply without one
  * @param {string} options.characterName
  * @param {string} [options.characterKey]
  * @param {string} [options.userName]
+ * @param {import('./macros.js').MacroContext} [options.macros]
+ * @param {number} [options.date] - Send date of the message (ms)
+ * @param {Set<string>} [options.excludedScripts] - Keys of scripts turned off in the reader
  * @returns {string}
  */
 export function applyAllRegex(text, options = {}) {
     if (!text) return text;
 
     try {
-        const context = SillyTavern.getContext();
-
         // Collect scripts from all possible locations
-        const scripts = collectRegexScripts(context);
-
+        const scripts = collectRegexScripts(SillyTavern.getContext());
         if (scripts.length === 0) {
             return text;
         }
-
-        let result = text;
-
-        for (const script of scripts) {
-            // Skip disabled scripts
-            if (script.disabled) continue;
-
-            // Skip prompt-only scripts (only for API prompt building)
-            if (script.promptOnly) continue;
-
-            // Check placement (2 = AI_OUTPUT, 1 = USER_INPUT, 0 = MD_DISPLAY)
-            if (script.placement && Array.isArray(script.placement)) {
-                const isAiOutput = script.placement.includes(2);
-                const isUserInput = script.placement.includes(1);
-                const isMdDisplay = script.placement.includes(0);
-
-                if (options.isUser && !isUserInput && !isMdDisplay) continue;
-                if (!options.isUser && !isAiOutput && !isMdDisplay) continue;
-            }
-
-            // markdownOnly = "only apply during display rendering, not API"
-            // We ARE rendering for display, so we MUST apply these.
-
-            result = applyRegexScript(script, result, options);
-        }
-
-        return result;
+        return applyRegexScripts(scripts, text, options);
     } catch (e) {
         console.warn('[ChatNovel] applyAllRegex error:', e);
         return text;
     }
 }
+
+/**
+ * @typedef {Object} RegexSetInfo
+ * @property {string} key - Fingerprint of the scripts that apply to display, so renders
+ *   made with a different script set (edited, toggled, another character) don't match
+ * @property {boolean} depthSensitive - Whether any of them has a depth limit, so
+ *   the same message renders differently depending on its position
+ */
+
+/**
+ * Describe the regex scripts that apply to display, for the render cache.
+ * @param {Set<string>} [excludedScripts] - Keys of scripts turned off in the reader
+ * @returns {RegexSetInfo}
+ */
+export function describeRegexSet(excludedScripts) {
+    try {
+        const scripts = getDisplayRegexScripts(excludedScripts);
+        return {
+            key: hashString(JSON.stringify(scripts)),
+            depthSensitive: scripts.some(hasDepthLimit),
+        };
+    } catch (e) {
+        console.warn('[ChatNovel] describeRegexSet error:', e);
+        return { key: '', depthSensitive: false };
+    }
+}
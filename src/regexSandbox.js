@@ -0,0 +1,266 @@
+/**
+ * Chat Novel — Regex Sandbox
+ * Runs regex work in Web Workers under a time budget. A catastrophic pattern
+ * then only stalls a worker, which gets terminated; the script responsible is
+ * found, quarantined for the session and reported instead of hanging the tab.
+ */
+
+import { applyRegexScript, countRegexMatches, quarantineRegexScript } from './regexEngine.js';
+
+/** Longest a worker may spend on one message (or one script, when probing) before it's stopped (ms) */
+export const REGEX_TIME_BUDGET_MS = 3000;
+
+/** Messages counted per step when counting on the main thread */
+const COUNT_CHUNK = 200;
+
+/**
+ * @typedef {Object} WorkerRun
+ * @property {'done'|'timeout'|'failed'|'aborted'|'unavailable'} status
+ * @property {Object|null} lastTick - Data of the last heartbeat ({ type: 'tick', ... }) before it ended
+ */
+
+/**
+ * Run a job in a fresh module worker, stopping it if its heartbeat stalls.
+ * The worker posts { type: 'tick' } before each unit of work, { type: 'done' }
+ * when finished and { type: 'error', message } on failure; anything else goes to onMessage.
+ * The watchdog starts at the first tick, so loading the worker doesn't count.
+ * @param {URL} url - Worker script
+ * @param {Object} job - Posted to the worker
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal] - Abort to stop the worker
+ * @param {number} [opts.timeoutMs=REGEX_TIME_BUDGET_MS] - Longest gap between ticks; 0 = no watchdog
+ * @param {Function} [opts.onMessage] - Callback(data) for the job's own messages
+ * @returns {Promise<WorkerRun>}
+ */
+export function runWatchedWorker(url, job, opts = {}) {
+    const timeoutMs = opts.timeoutMs ?? REGEX_TIME_BUDGET_MS;
+    if (typeof Worker === 'undefined') return Promise.resolve({ status: 'unavailable', lastTick: null });
+    if (opts.signal?.aborted) return Promise.resolve({ status: 'aborted', lastTick: null });
+
+    return new Promise((resolve) => {
+        let worker;
+        try {
+            worker = new Worker(url, { type: 'module' });
+        } catch (e) {
+            console.warn('[ChatNovel] Worker unavailable:', e);
+            resolve({ status: 'unavailable', lastTick: null });
+            return;
+        }
+
+        let lastTick = null;
+        let watchdog = null;
+        const finish = (status) => {
+            clearTimeout(watchdog);
+            worker.terminate();
+            opts.signal?.removeEventListener('abort', onAbort);
+            resolve({ status, lastTick });
+        };
+        const onAbort = () => finish('aborted');
+        opts.signal?.addEventListener('abort', onAbort);
+
+        worker.onmessage = (e) => {
+            const data = e.data;
+            if (data.type === 'tick') {
+                lastTick = data;
+                if (timeoutMs > 0) {
+                    clearTimeout(watchdog);
+                    watchdog = setTimeout(() => finish('timeout'), timeoutMs);
+                }
+            } else if (data.type === 'done') {
+                finish('done');
+            } else if (data.type === 'error') {
+                console.warn('[ChatNovel] Worker failed:', data.message);
+                finish('failed');
+            } else {
+                opts.onMessage?.(data);
+            }
+        };
+        worker.onerror = (e) => {
+            // e.g. module workers unsupported, or the script failed to load
+            e.preventDefault?.();
+            console.warn('[ChatNovel] Worker error:', e.message || e);
+            finish(lastTick ? 'failed' : 'unavailable');
+        };
+
+        try {
+            worker.postMessage(job);
+        } catch (e) {
+            console.warn('[ChatNovel] Failed to start the worker:', e);
+            finish('unavailable');
+        }
+    });
+}
+
+/**
+ * Find the script that stalls on a message by running the regex chain on it
+ * alone, one script at a time under the time budget. Quarantines it when found.
+ * @param {Object} message - Parsed message the work stalled on
+ * @param {import('./regexEngine.js').RegexScriptInfo[]} infos - From listRegexScripts()
+ * @param {Object} options - See applyAllRegex
+ * @returns {Promise<import('./regexEngine.js').RegexQuarantine|null>} Null if no script is too slow
+ */
+export async function findSlowRegexScript(message, infos, options) {
+    const run = await runWatchedWorker(new URL('./regexWorker.js', import.meta.url), {
+        type: 'probe',
+        infos: toWorkerInfos(infos),
+        message: toWorkerMessage(message),
+        options: toWorkerOptions(options),
+    });
+    if (run.status !== 'timeout' || !run.lastTick) return null;
+
+    const info = infos[run.lastTick.script];
+    const report = {
+        key: info.key,
+        name: info.name,
+        messageIndex: message._index,
+        timeoutMs: REGEX_TIME_BUDGET_MS,
+    };
+    quarantineRegexScript(report);
+    console.warn(`[ChatNovel] Quarantined regex script "${report.name}" (stalled on message #${report.messageIndex})`);
+    return report;
+}
+
+/**
+ * Count the messages each script matches (see countRegexMatches) in the sandbox.
+ * A script that stalls is quarantined and the count starts over without it.
+ * Counts on the main thread, in chunks, when workers can't be used.
+ * @param {import('./regexEngine.js').RegexScriptInfo[]} infos - From listRegexScripts()
+ * @param {Array} messages - Parsed messages
+ * @param {Object} options - See applyAllRegex
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal] - Abort to stop counting
+ * @param {Function} [opts.onQuarantine] - Callback(RegexQuarantine, info) when a script is quarantined
+ * @returns {Promise<Map<string, number>|null>} Script key → matched messages; null if aborted
+ */
+export async function countRegexMatchesSafely(infos, messages, options, opts = {}) {
+    let timeoutMs = REGEX_TIME_BUDGET_MS;
+    for (;;) {
+        const counts = new Map();
+        const run = await runWatchedWorker(new URL('./regexWorker.js', import.meta.url), {
+            type: 'count',
+            infos: toWorkerInfos(infos),
+            messages: messages.map(toWorkerMessage),
+            options: toWorkerOptions(options),
+        }, {
+            signal: opts.signal,
+            timeoutMs,
+            onMessage: (data) => {
+                if (data.type === 'counts') data.counts.forEach(([key, count]) => counts.set(key, count));
+            },
+        });
+
+        if (run.status === 'done' || run.status === 'failed') return counts;
+        if (run.status === 'aborted') return null;
+        if (run.status === 'unavailable') return countOnMainThread(infos, messages, options, opts.signal);
+
+        // Stalled on a message — find the script, then count again without it
+        const report = await findSlowRegexScript(messages[run.lastTick.index], infos, options);
+        if (opts.signal?.aborted) return null;
+        if (report) {
+            const info = infos.find(i => i.key === report.key);
+            info.quarantine = report;
+            info.display = false;
+            opts.onQuarantine?.(report, info);
+        } else {
+            // Slow as a whole, but no single script to blame — finish without the watchdog
+            timeoutMs = 0;
+        }
+    }
+}
+
+/**
+ * Apply one script to a text in the sandbox (e.g. to preview a script being edited).
+ * @param {Object} script - ST-format regex script
+ * @param {string} text
+ * @param {Object} options - See applyRegexScript
+ * @returns {Promise<{text: string|null, timedOut: boolean}>} text is null if it didn't finish
+ */
+export async function applyRegexScriptSafely(script, text, options) {
+    let result = null;
+    const run = await runWatchedWorker(new URL('./regexWorker.js', import.meta.url), {
+        type: 'apply',
+        script: JSON.parse(JSON.stringify(script)),
+        text,
+        options: toWorkerOptions(options),
+    }, {
+        onMessage: (data) => {
+            if (data.type === 'result') result = data.text;
+        },
+    });
+
+    if (run.status === 'unavailable') {
+        return { text: applyRegexScript(script, text, options), timedOut: false };
+    }
+    return { text: result, timedOut: run.status === 'timeout' };
+}
+
+/**
+ * Count on the main thread in chunks, yielding between them.
+ * @param {Array} infos
+ * @param {Array} messages
+ * @param {Object} options
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Map<string, number>|null>}
+ */
+async function countOnMainThread(infos, messages, options, signal) {
+    const counts = new Map();
+    for (let i = 0; i < messages.length; i += COUNT_CHUNK) {
+        countRegexMatches(infos, messages.slice(i, i + COUNT_CHUNK), options, counts);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (signal?.aborted) return null;
+    }
+    return counts;
+}
+
+/**
+ * Copy script infos into plain objects for a worker — ST scripts may be Proxies.
+ * @param {Array} infos
+ * @returns {Array}
+ */
+function toWorkerInfos(infos) {
+    return JSON.parse(JSON.stringify(infos.map(({ key, name, script, display, quarantine }) => ({
+        key, name, script, display, quarantine,
+    }))));
+}
+
+/**
+ * Keep the cloneable regex options.
+ * @param {Object} options
+ * @returns {Object}
+ */
+function toWorkerOptions(options) {
+    return {
+        userName: options.userName,
+        characterName: options.characterName,
+        characterKey: options.characterKey,
+        macros: options.macros,
+        excludedScripts: options.excludedScripts ? new Set(options.excludedScripts) : undefined,
+    };
+}
+
+/**
+ * Copy the parts of a message the regex chain and the body pipeline read into
+ * a plain (structured-cloneable) object — live ST messages may hold Proxies.
+ * @param {Object} msg
+ * @returns {Object}
+ */
+export function toWorkerMessage(msg) {
+    const extra = msg.extra ? Object.assign({}, msg.extra) : null;
+    return {
+        mes: msg.mes || '',
+        is_user: !!msg.is_user,
+        is_system: !!msg.is_system,
+        _depth: msg._depth,
+        _parsedDate: msg._parsedDate,
+        _variables: msg._variables,
+        extra: extra && JSON.parse(JSON.stringify({
+            type: extra.type,
+            media: extra.media,
+            image: extra.image,
+            image_swipes: extra.image_swipes,
+            media_index: extra.media_index,
+            inline_image: extra.inline_image,
+            title: extra.title,
+        })),
+    };
+}
@@ -0,0 +1,41 @@
+/**
+ * Chat Novel — Regex Worker
+ * Module Web Worker for the regex sandbox (regexSandbox.js). Posts a heartbeat
+ * tick before each unit of work so a stalled pattern can be stopped and blamed.
+ *
+ * In:  { type: 'count', infos, messages, options }
+ *        ticks { index } per message, then { type: 'counts', counts: [[key, n]] }
+ *      { type: 'probe', infos, message, options }
+ *        ticks { script } per script (index into infos)
+ *      { type: 'apply', script, text, options }
+ *        one tick, then { type: 'result', text }
+ * Out: { type: 'done' } when finished, or { type: 'error', message }
+ */
+
+import { applyRegexScript, countRegexMatches } from './regexEngine.js';
+
+self.onmessage = (e) => {
+    const { type, infos, messages, message, script, text, options } = e.data || {};
+
+    try {
+        if (type === 'count') {
+            const counts = new Map();
+            messages.forEach((msg, index) => {
+                self.postMessage({ type: 'tick', index });
+                countRegexMatches(infos, [msg], options, counts);
+            });
+            self.postMessage({ type: 'counts', counts: [...counts] });
+        } else if (type === 'probe') {
+            countRegexMatches(infos, [message], options, new Map(),
+                index => self.postMessage({ type: 'tick', script: index }));
+        } else if (type === 'apply') {
+            self.postMessage({ type: 'tick' });
+            self.postMessage({ type: 'result', text: applyRegexScript(script, text, options) });
+        } else {
+            return;
+        }
+        self.postMessage({ type: 'done' });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err?.message || String(err) });
+    }
+};
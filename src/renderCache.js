@@ -0,0 +1,280 @@
+/**
+ * Chat Novel — Render Cache
+ * Memoizes each message's rendered body HTML, keyed by the message content,
+ * the swipe, the regex script set and the render options (and the message's
+ * depth when depth-limited regex scripts apply, else whether it's the last). Optionally backed
+ * by IndexedDB so reopening a long chat skips the regex / markdown pipeline.
+ */
+
+import { hashString } from './utils.js';
+
+/** Rendered messages kept in memory */
+export const MAX_MEMORY_ENTRIES = 5000;
+
+/** Rendered messages kept in IndexedDB (oldest dropped first) */
+const MAX_STORED_ENTRIES = 20000;
+
+/** Wait before writing new renders to IndexedDB (ms) */
+const FLUSH_DELAY_MS = 2000;
+
+/** Give up waiting for IndexedDB when opening a chat (ms) */
+const PRELOAD_TIMEOUT_MS = 1500;
+
+/** Part of every key — bump when rendered output changes for the same input, so older stored renders miss */
+const KEY_VERSION = 2;
+
+const DB_NAME = 'ChatNovelRenderCache';
+const STORE_NAME = 'renders';
+
+// key → html, in least-recently-used order
+const memory = new Map();
+
+// Content hash per message object, recomputed when its text changes
+const contentHashes = new WeakMap();
+
+// Hash per chat variable snapshot — consecutive messages often share one
+const variableHashes = new WeakMap();
+
+let persistent = false;
+let dbPromise = null;
+const pendingWrites = new Map();
+let flushTimer = null;
+
+/**
+ * Build the part of the key shared by every message of a render pass.
+ * @param {Array} parts - Regex set fingerprint, names, render options…
+ * @returns {string}
+ */
+export function renderContextKey(parts) {
+    return hashString(JSON.stringify(parts));
+}
+
+/**
+ * Turn IndexedDB backing on or off. Turning it off deletes what was stored.
+ * @param {boolean} enabled
+ */
+export function setRenderCachePersistence(enabled) {
+    enabled = !!enabled && typeof indexedDB !== 'undefined';
+    if (persistent && !enabled) {
+        pendingWrites.clear();
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        dbPromise?.then(db => db.close()).catch(() => {});
+        dbPromise = null;
+        try {
+            indexedDB.deleteDatabase(DB_NAME);
+        } catch (e) {
+            console.warn('[ChatNovel] Failed to delete the render cache:', e);
+        }
+    }
+    persistent = enabled;
+}
+
+/**
+ * Get a message's cached body HTML.
+ * @param {Object} message - Parsed message (as viewed)
+ * @param {Object} options - Render options; uses renderCacheKey (from renderContextKey())
+ *   and regexDepthSensitive
+ * @returns {string|undefined}
+ */
+export function getCachedRender(message, options) {
+    const key = messageKey(message, options);
+    const html = memory.get(key);
+    if (html !== undefined) {
+        // Refresh its place in the LRU order
+        memory.delete(key);
+        memory.set(key, html);
+    }
+    return html;
+}
+
+/**
+ * Store a message's body HTML.
+ * @param {Object} message
+ * @param {Object} options - See getCachedRender
+ * @param {string} html
+ */
+export function setCachedRender(message, options, html) {
+    const key = messageKey(message, options);
+    remember(key, html);
+    if (persistent) {
+        pendingWrites.set(key, html);
+        if (!flushTimer) flushTimer = setTimeout(flushWrites, FLUSH_DELAY_MS);
+    }
+}
+
+/**
+ * Load the stored renders of a chat's messages into memory before it's shown.
+ * Resolves early if IndexedDB is slow or unavailable.
+ * @param {Array} messages - Parsed messages
+ * @param {Object} options - See getCachedRender
+ * @returns {Promise<number>} Number of renders loaded
+ */
+export async function preloadRenderCache(messages, options) {
+    if (!persistent) return 0;
+
+    const keys = messages.slice(0, MAX_MEMORY_ENTRIES)
+        .map(msg => messageKey(msg, options))
+        .filter(key => !memory.has(key));
+    if (keys.length === 0) return 0;
+
+    const load = (async () => {
+        const db = await openDb();
+        const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        const entries = await Promise.all(keys.map(key => requestToPromise(store.get(key))));
+        let loaded = 0;
+        for (const entry of entries) {
+            if (entry) {
+                remember(entry.key, entry.html);
+                loaded++;
+            }
+        }
+        return loaded;
+    })();
+
+    try {
+        return await Promise.race([
+            load,
+            new Promise(resolve => setTimeout(() => resolve(0), PRELOAD_TIMEOUT_MS)),
+        ]);
+    } catch (e) {
+        console.warn('[ChatNovel] Failed to load the render cache:', e);
+        return 0;
+    }
+}
+
+/**
+ * Drop everything cached in memory (stored renders stay).
+ */
+export function clearRenderCache() {
+    memory.clear();
+}
+
+/**
+ * Build a message's full cache key. Equal keys mean equal rendered bodies,
+ * which is also how live follow tells which messages to render again.
+ * @param {Object} message
+ * @param {Object} options - See getCachedRender
+ * @returns {string}
+ */
+export function messageKey(message, options) {
+    const swipe = message._viewSwipe ?? message.swipe_id ?? 0;
+    const key = `v${KEY_VERSION}|${contentHash(message)}|${swipe}|${options.renderCacheKey}`;
+    if (options.regexDepthSensitive) return `${key}|d${message._depth ?? ''}`;
+    // The last message never shows the current-variables note (see renderMessageBody)
+    return message._depth === 0 ? `${key}|last` : key;
+}
+
+/**
+ * Hash what a message's rendered body depends on: its text, role (and regex
+ * placement), send date and chat variables as of it (for macros) and attached images.
+ * @param {Object} message
+ * @returns {string}
+ */
+function contentHash(message) {
+    const mes = message.mes || '';
+    const cached = contentHashes.get(message);
+    if (cached && cached.mes === mes) return cached.hash;
+
+    // Raw copy of extra to avoid ST's Proxy deprecation warnings
+    const extra = message.extra ? Object.assign({}, message.extra) : {};
+    const images = [extra.media, extra.image, extra.image_swipes, extra.media_index, extra.inline_image, extra.title];
+    const hash = hashString(JSON.stringify([mes, !!message.is_user, !!message.is_system, extra.type, message.send_date,
+        variablesHash(message._variables), images]));
+    contentHashes.set(message, { mes, hash });
+    return hash;
+}
+
+/**
+ * Hash a chat variable snapshot (see assignVariableSnapshots in parser.js).
+ * @param {Object} [variables]
+ * @returns {string}
+ */
+function variablesHash(variables) {
+    if (!variables) return '';
+    let hash = variableHashes.get(variables);
+    if (hash === undefined) {
+        hash = hashString(JSON.stringify(variables));
+        variableHashes.set(variables, hash);
+    }
+    return hash;
+}
+
+/**
+ * Put an entry in memory, evicting the least recently used ones.
+ * @param {string} key
+ * @param {string} html
+ */
+function remember(key, html) {
+    memory.delete(key);
+    memory.set(key, html);
+    while (memory.size > MAX_MEMORY_ENTRIES) {
+        memory.delete(memory.keys().next().value);
+    }
+}
+
+/**
+ * Open (or create) the IndexedDB database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                store.createIndex('time', 'time');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Write the queued renders, then trim the store to MAX_STORED_ENTRIES.
+ */
+async function flushWrites() {
+    flushTimer = null;
+    if (!persistent || pendingWrites.size === 0) return;
+
+    const entries = [...pendingWrites];
+    pendingWrites.clear();
+    try {
+        const db = await openDb();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        const time = Date.now();
+        for (const [key, html] of entries) {
+            store.put({ key, html, time });
+        }
+
+        const count = await requestToPromise(store.count());
+        let excess = count - MAX_STORED_ENTRIES;
+        if (excess > 0) {
+            const cursorRequest = store.index('time').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess-- <= 0) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        }
+    } catch (e) {
+        console.warn('[ChatNovel] Failed to store rendered messages:', e);
+    }
+}
+
+/**
+ * Wrap an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
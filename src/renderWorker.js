@@ -0,0 +1,60 @@
+/**
+ * Chat Novel — Render Worker
+ * Module Web Worker running the string-only part of the render pipeline
+ * (macros → regex → choices → markdown → dialogue) off the main thread.
+ * Streams the rendered message bodies back one chapter at a time, with a
+ * heartbeat tick before each message for the regex sandbox's watchdog.
+ *
+ * In:  { type: 'render', options, chapters: [{ index, messages }] }
+ * Out: { type: 'tick', index, position } per message (chapter index, position in it),
+ *      { type: 'chapter', index, bodies } per chapter, then { type: 'done' }
+ *      or { type: 'error', message }
+ */
+
+import { renderMessage } from './renderer.js';
+import { applyRegexScripts } from './regexEngine.js';
+import { processImages } from './imageHandler.js';
+
+self.onmessage = (e) => {
+    const { type, options, chapters } = e.data || {};
+    if (type !== 'render') return;
+
+    try {
+        const renderOptions = buildWorkerRenderOptions(options);
+        for (const chapter of chapters) {
+            const bodies = chapter.messages.map((msg, position) => {
+                self.postMessage({ type: 'tick', index: chapter.index, position });
+                return renderMessage(msg, renderOptions);
+            });
+            self.postMessage({ type: 'chapter', index: chapter.index, bodies });
+        }
+        self.postMessage({ type: 'done' });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err?.message || String(err) });
+    }
+};
+
+/**
+ * Rebuild the reader's render options from their cloneable parts —
+ * mirrors buildRenderOptions() in reader.js.
+ * @param {Object} options
+ * @param {Array} options.regexScripts - From getDisplayRegexScripts()
+ * @param {boolean} options.showImages
+ * @returns {Object} Rendering options for renderMessage()
+ */
+function buildWorkerRenderOptions(options) {
+    return {
+        userName: options.userName,
+        characterName: options.characterName,
+        characterKey: options.characterKey,
+        macros: options.macros,
+        dialogueEnabled: options.dialogueEnabled,
+        regexProcessor: (text, opts) => {
+            let processed = applyRegexScripts(options.regexScripts, text, opts);
+            if (options.showImages) {
+                processed = processImages(processed, options.characterName);
+            }
+            return processed;
+        },
+    };
+}
@@ -6,30 +6,14 @@
 
 import { escapeHtml } from './utils.js';
 import { createImageHtml } from './imageHandler.js';
+import { getCachedRender, setCachedRender } from './renderCache.js';
+import { getMessageRegexOptions } from './regexEngine.js';
+import { substituteMacros } from './macros.js';
+import { renderMarkdown } from './markdown.js';
 
-// ===== Macro Substitution =====
-
-/**
- * Replace {{user}} macros in text.
- * @param {string} text
- * @param {string} userName
- * @returns {string}
- */
-function substituteUserMacro(text, userName) {
-    if (!text || !userName) return text;
-    return text.replace(/\{\{user\}\}/gi, userName);
-}
-
-/**
- * Replace {{char}} macros in text.
- * @param {string} text
- * @param {string} characterName
- * @returns {string}
- */
-function substituteCharMacro(text, characterName) {
-    if (!text || !characterName) return text;
-    return text.replace(/\{\{char\}\}/gi, characterName);
-}
+/** Shown under a message whose {{getvar}} values are the current ones (label drawn by CSS, so search skips it) */
+const CURRENT_VARIABLES_NOTE = '<div class="cn-var-current" data-label="현재 변수 값" '
+    + 'title="이 메시지 시점의 변수 값이 저장되어 있지 않아 지금 값으로 표시했습니다"></div>';
 
 // ===== Previous Info Block Unwrapping =====
 
@@ -38,7 +22,7 @@ function substituteCharMacro(text, characterName) {
  * Instead of removing the entire block (which deletes current DOCTYPEs too),
  * this removes ONLY the <details>, <summary>, and </details> wrapper tags
  * while keeping the inner content. The code fences inside will survive
- * and renderMarkdown will turn OLD DOCTYPEs (inside ```) into harmless
+ * and the markdown stage will turn OLD DOCTYPEs (inside ```) into harmless
  * <pre><code> text, while CURRENT DOCTYPEs (outside ```) become iframes.
  * @param {string} text
  * @returns {string}
@@ -193,7 +177,7 @@ function restoreIframePlaceholders(html, iframePlaceholders) {
  * @param {string} text
  * @returns {string}
  */
-function removeCursorMarkers(text) {
+export function removeCursorMarkers(text) {
     if (!text) return text;
 
     // 1. JS-Slash-Runner 커서 마커 패턴들
@@ -240,229 +224,6 @@ function processChoices(text) {
     return text;
 }
 
-// ===== Markdown Rendering =====
-
-/**
- * Render markdown-like text to HTML.
- * Handles headings, bold, italic, code, links, lists, HR, blockquotes.
- * Protects multi-line HTML blocks (from regex scripts) from line-based processing.
- * Converts complete HTML documents to sandboxed iframes.
- * @param {string} text
- * @returns {string}
- */
-function renderMarkdown(text) {
-    if (!text) return '';
-
-    // === Protect multi-line HTML blocks from markdown processing ===
-    const protectedBlocks = [];
-    function protectBlock(match) {
-        const idx = protectedBlocks.length;
-        protectedBlocks.push(match);
-        return `\x00HTMLBLOCK${idx}\x00`;
-    }
-
-    // Code fences extracted first (OLD DOCTYPEs inside ``` become harmless <pre><code>)
-    const codeBlocks = [];
-    text = text.replace(/```(\w*)\n?([\s\S]*?)```/g, (match, lang, code) => {
-        const idx = codeBlocks.length;
-        codeBlocks.push(`<pre class="cn-code-block"><code>${escapeHtml(code.trim())}</code></pre>`);
-        return `\x00CODEBLOCK${idx}\x00`;
-    });
-
-    // Protect inline code
-    const inlineCodes = [];
-    text = text.replace(/`([^`]+)`/g, (match, code) => {
-        const idx = inlineCodes.length;
-        inlineCodes.push(`<code class="cn-inline-code">${escapeHtml(code)}</code>`);
-        return `\x00INLINECODE${idx}\x00`;
-    });
-
-    // Protect <style>...</style> blocks
-    text = text.replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, protectBlock);
-
-    // Protect <script>...</script> blocks
-    text = text.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, protectBlock);
-
-    // Protect <svg>...</svg> blocks
-    text = text.replace(/<svg\b[^>]*>[\s\S]*?<\/svg>/gi, protectBlock);
-
-    // Protect <table>...</table> blocks
-    text = text.replace(/<table\b[^>]*>[\s\S]*?<\/table>/gi, protectBlock);
-
-    // === Line-by-line processing with HTML block depth tracking ===
-    // Block-level HTML elements that can span multiple lines.
-    // Content inside these must NOT be processed as markdown.
-    const blockOpenRe = /<(div|details|section|article|aside|nav|header|footer|form|fieldset|figure|main|iframe|pre|dl)\b/gi;
-    const blockCloseRe = /<\/(div|details|section|article|aside|nav|header|footer|form|fieldset|figure|main|iframe|pre|dl)\s*>/gi;
-
-    function countBlockOpens(str) { return (str.match(blockOpenRe) || []).length; }
-    function countBlockCloses(str) { return (str.match(blockCloseRe) || []).length; }
-
-    let lines = text.split('\n');
-    let result = [];
-    let inList = false;
-    let listType = '';
-    let htmlBlockDepth = 0;
-
-    for (let i = 0; i < lines.length; i++) {
-        let line = lines[i];
-        const trimmed = line.trim();
-
-        // --- HTML block depth tracking ---
-        // When inside a block element, pass ALL lines through without markdown processing.
-        if (htmlBlockDepth > 0) {
-            const opens = countBlockOpens(trimmed);
-            const closes = countBlockCloses(trimmed);
-            htmlBlockDepth += opens - closes;
-            if (htmlBlockDepth < 0) htmlBlockDepth = 0;
-            result.push(line);
-            continue;
-        }
-
-        // Check if this line starts a multi-line HTML block
-        if (/^<[a-zA-Z]/.test(trimmed)) {
-            const opens = countBlockOpens(trimmed);
-            const closes = countBlockCloses(trimmed);
-            if (opens > closes) {
-                // Multi-line block starts here
-                htmlBlockDepth = opens - closes;
-                result.push(line);
-                continue;
-            }
-            // Balanced single-line block or non-block element — pass through
-            result.push(trimmed);
-            continue;
-        }
-
-        // Closing HTML tag on its own line (e.g. </div>) — pass through
-        if (/^<\/[a-zA-Z]/.test(trimmed)) {
-            const closes = countBlockCloses(trimmed);
-            // Should not happen if depth tracking is correct, but handle gracefully
-            htmlBlockDepth -= closes;
-            if (htmlBlockDepth < 0) htmlBlockDepth = 0;
-            result.push(trimmed);
-            continue;
-        }
-
-        // Close list if non-list line
-        if (inList && !trimmed.match(/^[\-\*]\s/) && !trimmed.match(/^\d+\.\s/)) {
-            result.push(listType === 'ul' ? '</ul>' : '</ol>');
-            inList = false;
-        }
-
-        // Empty line
-        if (!trimmed) {
-            result.push('<br />');
-            continue;
-        }
-
-        // Headings
-        const headingMatch = trimmed.match(/^(#{1,6})\s+(.+)$/);
-        if (headingMatch) {
-            const level = headingMatch[1].length;
-            const content = processInlineMarkdown(headingMatch[2]);
-            result.push(`<h${level} class="cn-heading">${content}</h${level}>`);
-            continue;
-        }
-
-        // Horizontal rule
-        if (/^[-*_]{3,}\s*$/.test(trimmed)) {
-            result.push('<hr class="cn-hr" />');
-            continue;
-        }
-
-        // Blockquote
-        if (trimmed.startsWith('>')) {
-            const quoteContent = processInlineMarkdown(trimmed.replace(/^>\s?/, ''));
-            result.push(`<blockquote class="cn-blockquote">${quoteContent}</blockquote>`);
-            continue;
-        }
-
-        // Unordered list
-        const ulMatch = trimmed.match(/^[\-\*]\s+(.+)$/);
-        if (ulMatch) {
-            if (!inList || listType !== 'ul') {
-                if (inList) result.push(listType === 'ul' ? '</ul>' : '</ol>');
-                result.push('<ul class="cn-list">');
-                inList = true;
-                listType = 'ul';
-            }
-            result.push(`<li class="cn-list-item">${processInlineMarkdown(ulMatch[1])}</li>`);
-            continue;
-        }
-
-        // Ordered list
-        const olMatch = trimmed.match(/^\d+\.\s+(.+)$/);
-        if (olMatch) {
-            if (!inList || listType !== 'ol') {
-                if (inList) result.push(listType === 'ul' ? '</ul>' : '</ol>');
-                result.push('<ol class="cn-list">');
-                inList = true;
-                listType = 'ol';
-            }
-            result.push(`<li class="cn-list-item">${processInlineMarkdown(olMatch[1])}</li>`);
-            continue;
-        }
-
-        // Protected block placeholders — pass through as-is
-        if (/^\x00(HTMLBLOCK|CODEBLOCK|INLINECODE)\d+\x00$/.test(trimmed)) {
-            result.push(trimmed);
-            continue;
-        }
-
-        // Normal paragraph
-        result.push(`<p class="cn-paragraph">${processInlineMarkdown(trimmed)}</p>`);
-    }
-
-    // Close open list
-    if (inList) {
-        result.push(listType === 'ul' ? '</ul>' : '</ol>');
-    }
-
-    text = result.join('\n');
-
-    // Restore code blocks (use function callback to avoid $ special-char interpretation)
-    codeBlocks.forEach((block, i) => {
-        text = text.replace(`\x00CODEBLOCK${i}\x00`, () => block);
-    });
-    inlineCodes.forEach((code, i) => {
-        text = text.replace(`\x00INLINECODE${i}\x00`, () => code);
-    });
-
-    // Restore protected HTML blocks (must be last — after all other restore steps)
-    protectedBlocks.forEach((block, i) => {
-        text = text.replace(`\x00HTMLBLOCK${i}\x00`, () => block);
-    });
-
-    return text;
-}
-
-/**
- * Process inline markdown (bold, italic, links, etc.)
- * @param {string} text
- * @returns {string}
- */
-function processInlineMarkdown(text) {
-    if (!text) return '';
-
-    // Bold + Italic (***text***)
-    text = text.replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
-
-    // Bold (**text**)
-    text = text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-
-    // Italic (*text*)
-    text = text.replace(/\*(.+?)\*/g, '<em>$1</em>');
-
-    // Strikethrough (~~text~~)
-    text = text.replace(/~~(.+?)~~/g, '<del>$1</del>');
-
-    // Links [text](url)
-    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-
-    return text;
-}
-
 // ===== Dialogue Styling =====
 
 /**
@@ -532,6 +293,36 @@ function renderExtraImages(message) {
 
 // ===== Public API =====
 
+/**
+ * Get a message's source text after macro and regex substitution,
+ * before any HTML conversion. Used by the plain-text exporters.
+ * @param {Object} message - Parsed message object
+ * @param {Object} options - Rendering options (see renderMessage)
+ * @param {Function} [onCurrentVariable] - Callback(name) when a chat variable is shown
+ *   at its current value (see substituteMacros)
+ * @returns {string}
+ */
+export function prepareMessageText(message, options, onCurrentVariable) {
+    const substitution = {
+        ...getMessageRegexOptions(message),
+        characterName: options.characterName,
+        characterKey: options.characterKey,
+        userName: options.userName,
+        macros: options.macros,
+        onCurrentVariable,
+    };
+
+    // 1. Macro substitution
+    let text = substituteMacros(message.mes || '', substitution);
+
+    // 2. ST regex scripts (image conversion, custom tags, etc.)
+    if (options.regexProcessor) {
+        text = options.regexProcessor(text, substitution);
+    }
+
+    return text;
+}
+
 /**
  * Render a single message to HTML.
  * @param {Object} message - Parsed message object
@@ -539,26 +330,35 @@ function renderExtraImages(message) {
  * @param {string} options.userName
  * @param {string} options.characterName
  * @param {string} [options.characterKey]
+ * @param {import('./macros.js').MacroContext} [options.macros] - See getMacroContext()
  * @param {boolean} [options.dialogueEnabled]
  * @param {Function} [options.regexProcessor] - (text, opts) => processed text
+ * @param {string} [options.renderCacheKey] - Fingerprint of everything above (see renderCache.js);
+ *   when set, the rendered body is memoized per message content and swipe
+ * @param {boolean} [options.regexDepthSensitive] - Memoize per message depth too (see describeRegexSet)
  * @returns {string} HTML string
  */
 export function renderMessage(message, options) {
-    let text = message.mes || '';
+    if (!options.renderCacheKey) return renderMessageBody(message, options);
 
-    // 1. Macro substitution
-    text = substituteUserMacro(text, options.userName);
-    text = substituteCharMacro(text, options.characterName);
+    const cached = getCachedRender(message, options);
+    if (cached !== undefined) return cached;
 
-    // 2. ST regex scripts (image conversion, custom tags, etc.)
-    if (options.regexProcessor) {
-        text = options.regexProcessor(text, {
-            isUser: message.is_user,
-            characterName: options.characterName,
-            characterKey: options.characterKey,
-            userName: options.userName,
-        });
-    }
+    const html = renderMessageBody(message, options);
+    setCachedRender(message, options, html);
+    return html;
+}
+
+/**
+ * Run the full render pipeline for a message body.
+ * @param {Object} message
+ * @param {Object} options - See renderMessage
+ * @returns {string} HTML string
+ */
+function renderMessageBody(message, options) {
+    // 1–2. Macro + regex substitution
+    let currentVariables = false;
+    let text = prepareMessageText(message, options, () => { currentVariables = true; });
 
     // 3. Unwrap "이전 정보" details blocks — remove wrapper tags, keep content.
     // Current DOCTYPEs (status panels) are inside these blocks.
@@ -586,6 +386,12 @@ export function renderMessage(message, options) {
     // 8. Dialogue styling
     text = styleDialogue(text, options.dialogueEnabled);
 
+    // 8.5. Chat variables the message has no stored values for — fine on the
+    // last message, but older ones may be showing stats from later on
+    if (currentVariables && message._depth !== 0) {
+        text += CURRENT_VARIABLES_NOTE;
+    }
+
     // 8. Extra images (SD-generated, pasted, auto-pic, etc.)
     const extraImgHtml = renderExtraImages(message);
     if (extraImgHtml) {
@@ -600,11 +406,68 @@ export function renderMessage(message, options) {
     return text;
 }
 
+/**
+ * Render the "2/4" swipe switcher of a message with alternates.
+ * @param {Object} msg - Parsed message; `_viewSwipe` is set when showing a non-chosen swipe
+ * @returns {string} HTML string ('' for single-swipe messages)
+ */
+function renderSwipeSwitcher(msg) {
+    const count = Array.isArray(msg.swipes) ? msg.swipes.length : 0;
+    if (count < 2) return '';
+
+    const current = msg._viewSwipe ?? msg.swipe_id ?? 0;
+    const isAlternate = msg._viewSwipe !== undefined;
+
+    return `<div class="cn-msg-swipes${isAlternate ? ' cn-swipe-alternate' : ''}">`
+        + '<button class="cn-swipe-prev" title="이전 답변">‹</button>'
+        + `<span class="cn-swipe-counter" title="${isAlternate ? '선택되지 않은 답변' : '채팅에서 선택된 답변'}">${current + 1}/${count}</span>`
+        + '<button class="cn-swipe-next" title="다음 답변">›</button>'
+        + '</div>';
+}
+
+/**
+ * Render a single message block (.cn-message wrapper with actions, sender and body).
+ * @param {Object} msg - Parsed message object
+ * @param {Object} options - Rendering options (see renderMessage)
+ * @param {boolean} [options.showSenderName=true] - Whether to show sender names
+ * @returns {string} HTML string
+ */
+export function renderMessageBlock(msg, options) {
+    const renderedText = renderMessage(msg, options);
+    const roleClass = msg.is_user ? 'cn-msg-user' : (msg.is_system ? 'cn-msg-system' : 'cn-msg-character');
+    const senderName = msg.is_system ? '' : msg.name;
+
+    const altClass = msg._viewSwipe !== undefined ? ' cn-msg-alternate' : '';
+
+    let html = `<div class="cn-message ${roleClass}${altClass}" data-msg-index="${msg._index}">`;
+
+    // 버튼 바
+    html += `<div class="cn-msg-actions">`;
+    html += `<button class="cn-msg-bookmark-btn" title="북마크">🔖</button>`;
+    html += `</div>`;
+
+    if (senderName && !msg.is_system && options.showSenderName !== false) {
+        html += `<div class="cn-msg-sender">${escapeHtml(senderName)}</div>`;
+    }
+
+    html += `<div class="cn-msg-body">${renderedText}</div>`;
+    html += renderSwipeSwitcher(msg);
+
+    // Export footnote/appendix references to this message's alternates
+    if (msg._alternateRefs?.length) {
+        html += `<div class="cn-alt-refs">다른 답변 ${msg._alternateRefs.map(n => `<span class="cn-alt-ref">[${n}]</span>`).join(' ')}</div>`;
+    }
+
+    html += '</div>';
+    return html;
+}
+
 /**
  * Render a full chapter to HTML.
  * @param {Object} chapter - Chapter object from chapterizer
  * @param {Object} options - Rendering options
  * @param {boolean} [options.showSenderName=true] - Whether to show sender names
+ * @param {boolean} [options.chapterRecap] - Show the chapter's summary (if any) under its title
  * @returns {string} HTML string
  */
 export function renderChapter(chapter, options) {
@@ -616,32 +479,29 @@ export function renderChapter(chapter, options) {
         html += `<div class="cn-chapter-date">${dateStr}</div>`;
     }
 
+    if (options.chapterRecap && chapter.summary) {
+        html += renderChapterRecap(chapter.summary);
+    }
+
     html += '<div class="cn-chapter-content">';
 
     for (const msg of chapter.messages) {
-        const renderedText = renderMessage(msg, options);
-        const roleClass = msg.is_user ? 'cn-msg-user' : (msg.is_system ? 'cn-msg-system' : 'cn-msg-character');
-        const senderName = msg.is_system ? '' : msg.name;
-
-        html += `<div class="cn-message ${roleClass}" data-msg-index="${msg._index}">`;
-
-        // 버튼 바
-        html += `<div class="cn-msg-actions">`;
-        html += `<button class="cn-msg-bookmark-btn" title="북마크">🔖</button>`;
-        html += `</div>`;
-
-        if (senderName && !msg.is_system && options.showSenderName !== false) {
-            html += `<div class="cn-msg-sender">${escapeHtml(senderName)}</div>`;
-        }
-
-        html += `<div class="cn-msg-body">${renderedText}</div>`;
-        html += '</div>';
+        html += renderMessageBlock(msg, options);
     }
 
     html += '</div></div>';
     return html;
 }
 
+/**
+ * Render the summary box shown at the start of a chapter.
+ * @param {string} summary
+ * @returns {string} HTML string
+ */
+export function renderChapterRecap(summary) {
+    return `<div class="cn-chapter-recap"><span class="cn-chapter-recap-label">줄거리</span>${escapeHtml(summary)}</div>`;
+}
+
 /**
  * Format a Date to a readable string.
  * @param {Date} date
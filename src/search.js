@@ -0,0 +1,226 @@
+/**
+ * Chat Novel — Search
+ * Full-text search over chapters (plain, whole-word or regex), speaker and
+ * chapter-range filters, and hit highlighting inside rendered message bodies.
+ * Searches either the message source or the text the reader actually shows.
+ */
+
+import { escapeHtml, escapeRegex } from './utils.js';
+
+/** Characters of context on each side of a hit in a snippet */
+const SNIPPET_CONTEXT = 30;
+
+// Elements that sit on lines of their own when extracting rendered text
+const BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'TR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'BLOCKQUOTE', 'PRE', 'SECTION', 'ARTICLE', 'TABLE', 'UL', 'OL', 'DETAILS', 'SUMMARY', 'HR', 'BR']);
+
+// Elements without visible text
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME']);
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {boolean} [regex=false] - Treat the query as a regular expression
+ * @property {boolean} [wholeWord=false] - Only match whole words
+ * @property {string} [speaker='all'] - 'all' | 'user' | 'char' | 'system'
+ * @property {number} [fromChapter] - First chapter to search (0-based, inclusive)
+ * @property {number} [toChapter] - Last chapter to search (0-based, inclusive)
+ */
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {number} start - Offset in the searched text
+ * @property {number} end
+ * @property {string} snippet - HTML snippet with the hit wrapped in <mark>
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {number} chapterIdx
+ * @property {Object} message
+ * @property {SearchHit[]} hits
+ */
+
+/**
+ * Build the search pattern for a query.
+ * @param {string} query
+ * @param {SearchOptions} [options]
+ * @returns {RegExp|null} Global pattern, or null for an empty query
+ * @throws {SyntaxError} Invalid regular expression
+ */
+export function buildSearchPattern(query, options = {}) {
+    if (!query) return null;
+
+    const source = options.regex ? query : escapeRegex(query);
+    if (options.wholeWord) {
+        // \b only knows ASCII words — look at letters / digits of any script instead
+        return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`, 'giu');
+    }
+    return new RegExp(source, 'gi');
+}
+
+/**
+ * Get the speaker category of a message.
+ * @param {Object} msg
+ * @returns {'user'|'char'|'system'}
+ */
+export function getSpeaker(msg) {
+    if (msg.is_system) return 'system';
+    return msg.is_user ? 'user' : 'char';
+}
+
+/**
+ * Find every hit of a pattern in a text.
+ * @param {string} text
+ * @param {RegExp} pattern - Global pattern
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function findAll(text, pattern) {
+    const hits = [];
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            // Zero-length match (e.g. /a*/) — step over it
+            pattern.lastIndex++;
+            continue;
+        }
+        hits.push({ start: match.index, end: match.index + match[0].length });
+    }
+    return hits;
+}
+
+/**
+ * Search chapters.
+ * @param {Array} chapters - Chapter objects from chapterizer
+ * @param {RegExp} pattern - From buildSearchPattern()
+ * @param {SearchOptions} [options]
+ * @param {Function} [getText] - Callback(msg) returning the text to search; defaults to msg.mes
+ * @returns {SearchResult[]} Results in reading order, one per message with hits
+ */
+export function searchChapters(chapters, pattern, options = {}, getText = msg => msg.mes || '') {
+    const results = [];
+    const from = Math.max(0, options.fromChapter ?? 0);
+    const to = Math.min(chapters.length - 1, options.toChapter ?? chapters.length - 1);
+    const speaker = options.speaker || 'all';
+
+    for (let chapterIdx = from; chapterIdx <= to; chapterIdx++) {
+        for (const message of chapters[chapterIdx].messages) {
+            if (speaker !== 'all' && getSpeaker(message) !== speaker) continue;
+
+            const text = getText(message);
+            const hits = findAll(text, pattern).map(hit => ({ ...hit, snippet: makeSnippet(text, hit) }));
+            if (hits.length > 0) {
+                results.push({ chapterIdx, message, hits });
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Get the text of rendered HTML as the reader shows it — no tags or attributes,
+ * one line per block so words of adjacent paragraphs don't run together.
+ * @param {HTMLElement} root - e.g. a .cn-msg-body
+ * @returns {string}
+ */
+export function extractRenderedText(root) {
+    const parts = [];
+    const walk = (node) => {
+        for (const child of node.childNodes) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                parts.push(child.nodeValue);
+            } else if (child.nodeType === Node.ELEMENT_NODE && !SKIPPED_TAGS.has(child.nodeName)) {
+                const block = BLOCK_TAGS.has(child.nodeName);
+                if (block) parts.push('\n');
+                walk(child);
+                if (block) parts.push('\n');
+            }
+        }
+    };
+    walk(root);
+    return parts.join('').replace(/[ \t]*\n\s*/g, '\n').trim();
+}
+
+/**
+ * Index the rendered text of every message under an element.
+ * @param {HTMLElement} root - Content area (or part of it)
+ * @param {Map<number, string>} [index] - Index to update; a new one by default
+ * @returns {Map<number, string>} Message index → rendered text
+ */
+export function indexRenderedText(root, index = new Map()) {
+    root.querySelectorAll('.cn-message[data-msg-index]').forEach(msgEl => {
+        const bodyEl = msgEl.querySelector('.cn-msg-body');
+        index.set(parseInt(msgEl.dataset.msgIndex, 10), bodyEl ? extractRenderedText(bodyEl) : '');
+    });
+    return index;
+}
+
+/**
+ * Build an HTML snippet around a hit.
+ * @param {string} text
+ * @param {{start: number, end: number}} hit
+ * @returns {string}
+ */
+function makeSnippet(text, hit) {
+    const start = Math.max(0, hit.start - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, hit.end + SNIPPET_CONTEXT);
+    const clean = s => escapeHtml(s.replace(/\s+/g, ' '));
+
+    return `${start > 0 ? '…' : ''}${clean(text.slice(start, hit.start))}`
+        + `<mark class="cn-search-highlight">${clean(text.slice(hit.start, hit.end))}</mark>`
+        + `${clean(text.slice(hit.end, end))}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Wrap the hits of a pattern inside an element's text in <mark class="cn-search-hit">.
+ * Matching is per text node, so a hit spanning formatting (e.g. half in <em>) isn't marked.
+ * @param {HTMLElement} root
+ * @param {RegExp} pattern - Global pattern
+ * @returns {HTMLElement[]} Marks in document order
+ */
+export function highlightMatches(root, pattern) {
+    const doc = root.ownerDocument;
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => (node.parentElement?.closest('script, style, .cn-search-hit')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT),
+    });
+
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    const marks = [];
+    for (const node of textNodes) {
+        const text = node.nodeValue;
+        const hits = findAll(text, pattern);
+        if (hits.length === 0) continue;
+
+        const fragment = doc.createDocumentFragment();
+        let pos = 0;
+        for (const hit of hits) {
+            if (hit.start > pos) fragment.appendChild(doc.createTextNode(text.slice(pos, hit.start)));
+            const mark = doc.createElement('mark');
+            mark.className = 'cn-search-hit';
+            mark.textContent = text.slice(hit.start, hit.end);
+            fragment.appendChild(mark);
+            marks.push(mark);
+            pos = hit.end;
+        }
+        if (pos < text.length) fragment.appendChild(doc.createTextNode(text.slice(pos)));
+        node.replaceWith(fragment);
+    }
+    return marks;
+}
+
+/**
+ * Remove search highlights, merging the text back together.
+ * @param {HTMLElement} root
+ */
+export function clearHighlights(root) {
+    const parents = new Set();
+    root.querySelectorAll('mark.cn-search-hit').forEach(mark => {
+        parents.add(mark.parentNode);
+        mark.replaceWith(mark.textContent);
+    });
+    parents.forEach(parent => parent.normalize());
+}
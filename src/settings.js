@@ -3,6 +3,8 @@
  * Manages extension settings with persistence.
  */
 
+import { escapeHtml } from './utils.js';
+
 const MODULE_NAME = 'chat_novel';
 
 const DEFAULT_SETTINGS = Object.freeze({
@@ -16,20 +18,34 @@ const DEFAULT_SETTINGS = Object.freeze({
     fontFamily: 'gothic', // 'gothic' | 'serif'
 
     // Chapter splitting
-    chapterMode: 'count', // 'count' | 'time' | 'both' | 'none'
+    chapterMode: 'count', // 'count' | 'time' | 'both' | 'marker' | 'none'
     messagesPerChapter: 20,
     timeGapHours: 6,
+    chapterMarkerSceneBreaks: true, // marker mode: --- / *** lines start a chapter
+    chapterMarkerPatterns: '',      // marker mode: user regexes, one per line
 
     // Display
     dialogueEnabled: true,
     showImages: true,
     showSenderName: true,
+    chapterRecap: true, // show generated chapter summaries under chapter titles (reader + exports)
+    searchRenderedText: true, // search the text as shown (after regex, macros and markdown) instead of the source
 
     // Export
     exportImageMode: 'url', // 'base64' | 'url'
+    exportStripIframes: true,      // TXT/MD: drop HTML status windows
+    exportStripStatusPanels: true, // TXT/MD: drop <details> info blocks
+    exportStripChoices: false,     // TXT/MD: drop <choices> blocks
+    printPageSize: 'A5', // 'A5' | 'B6' | 'A4'
+    exportAlternates: 'none', // EPUB/print/TXT/MD: non-chosen swipes — 'none' | 'footnotes' | 'appendix'
 
     // Reading mode
     readingMode: 'scroll', // 'scroll' | 'page'
+    resumeRecap: true, // "지난 이야기" card when reopening a chat after a while
+    renderCachePersist: false, // keep rendered messages in IndexedDB across sessions
+
+    // Live follow: append new messages of the active chat while the reader is open
+    liveFollow: false,
 
     // Blue light filter
     brightness: 100,
@@ -41,11 +57,28 @@ const DEFAULT_SETTINGS = Object.freeze({
     // Bookmarks (per-chat): { chatId: [ { msgIndex, label, timestamp } ] }
     bookmarks: {},
 
-    // Custom chapter names (per-chat): { chatId: { chapterIdx: 'name' } }
-    chapterNames: {},
+    // Custom chapter names (per-chat), anchored to the chapter's first message:
+    // { chatId: { msgIndex: 'name' } }. Replaces the old index-keyed `chapterNames`.
+    chapterTitles: {},
+
+    // Manual chapter breaks (per-chat): { chatId: { add: [msgIndex], remove: [msgIndex] } }
+    chapterBreaks: {},
+
+    // Generated chapter titles / summaries (per-chat), keyed like chapterTitles:
+    // { chatId: { msgIndex: { title, summary, endIndex, timestamp } } }
+    chapterSummaries: {},
 
     // Reading position (per-chat)
     readingPositions: {},
+
+    // ST regex scripts turned off in the reader only (per-character):
+    // { characterKey: [scriptKey] } — see getRegexScriptKey()
+    readerDisabledRegex: {},
+
+    // The extension's own "리더 전용" regex scripts, in ST's script format —
+    // they only change what the reader shows, never the chat window
+    readerRegexScripts: [],
+    readerRegexOrder: 'after', // run them 'before' | 'after' ST's scripts
 });
 
 /**
@@ -118,6 +151,9 @@ export function updateSetting(key, value) {
  * @param {number} position.chapterIndex
  * @param {number} position.scrollTop
  * @param {number} position.progress
+ * @param {number} [position.msgIndex]
+ * @param {number} [position.page]
+ * @param {string} [position.chatFile] - ST chat file name (for the chat picker)
  */
 const MAX_READING_POSITIONS = 100;
 
@@ -155,6 +191,18 @@ export function getReadingPosition(chatId) {
     return settings.readingPositions?.[chatId] || null;
 }
 
+/**
+ * Find the reading position saved for an ST chat file.
+ * Used by the chat picker, which only knows file names, not chat IDs.
+ * @param {string} chatFile - Chat file name without the .jsonl extension
+ * @returns {Object|null}
+ */
+export function getReadingPositionByFile(chatFile) {
+    if (!chatFile) return null;
+    const settings = loadSettings();
+    return Object.values(settings.readingPositions || {}).find(p => p.chatFile === chatFile) || null;
+}
+
 /**
  * Reset settings to defaults.
  */
@@ -220,33 +268,210 @@ export function removeBookmark(chatId, msgIndex) {
 /**
  * Get custom chapter names for a chat.
  * @param {string} chatId
- * @returns {Object} { chapterIndex: 'name' }
+ * @returns {Object} { msgIndex: 'name' } — keyed by the _index of the chapter's first message
  */
 export function getChapterNames(chatId) {
     if (!chatId) return {};
     const settings = loadSettings();
-    return settings.chapterNames?.[chatId] || {};
+    return settings.chapterTitles?.[chatId] || {};
 }
 
 /**
  * Set a custom chapter name.
  * @param {string} chatId
- * @param {number} chapterIndex
- * @param {string} name
+ * @param {number} anchorIndex - _index of the chapter's first message
+ * @param {string} name - Empty to remove
  */
-export function setChapterName(chatId, chapterIndex, name) {
+export function setChapterName(chatId, anchorIndex, name) {
     if (!chatId) return;
     const settings = loadSettings();
-    if (!settings.chapterNames) settings.chapterNames = {};
-    if (!settings.chapterNames[chatId]) settings.chapterNames[chatId] = {};
+    if (!settings.chapterTitles) settings.chapterTitles = {};
+    if (!settings.chapterTitles[chatId]) settings.chapterTitles[chatId] = {};
     if (name && name.trim()) {
-        settings.chapterNames[chatId][chapterIndex] = name.trim();
+        settings.chapterTitles[chatId][anchorIndex] = name.trim();
+    } else {
+        delete settings.chapterTitles[chatId][anchorIndex];
+    }
+    saveSettings();
+}
+
+/**
+ * Migrate a chat's old `{ chapterIdx: name }` names to message anchors, using the
+ * chapters as currently split. Names of chapters that no longer exist are dropped.
+ * @param {string} chatId
+ * @param {Array} chapters - Chapters from chapterize()
+ */
+export function migrateChapterNames(chatId, chapters) {
+    const settings = loadSettings();
+    const legacy = chatId ? settings.chapterNames?.[chatId] : null;
+    if (!legacy) return;
+
+    if (!settings.chapterTitles) settings.chapterTitles = {};
+    const titles = settings.chapterTitles[chatId] || {};
+    for (const [chapterIdx, name] of Object.entries(legacy)) {
+        const anchor = chapters[chapterIdx]?.messages[0]?._index;
+        if (anchor == null) {
+            console.warn(`[ChatNovel] Dropped name of missing chapter ${chapterIdx}: ${name}`);
+            continue;
+        }
+        if (titles[anchor] == null) titles[anchor] = name;
+    }
+    settings.chapterTitles[chatId] = titles;
+
+    delete settings.chapterNames[chatId];
+    if (Object.keys(settings.chapterNames).length === 0) delete settings.chapterNames;
+    saveSettings();
+}
+
+// ===== Generated Chapter Summaries =====
+
+/**
+ * Get the generated chapter summaries of a chat.
+ * @param {string} chatId
+ * @returns {Object} { msgIndex: { title, summary, endIndex, timestamp } }
+ */
+export function getChapterSummaries(chatId) {
+    if (!chatId) return {};
+    const settings = loadSettings();
+    return settings.chapterSummaries?.[chatId] || {};
+}
+
+/**
+ * Store a generated chapter summary.
+ * @param {string} chatId
+ * @param {number} anchorIndex - _index of the chapter's first message
+ * @param {{title: string, summary: string, endIndex: number}} entry - endIndex: _index of the chapter's last message when summarized
+ */
+export function setChapterSummary(chatId, anchorIndex, entry) {
+    if (!chatId) return;
+    const settings = loadSettings();
+    if (!settings.chapterSummaries) settings.chapterSummaries = {};
+    if (!settings.chapterSummaries[chatId]) settings.chapterSummaries[chatId] = {};
+    settings.chapterSummaries[chatId][anchorIndex] = { ...entry, timestamp: Date.now() };
+    saveSettings();
+}
+
+// ===== Manual Chapter Breaks =====
+
+/**
+ * Get the manual chapter break edits for a chat.
+ * @param {string} chatId
+ * @returns {{add: number[], remove: number[]}}
+ */
+export function getChapterBreaks(chatId) {
+    const settings = loadSettings();
+    const breaks = chatId ? settings.chapterBreaks?.[chatId] : null;
+    return { add: breaks?.add || [], remove: breaks?.remove || [] };
+}
+
+/**
+ * Force a chapter break at a message on or off.
+ * @param {string} chatId
+ * @param {number} msgIndex - Message that should (not) start a chapter
+ * @param {boolean} isBreak
+ */
+export function setChapterBreak(chatId, msgIndex, isBreak) {
+    if (!chatId) return;
+    const settings = loadSettings();
+    if (!settings.chapterBreaks) settings.chapterBreaks = {};
+    const { add, remove } = getChapterBreaks(chatId);
+
+    const nextAdd = add.filter(i => i !== msgIndex);
+    const nextRemove = remove.filter(i => i !== msgIndex);
+    (isBreak ? nextAdd : nextRemove).push(msgIndex);
+
+    settings.chapterBreaks[chatId] = {
+        add: nextAdd.sort((a, b) => a - b),
+        remove: nextRemove.sort((a, b) => a - b),
+    };
+    saveSettings();
+}
+
+/**
+ * Drop all manual chapter break edits of a chat.
+ * @param {string} chatId
+ */
+export function clearChapterBreaks(chatId) {
+    if (!chatId) return;
+    const settings = loadSettings();
+    if (!settings.chapterBreaks?.[chatId]) return;
+    delete settings.chapterBreaks[chatId];
+    saveSettings();
+}
+
+// ===== Reader-only Regex Toggles =====
+
+/**
+ * Get the regex scripts turned off in the reader for a character.
+ * @param {string} characterKey
+ * @returns {string[]} Script keys
+ */
+export function getDisabledRegexScripts(characterKey) {
+    if (!characterKey) return [];
+    const settings = loadSettings();
+    return settings.readerDisabledRegex?.[characterKey] || [];
+}
+
+/**
+ * Turn a regex script off (or back on) in the reader for a character.
+ * ST itself keeps running it.
+ * @param {string} characterKey
+ * @param {string} scriptKey
+ * @param {boolean} disabled
+ */
+export function setRegexScriptDisabled(characterKey, scriptKey, disabled) {
+    if (!characterKey) return;
+    const settings = loadSettings();
+    if (!settings.readerDisabledRegex) settings.readerDisabledRegex = {};
+    const keys = getDisabledRegexScripts(characterKey).filter(k => k !== scriptKey);
+    if (disabled) keys.push(scriptKey);
+
+    if (keys.length > 0) {
+        settings.readerDisabledRegex[characterKey] = keys;
     } else {
-        delete settings.chapterNames[chatId][chapterIndex];
+        delete settings.readerDisabledRegex[characterKey];
     }
     saveSettings();
 }
 
+// ===== Reader-only Regex Scripts =====
+
+/**
+ * Get the extension's own reader-only regex scripts, in the order they run.
+ * @returns {Object[]} ST-format regex scripts
+ */
+export function getReaderRegexScripts() {
+    const settings = loadSettings();
+    return Array.isArray(settings.readerRegexScripts) ? settings.readerRegexScripts : [];
+}
+
+/**
+ * Add a reader-only regex script, or replace the one with the same id.
+ * @param {Object} script - ST-format regex script with an id
+ */
+export function saveReaderRegexScript(script) {
+    const settings = loadSettings();
+    const scripts = getReaderRegexScripts();
+    const idx = scripts.findIndex(s => s.id === script.id);
+    if (idx >= 0) {
+        scripts[idx] = script;
+    } else {
+        scripts.push(script);
+    }
+    settings.readerRegexScripts = scripts;
+    saveSettings();
+}
+
+/**
+ * Delete a reader-only regex script.
+ * @param {string} id
+ */
+export function deleteReaderRegexScript(id) {
+    const settings = loadSettings();
+    settings.readerRegexScripts = getReaderRegexScripts().filter(s => s.id !== id);
+    saveSettings();
+}
+
 /**
  * Create settings panel HTML.
  * @param {Object} currentSettings - Current settings values
@@ -273,6 +498,16 @@ export function createSettingsPanelHtml(currentSettings, themeList) {
                         <option value="page" ${s.readingMode === 'page' ? 'selected' : ''}>페이지 넘김</option>
                     </select>
                 </div>
+                <div class="cn-setting-row">
+                    <label>다시 열 때 지난 이야기 표시</label>
+                    <input type="checkbox" class="cn-setting-input" data-setting="resumeRecap"
+                        ${s.resumeRecap ? 'checked' : ''} />
+                </div>
+                <div class="cn-setting-row">
+                    <label>렌더링 결과 저장 (다시 열 때 빠르게)</label>
+                    <input type="checkbox" class="cn-setting-input" data-setting="renderCachePersist"
+                        ${s.renderCachePersist ? 'checked' : ''} />
+                </div>
             </div>
 
             <!-- Chapter Settings -->
@@ -284,6 +519,7 @@ export function createSettingsPanelHtml(currentSettings, themeList) {
                         <option value="count" ${s.chapterMode === 'count' ? 'selected' : ''}>메시지 수 기준</option>
                         <option value="time" ${s.chapterMode === 'time' ? 'selected' : ''}>대화 공백 시간 기준</option>
                         <option value="both" ${s.chapterMode === 'both' ? 'selected' : ''}>메시지 수 + 대화 공백</option>
+                        <option value="marker" ${s.chapterMode === 'marker' ? 'selected' : ''}>장면 구분 표시 (제목·구분선)</option>
                         <option value="none" ${s.chapterMode === 'none' ? 'selected' : ''}>분할 안 함 (1챕터)</option>
                     </select>
                 </div>
@@ -302,6 +538,20 @@ export function createSettingsPanelHtml(currentSettings, themeList) {
                 <div class="cn-setting-hint cn-setting-conditional" data-show-when="chapterMode:time,both">
                     메시지 사이 공백이 위 시간을 넘으면 새 챕터로 나눕니다.
                 </div>
+                <div class="cn-setting-row cn-setting-conditional" data-show-when="chapterMode:marker">
+                    <label><code>---</code> / <code>***</code> 구분선</label>
+                    <input type="checkbox" class="cn-setting-input" data-setting="chapterMarkerSceneBreaks"
+                        ${s.chapterMarkerSceneBreaks ? 'checked' : ''} />
+                </div>
+                <div class="cn-setting-row cn-setting-row-stacked cn-setting-conditional" data-show-when="chapterMode:marker">
+                    <label>사용자 정의 정규식 (한 줄에 하나)</label>
+                    <textarea class="cn-setting-input cn-setting-textarea" data-setting="chapterMarkerPatterns"
+                        rows="3" spellcheck="false" placeholder="/^={3,}$/&#10;^【(.+)】$">${escapeHtml(s.chapterMarkerPatterns || '')}</textarea>
+                </div>
+                <div class="cn-setting-hint cn-setting-conditional" data-show-when="chapterMode:marker">
+                    <code># 제N장</code> 제목과 <code>&lt;chapter&gt;</code> 태그에서 새 챕터를 시작합니다.
+                    챕터에서 처음 나오는 제목이 챕터 이름이 되고, 정규식의 첫 번째 캡처 그룹도 챕터 이름으로 쓰입니다.
+                </div>
             </div>
 
             <!-- Typography Settings -->
@@ -359,6 +609,16 @@ export function createSettingsPanelHtml(currentSettings, themeList) {
                     <input type="checkbox" class="cn-setting-input" data-setting="showSenderName"
                         ${s.showSenderName ? 'checked' : ''} />
                 </div>
+                <div class="cn-setting-row">
+                    <label>챕터 줄거리 요약 표시</label>
+                    <input type="checkbox" class="cn-setting-input" data-setting="chapterRecap"
+                        ${s.chapterRecap ? 'checked' : ''} />
+                </div>
+                <div class="cn-setting-row">
+                    <label>보이는 본문에서 검색</label>
+                    <input type="checkbox" class="cn-setting-input" data-setting="searchRenderedText"
+                        ${s.searchRenderedText ? 'checked' : ''} />
+                </div>
                 <div class="cn-setting-row">
                     <label>단락 들여쓰기</label>
                     <input type="range" class="cn-setting-input" data-setting="paragraphIndent"
@@ -408,6 +668,37 @@ export function createSettingsPanelHtml(currentSettings, themeList) {
                         <option value="base64" ${s.exportImageMode === 'base64' ? 'selected' : ''}>Base64 임베드 (독립)</option>
                     </select>
                 </div>
+                <div class="cn-setting-row">
+                    <label>다른 답변 (스와이프)</label>
+                    <select class="cn-setting-input" data-setting="exportAlternates">
+                        <option value="none" ${s.exportAlternates === 'none' ? 'selected' : ''}>포함 안 함</option>
+                        <option value="footnotes" ${s.exportAlternates === 'footnotes' ? 'selected' : ''}>각주 (챕터 끝)</option>
+                        <option value="appendix" ${s.exportAlternates === 'appendix' ? 'selected' : ''}>부록 (책 끝)</option>
+                    </select>
+                </div>
+                <div class="cn-setting-row">
+                    <label>인쇄 용지</label>
+                    <select class="cn-setting-input" data-setting="printPageSize">
+                        <option value="A5" ${s.printPageSize === 'A5' ? 'selected' : ''}>A5 (148×210mm)</option>
+                        <option value="B6" ${s.printPageSize === 'B6' ? 'selected' : ''}>B6 (128×182mm)</option>
+                        <option value="A4" ${s.printPageSize === 'A4' ? 'selected' : ''}>A4 (210×297mm)</option>
+                    </select>
+                </div>
+                <div class="cn-setting-row">
+                    <label>TXT/MD: HTML 상태창 제거</label>
+                    <input type="checkbox" class="cn-setting-input" data-setting="exportStripIframes"
+                        ${s.exportStripIframes ? 'checked' : ''} />
+                </div>
+                <div class="cn-setting-row">
+                    <label>TXT/MD: 접힌 정보 블록 제거</label>
+                    <input type="checkbox" class="cn-setting-input" data-setting="exportStripStatusPanels"
+                        ${s.exportStripStatusPanels ? 'checked' : ''} />
+                </div>
+                <div class="cn-setting-row">
+                    <label>TXT/MD: 선택지 제거</label>
+                    <input type="checkbox" class="cn-setting-input" data-setting="exportStripChoices"
+                        ${s.exportStripChoices ? 'checked' : ''} />
+                </div>
             </div>
         </div>
     </div>`;
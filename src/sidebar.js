@@ -1,10 +1,16 @@
 /**
  * Chat Novel — Sidebar Navigation
  * Provides chapter navigation with tree view (bookmarks under chapters),
- * chapter renaming, and text search.
+ * chapter renaming, merging / splitting, generated summaries, and text search.
  */
 
-import { escapeRegex } from './utils.js';
+import { buildSearchPattern, searchChapters } from './search.js';
+
+/** Messages listed per page of search results */
+const SEARCH_PAGE_SIZE = 100;
+
+/** Snippets shown per message before "더 보기" */
+const SEARCH_SNIPPETS_SHOWN = 3;
 
 /**
  * Strip HTML tags from a string, returning plain text.
@@ -33,7 +39,22 @@ function escapeHtmlLocal(str) {
  * @param {Function} [opts.onBookmarkClick] - Callback(msgIndex)
  * @param {Function} [opts.onBookmarkRemove] - Callback(msgIndex)
  * @param {Function} [opts.onChapterRename] - Callback(chapterIdx, newName)
- * @param {Object} [opts.chapterNames] - Custom names { chapterIdx: 'name' }
+ * @param {Array} [opts.orphanNames] - Custom names whose anchor no longer starts a chapter { msgIndex, name, exists }
+ * @param {Function} [opts.onOrphanClick] - Callback(msgIndex)
+ * @param {Function} [opts.onOrphanRestore] - Callback(msgIndex) — start a chapter at the anchor again
+ * @param {Function} [opts.onOrphanRemove] - Callback(msgIndex) — forget the name
+ * @param {boolean} [opts.hasManualBreaks] - Chat has manual chapter breaks (shows the reset button)
+ * @param {Function} [opts.onChapterMerge] - Callback(chapterIdx) — merge with the next chapter
+ * @param {Function} [opts.onChapterSplit] - Callback(chapterIdx)
+ * @param {Function} [opts.onBreaksReset] - Callback() — back to the automatic split
+ * @param {boolean} [opts.summarizing] - Summary generation is running (the button cancels it)
+ * @param {Function} [opts.onSummarize] - Callback() — generate missing chapter summaries
+ * @param {Function} [opts.onChapterSummarize] - Callback(chapterIdx) — (re)generate one summary
+ * @param {Object} [opts.search] - Search query and options to restore (from a previous onSearch)
+ * @param {Function} [opts.getSearchText] - Callback(msg) returning the text to search; defaults to the message source
+ * @param {Function} [opts.onSearch] - Callback(search, pattern, results) whenever the search changes; pattern is null when cleared
+ * @param {Function} [opts.onSearchResultClick] - Callback(msgIndex, hitIdx)
+ * @param {Function} [opts.onSearchNavigate] - Callback(delta) — previous / next hit
  * @returns {Object} Sidebar controller
  */
 export function createSidebar(container, chapters, onChapterSelect, opts = {}) {
@@ -43,17 +64,50 @@ export function createSidebar(container, chapters, onChapterSelect, opts = {}) {
         <div class="cn-sidebar-header">
             <button class="cn-sidebar-toggle" title="Toggle sidebar">≡</button>
             <span class="cn-sidebar-title">목차</span>
+            ${opts.hasManualBreaks ? '<button class="cn-sidebar-breaks-reset" title="챕터 나누기 초기화 (자동 분할로 되돌리기)">↺</button>' : ''}
+            <button class="cn-sidebar-summarize ${opts.summarizing ? 'cn-summarizing' : ''}"
+                title="${opts.summarizing ? '요약 생성 중지' : 'AI로 챕터 제목·요약 생성'}">${opts.summarizing ? '⏹' : '✨'}</button>
         </div>
         <div class="cn-sidebar-search">
-            <input type="text" class="cn-search-input" placeholder="텍스트 검색..." />
+            <div class="cn-search-bar">
+                <input type="text" class="cn-search-input" placeholder="텍스트 검색..." />
+                <button class="cn-search-toggle" data-option="regex" title="정규식">.*</button>
+                <button class="cn-search-toggle" data-option="wholeWord" title="단어 단위">W</button>
+            </div>
+            <div class="cn-search-filters">
+                <select class="cn-search-speaker" title="발화자">
+                    <option value="all">모든 발화자</option>
+                    <option value="user">유저</option>
+                    <option value="char">캐릭터</option>
+                    <option value="system">시스템</option>
+                </select>
+                <input type="number" class="cn-search-from" min="1" max="${chapters.length}" placeholder="1" title="시작 챕터" />
+                <span>~</span>
+                <input type="number" class="cn-search-to" min="1" max="${chapters.length}" placeholder="${chapters.length}" title="끝 챕터" />
+                <span>장</span>
+            </div>
+            <div class="cn-search-nav" style="display:none">
+                <span class="cn-search-count"></span>
+                <span class="cn-search-position"></span>
+                <button class="cn-search-prev" title="이전 (Shift+F3)">▲</button>
+                <button class="cn-search-next" title="다음 (F3)">▼</button>
+            </div>
             <div class="cn-search-results"></div>
         </div>
+        <div class="cn-sidebar-orphans"></div>
         <div class="cn-sidebar-chapters"></div>
     `;
 
     const sidebarChapters = sidebar.querySelector('.cn-sidebar-chapters');
+    const sidebarOrphans = sidebar.querySelector('.cn-sidebar-orphans');
     const searchInput = sidebar.querySelector('.cn-search-input');
     const searchResults = sidebar.querySelector('.cn-search-results');
+    const searchSpeaker = sidebar.querySelector('.cn-search-speaker');
+    const searchFrom = sidebar.querySelector('.cn-search-from');
+    const searchTo = sidebar.querySelector('.cn-search-to');
+    const searchNav = sidebar.querySelector('.cn-search-nav');
+    const searchCount = sidebar.querySelector('.cn-search-count');
+    const searchPosition = sidebar.querySelector('.cn-search-position');
     const toggleBtn = sidebar.querySelector('.cn-sidebar-toggle');
 
     // Build mapping: chapterIdx -> bookmarks in that chapter
@@ -83,14 +137,13 @@ export function createSidebar(container, chapters, onChapterSelect, opts = {}) {
     function renderChapters(currentIndex = 0) {
         sidebarChapters.innerHTML = '';
         const bmByChapter = getBookmarksByChapter();
-        const customNames = opts.chapterNames || {};
 
         chapters.forEach((chapter, i) => {
             const node = document.createElement('div');
             node.className = 'cn-sidebar-tree-node';
             node.dataset.chapter = i;
 
-            const displayTitle = customNames[i] || chapter.title;
+            const displayTitle = chapter.title;
             const hasBm = bmByChapter[i] && bmByChapter[i].length > 0;
 
             // Chapter header row
@@ -102,11 +155,13 @@ export function createSidebar(container, chapters, onChapterSelect, opts = {}) {
                 <span class="cn-chapter-label" title="더블클릭으로 이름 변경">${escapeHtmlLocal(displayTitle)}</span>
                 <span class="cn-chapter-count">(${chapter.messages.length})</span>
                 <button class="cn-chapter-rename-btn" title="이름 변경">✏️</button>
+                ${chapter.messages.length > 1 ? '<button class="cn-chapter-split-btn" title="챕터 나누기">✂️</button>' : ''}
+                ${i < chapters.length - 1 ? '<button class="cn-chapter-merge-btn" title="다음 챕터와 합치기">⤓</button>' : ''}
             `;
 
             // Click — navigate
             row.addEventListener('click', (e) => {
-                if (e.target.closest('.cn-chapter-rename-btn, .cn-chapter-expand')) return;
+                if (e.target.closest('.cn-chapter-rename-btn, .cn-chapter-split-btn, .cn-chapter-merge-btn, .cn-chapter-expand')) return;
                 onChapterSelect(i);
                 highlightChapter(i);
             });
@@ -131,6 +186,16 @@ export function createSidebar(container, chapters, onChapterSelect, opts = {}) {
                 startRename(i, row.querySelector('.cn-chapter-label'), displayTitle);
             });
 
+            // Split / merge buttons
+            row.querySelector('.cn-chapter-split-btn')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                opts.onChapterSplit?.(i);
+            });
+            row.querySelector('.cn-chapter-merge-btn')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                opts.onChapterMerge?.(i);
+            });
+
             // Double-click label to rename
             row.querySelector('.cn-chapter-label').addEventListener('dblclick', (e) => {
                 e.stopPropagation();
@@ -139,6 +204,22 @@ export function createSidebar(container, chapters, onChapterSelect, opts = {}) {
 
             node.appendChild(row);
 
+            // Generated summary
+            if (chapter.summary) {
+                const summaryEl = document.createElement('div');
+                summaryEl.className = 'cn-sidebar-summary';
+                summaryEl.title = chapter.summary;
+                summaryEl.innerHTML = `
+                    <span class="cn-sidebar-summary-text">${escapeHtmlLocal(chapter.summary)}</span>
+                    <button class="cn-sidebar-summary-regen" title="요약 다시 생성" ${opts.summarizing ? 'disabled' : ''}>↻</button>
+                `;
+                summaryEl.querySelector('.cn-sidebar-summary-regen').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    opts.onChapterSummarize?.(i);
+                });
+                node.appendChild(summaryEl);
+            }
+
             // Bookmark sub-list
             if (hasBm) {
                 const bmList = document.createElement('div');
@@ -180,6 +261,41 @@ export function createSidebar(container, chapters, onChapterSelect, opts = {}) {
         });
     }
 
+    // Warning for custom names that no longer start a chapter
+    function renderOrphans() {
+        const orphans = opts.orphanNames || [];
+        sidebarOrphans.innerHTML = '';
+        sidebarOrphans.style.display = orphans.length > 0 ? '' : 'none';
+        if (orphans.length === 0) return;
+
+        sidebarOrphans.innerHTML = `<div class="cn-orphan-title">⚠️ 챕터 시작에서 벗어난 이름 ${orphans.length}개</div>`;
+        for (const orphan of orphans) {
+            const item = document.createElement('div');
+            item.className = 'cn-orphan-item';
+            item.innerHTML = `
+                <span class="cn-orphan-name">${escapeHtmlLocal(orphan.name)}</span>
+                <span class="cn-orphan-anchor">${orphan.exists ? `#${orphan.msgIndex}` : '삭제된 메시지'}</span>
+                ${orphan.exists ? '<button class="cn-orphan-restore" title="이 메시지에서 새 챕터 시작">📑</button>' : ''}
+                <button class="cn-orphan-remove" title="이름 삭제">✕</button>
+            `;
+
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('button') || !orphan.exists) return;
+                opts.onOrphanClick?.(orphan.msgIndex);
+            });
+            item.querySelector('.cn-orphan-restore')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                opts.onOrphanRestore?.(orphan.msgIndex);
+            });
+            item.querySelector('.cn-orphan-remove').addEventListener('click', (e) => {
+                e.stopPropagation();
+                opts.onOrphanRemove?.(orphan.msgIndex);
+            });
+
+            sidebarOrphans.appendChild(item);
+        }
+    }
+
     // Inline rename
     function startRename(chapterIdx, labelEl, currentName) {
         if (labelEl.querySelector('input')) return; // already editing
@@ -225,6 +341,13 @@ export function createSidebar(container, chapters, onChapterSelect, opts = {}) {
         });
     }
 
+    sidebar.querySelector('.cn-sidebar-breaks-reset')?.addEventListener('click', () => {
+        opts.onBreaksReset?.();
+    });
+    sidebar.querySelector('.cn-sidebar-summarize').addEventListener('click', () => {
+        opts.onSummarize?.();
+    });
+
     // Toggle sidebar
     let isOpen = true;
     toggleBtn.addEventListener('click', () => {
@@ -234,80 +357,154 @@ export function createSidebar(container, chapters, onChapterSelect, opts = {}) {
     });
 
     // Search
+    const search = {
+        query: '',
+        regex: false,
+        wholeWord: false,
+        speaker: 'all',
+        fromChapter: '',
+        toChapter: '',
+        ...opts.search,
+    };
+    searchInput.value = search.query;
+    searchSpeaker.value = search.speaker;
+    searchFrom.value = search.fromChapter;
+    searchTo.value = search.toChapter;
+    sidebar.querySelectorAll('.cn-search-toggle').forEach(btn => {
+        btn.classList.toggle('cn-search-toggle-on', !!search[btn.dataset.option]);
+        btn.addEventListener('click', () => {
+            search[btn.dataset.option] = !search[btn.dataset.option];
+            btn.classList.toggle('cn-search-toggle-on', search[btn.dataset.option]);
+            performSearch();
+        });
+    });
+
     let searchTimeout;
-    searchInput.addEventListener('input', (e) => {
+    searchInput.addEventListener('input', () => {
         clearTimeout(searchTimeout);
-        searchTimeout = setTimeout(() => performSearch(e.target.value.trim()), 300);
+        searchTimeout = setTimeout(() => {
+            search.query = searchInput.value.trim();
+            performSearch();
+        }, 300);
     });
-
-    function performSearch(query) {
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        opts.onSearchNavigate?.(e.shiftKey ? -1 : 1);
+    });
+    searchSpeaker.addEventListener('change', () => {
+        search.speaker = searchSpeaker.value;
+        performSearch();
+    });
+    [searchFrom, searchTo].forEach(input => input.addEventListener('change', () => {
+        search.fromChapter = searchFrom.value;
+        search.toChapter = searchTo.value;
+        performSearch();
+    }));
+    sidebar.querySelector('.cn-search-prev').addEventListener('click', () => opts.onSearchNavigate?.(-1));
+    sidebar.querySelector('.cn-search-next').addEventListener('click', () => opts.onSearchNavigate?.(1));
+
+    function performSearch() {
         searchResults.innerHTML = '';
-        if (!query || query.length < 2) {
-            searchResults.style.display = 'none';
+        searchNav.style.display = 'none';
+
+        const query = search.query;
+        let pattern = null;
+        if (query && (query.length >= 2 || search.regex)) {
+            try {
+                pattern = buildSearchPattern(query, search);
+            } catch (e) {
+                searchResults.innerHTML = `<div class="cn-search-no-results">정규식 오류: ${escapeHtmlLocal(e.message)}</div>`;
+                searchResults.style.display = 'block';
+            }
+        }
+        if (!pattern) {
+            if (!searchResults.firstChild) searchResults.style.display = 'none';
+            opts.onSearch?.({ ...search }, null, []);
             return;
         }
 
-        const results = [];
-        const lowerQuery = query.toLowerCase();
-
-        chapters.forEach((chapter, chapterIdx) => {
-            chapter.messages.forEach((msg, msgIdx) => {
-                const text = msg.mes || '';
-                const pos = text.toLowerCase().indexOf(lowerQuery);
-                if (pos !== -1) {
-                    const start = Math.max(0, pos - 30);
-                    const end = Math.min(text.length, pos + query.length + 30);
-                    let context = text.substring(start, end);
-                    if (start > 0) context = '...' + context;
-                    if (end < text.length) context += '...';
-                    const highlighted = context.replace(
-                        new RegExp(escapeRegex(query), 'gi'),
-                        '<mark class="cn-search-highlight">$&</mark>'
-                    );
-                    results.push({ chapterIdx, msgIdx, context: highlighted, chapter: chapter.title });
-                }
-            });
-        });
+        const results = searchChapters(chapters, pattern, {
+            ...search,
+            fromChapter: search.fromChapter ? parseInt(search.fromChapter, 10) - 1 : undefined,
+            toChapter: search.toChapter ? parseInt(search.toChapter, 10) - 1 : undefined,
+        }, opts.getSearchText);
+        opts.onSearch?.({ ...search }, pattern, results);
 
+        searchResults.style.display = 'block';
         if (results.length === 0) {
             searchResults.innerHTML = '<div class="cn-search-no-results">검색 결과 없음</div>';
-            searchResults.style.display = 'block';
             return;
         }
 
-        searchResults.style.display = 'block';
-        searchResults.innerHTML = `<div class="cn-search-count">${results.length}건 발견</div>`;
+        const hitCount = results.reduce((a, r) => a + r.hits.length, 0);
+        searchNav.style.display = '';
+        searchCount.textContent = `${hitCount}건 · 메시지 ${results.length}개`;
+        renderResults(results, 0);
+    }
 
-        results.slice(0, 50).forEach(result => {
+    // Result list, SEARCH_PAGE_SIZE messages at a time
+    function renderResults(results, offset) {
+        searchResults.querySelector('.cn-search-more')?.remove();
+
+        for (const result of results.slice(offset, offset + SEARCH_PAGE_SIZE)) {
+            const msg = result.message;
             const item = document.createElement('div');
             item.className = 'cn-search-result-item';
             item.innerHTML = `
-                <div class="cn-search-result-chapter">${result.chapter}</div>
-                <div class="cn-search-result-context">${result.context}</div>
+                <div class="cn-search-result-chapter">
+                    ${escapeHtmlLocal(chapters[result.chapterIdx].title)}
+                    · ${escapeHtmlLocal(msg.name || '시스템')}
+                    <span class="cn-search-result-hits">${result.hits.length}</span>
+                </div>
+                ${result.hits.map((hit, i) => `
+                    <div class="cn-search-result-context ${i >= SEARCH_SNIPPETS_SHOWN ? 'cn-search-result-extra' : ''}" data-hit="${i}">${hit.snippet}</div>
+                `).join('')}
+                ${result.hits.length > SEARCH_SNIPPETS_SHOWN
+                    ? `<div class="cn-search-result-expand">+${result.hits.length - SEARCH_SNIPPETS_SHOWN}개 더 보기</div>`
+                    : ''}
             `;
-            item.addEventListener('click', () => {
-                onChapterSelect(result.chapterIdx);
+
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.cn-search-result-expand')) {
+                    item.classList.add('cn-search-result-expanded');
+                    e.target.remove();
+                    return;
+                }
+                const hitEl = e.target.closest('[data-hit]');
+                opts.onSearchResultClick?.(msg._index, hitEl ? parseInt(hitEl.dataset.hit, 10) : 0);
                 highlightChapter(result.chapterIdx);
-                setTimeout(() => {
-                    const msgEl = container.querySelector(`[data-msg-index="${chapters[result.chapterIdx].messages[result.msgIdx]._index}"]`);
-                    if (msgEl) {
-                        msgEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                        msgEl.classList.add('cn-msg-highlight');
-                        setTimeout(() => msgEl.classList.remove('cn-msg-highlight'), 2000);
-                    }
-                }, 100);
             });
             searchResults.appendChild(item);
-        });
+        }
+
+        if (results.length > offset + SEARCH_PAGE_SIZE) {
+            const more = document.createElement('button');
+            more.className = 'cn-search-more';
+            more.textContent = `결과 더 보기 (${results.length - offset - SEARCH_PAGE_SIZE}개 남음)`;
+            more.addEventListener('click', () => renderResults(results, offset + SEARCH_PAGE_SIZE));
+            searchResults.appendChild(more);
+        }
+    }
+
+    // Current hit / total hits shown in the content
+    function setSearchPosition(current, total) {
+        searchPosition.textContent = total > 0 ? `${current >= 0 ? current + 1 : '-'} / ${total}` : '';
     }
 
     // Initial render
+    renderOrphans();
     renderChapters(0);
+    if (search.query) performSearch();
 
     return {
         element: sidebar,
         renderChapters,
         highlightChapter,
+        setSearchPosition,
+        refreshSearch: () => {
+            if (search.query) performSearch();
+        },
         toggle: () => {
             isOpen = !isOpen;
             sidebar.classList.toggle('cn-sidebar-collapsed', !isOpen);
@@ -0,0 +1,212 @@
+/**
+ * Chat Novel — Text Exporter
+ * Exports chapters as plain text (.txt) or Markdown (.md), built from the
+ * message text after macro + regex substitution rather than the rendered DOM.
+ */
+
+import { prepareMessageText, removeCursorMarkers } from './renderer.js';
+import { extractDocumentText } from './exporter.js';
+import { APPENDIX_TITLE, collectAlternateNotes, formatNoteLabel, noteMessage } from './alternates.js';
+
+// Same document pattern the renderer turns into iframes (including the [...] wrapping)
+const HTML_DOC_PATTERN = /\[?\s*(?:<!DOCTYPE\s+html[^>]*>[\s\S]*?<\/html>|<html[^>]*>[\s\S]*?<\/html>)\s*\]?/gi;
+
+// Innermost <details> block — applied repeatedly so nested blocks unwind from the inside
+const DETAILS_PATTERN = /<details\b[^>]*>((?:(?!<details\b)[\s\S])*?)<\/details\s*>/gi;
+
+const BLOCK_SELECTOR = 'p, div, li, tr, h1, h2, h3, h4, h5, h6, blockquote, pre, section, article, table, ul, ol';
+
+/**
+ * Export chapters as plain text or Markdown.
+ * @param {Object} options
+ * @param {'txt'|'md'} options.format
+ * @param {string} options.title - Novel title
+ * @param {Array} options.chapters - Chapter objects from chapterizer
+ * @param {Object} options.renderOptions - Renderer options (names, regexProcessor)
+ * @param {boolean} [options.stripIframes=true] - Drop HTML documents (shown as iframes in the reader) instead of keeping their text
+ * @param {boolean} [options.stripStatusPanels=true] - Drop <details> info blocks instead of unfolding them
+ * @param {boolean} [options.stripChoices=false] - Drop <choices> blocks instead of listing them
+ * @param {string} [options.alternates='none'] - Non-chosen swipes: 'none' | 'footnotes' | 'appendix'
+ * @returns {string}
+ */
+export function exportToText(options) {
+    const { format, title, chapters, renderOptions } = options;
+    const md = format === 'md';
+    const parts = [md ? `# ${title}` : title];
+
+    const withAlternates = options.alternates === 'footnotes' || options.alternates === 'appendix';
+    const { notes, refs } = withAlternates ? collectAlternateNotes(chapters) : { notes: [], refs: new Map() };
+    // Markdown footnotes ([^n]) only make sense in footnote mode
+    const mdFootnotes = md && options.alternates === 'footnotes';
+
+    chapters.forEach((chapter, chapterIndex) => {
+        parts.push(md
+            ? `## ${chapter.title}`
+            : `${chapter.title}\n${'─'.repeat(20)}`);
+        if (renderOptions.chapterRecap && chapter.summary) {
+            parts.push(md ? `> ${chapter.summary}` : `(줄거리) ${chapter.summary}`);
+        }
+
+        for (const msg of chapter.messages) {
+            let body = messageToText(prepareMessageText(msg, renderOptions), options);
+            if (!body) continue;
+
+            const msgRefs = refs.get(msg._index);
+            if (msgRefs) {
+                body += mdFootnotes
+                    ? ` ${msgRefs.map(n => `[^${n}]`).join('')}`
+                    : `\n(다른 답변 ${msgRefs.map(n => `[${n}]`).join(' ')})`;
+            }
+
+            if (msg.is_system || !msg.name) {
+                parts.push(body);
+            } else {
+                parts.push(md ? `**${msg.name}**\n\n${body}` : `[${msg.name}]\n${body}`);
+            }
+        }
+
+        const chapterNotes = notes.filter(n => n.chapterIndex === chapterIndex);
+        if (options.alternates === 'footnotes' && chapterNotes.length > 0) {
+            if (!md) parts.push('다른 답변');
+            parts.push(...chapterNotes.map(note => formatNote(note, options, mdFootnotes)));
+        }
+    });
+
+    if (options.alternates === 'appendix' && notes.length > 0) {
+        parts.push(md ? `## ${APPENDIX_TITLE}` : `${APPENDIX_TITLE}\n${'─'.repeat(20)}`);
+        chapters.forEach((chapter, chapterIndex) => {
+            const chapterNotes = notes.filter(n => n.chapterIndex === chapterIndex);
+            if (chapterNotes.length === 0) return;
+            parts.push(md ? `### ${chapter.title}` : `< ${chapter.title} >`);
+            parts.push(...chapterNotes.map(note => formatNote(note, options, false)));
+        });
+    }
+
+    return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Plain text of one message, as in a TXT export with the default options.
+ * @param {Object} msg - Parsed message
+ * @param {Object} renderOptions
+ * @returns {string}
+ */
+export function messagePlainText(msg, renderOptions) {
+    return messageToText(prepareMessageText(msg, renderOptions), { format: 'txt', renderOptions });
+}
+
+/**
+ * Format one alternate note.
+ * @param {import('./alternates.js').AlternateNote} note
+ * @param {Object} options - Export options (see exportToText)
+ * @param {boolean} mdFootnote - Write a Markdown footnote definition
+ * @returns {string}
+ */
+function formatNote(note, options, mdFootnote) {
+    const body = messageToText(prepareMessageText(noteMessage(note), options.renderOptions), options) || '…';
+    const label = formatNoteLabel(note);
+
+    if (mdFootnote) {
+        // Continuation lines of a footnote definition are indented
+        return `[^${note.number}]: **${label}**\n\n${body.split('\n').map(line => (line ? `    ${line}` : line)).join('\n')}`;
+    }
+    return options.format === 'md'
+        ? `**[${note.number}] ${label}**\n\n${body}`
+        : `[${note.number}] ${label}\n${body}`;
+}
+
+/**
+ * Convert one message's substituted source text to plain text / Markdown.
+ * @param {string} text
+ * @param {Object} options - Export options (see exportToText)
+ * @returns {string}
+ */
+function messageToText(text, options) {
+    const md = options.format === 'md';
+    if (!text) return '';
+
+    text = removeCursorMarkers(text);
+
+    // Status panels folded into <details>
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(DETAILS_PATTERN, (match, inner) => {
+            if (options.stripStatusPanels !== false) return '';
+            return inner.replace(/<summary[^>]*>([\s\S]*?)<\/summary>/i, '$1\n');
+        });
+    } while (text !== previous);
+
+    // Complete HTML documents (iframes in the reader)
+    text = text.replace(HTML_DOC_PATTERN, (match) => {
+        if (options.stripIframes !== false) return '\n';
+        const html = match.replace(/^\s*\[/, '').replace(/\]\s*$/, '');
+        return `\n${extractDocumentText(html).join('\n')}\n`;
+    });
+
+    // <choices> blocks
+    text = text.replace(/<choices>([\s\S]*?)<\/choices>/gi, (match, content) => {
+        if (options.stripChoices) return '';
+        const lines = content.trim().split('\n')
+            .map(l => l.replace(/^\d+[\.\)\-]\s*/, '').trim())
+            .filter(Boolean);
+        return `\n선택지\n${lines.map((l, i) => `${i + 1}. ${l}`).join('\n')}\n`;
+    });
+
+    text = htmlToText(text, md);
+
+    if (!md) {
+        text = stripMarkdown(text);
+    }
+
+    return text
+        .split('\n')
+        .map(line => (md ? line.replace(/\s+$/, '') : line.trim()))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Remove the HTML left behind by regex scripts, keeping its text.
+ * Images become Markdown image links (md) or are dropped (txt).
+ * @param {string} text
+ * @param {boolean} md
+ * @returns {string}
+ */
+function htmlToText(text, md) {
+    if (!/<[a-z!/]|&[#\w]+;/i.test(text)) return text;
+
+    const doc = new DOMParser().parseFromString(`<body>${text}</body>`, 'text/html');
+    doc.querySelectorAll('script, style, iframe, template').forEach(el => el.remove());
+    doc.querySelectorAll('img').forEach(img => {
+        const src = img.getAttribute('src');
+        img.replaceWith(md && src ? `![${img.getAttribute('alt') || ''}](${src})` : '');
+    });
+    doc.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    doc.body.querySelectorAll(BLOCK_SELECTOR).forEach(el => {
+        el.before('\n');
+        el.after('\n');
+    });
+
+    return doc.body.textContent || '';
+}
+
+/**
+ * Strip Markdown syntax for plain-text output.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMarkdown(text) {
+    return text
+        .replace(/^\s*```.*$/gm, '')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^>\s?/gm, '')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/__(.+?)__/g, '$1')
+        .replace(/\*([^*\n]+)\*/g, '$1')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/`([^`\n]+)`/g, '$1')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+}
@@ -0,0 +1,199 @@
+/**
+ * Chat Novel — Chapter Virtualizer
+ * Keeps chapters as empty placeholders sized from cached (or estimated) heights,
+ * renders the ones near the viewport right away and the rest in idle time.
+ */
+
+/** How far outside the viewport a placeholder starts rendering */
+const ROOT_MARGIN = '1500px';
+
+/** Idle time (ms) a chapter render is allowed to start in */
+const MIN_IDLE_MS = 8;
+
+// Measured chapter heights for the session: cacheKey → px
+const heightCache = new Map();
+
+const requestIdle = window.requestIdleCallback
+    || (cb => setTimeout(() => cb({ timeRemaining: () => MIN_IDLE_MS, didTimeout: true }), 50));
+const cancelIdle = window.cancelIdleCallback || clearTimeout;
+
+/**
+ * Create the chapter virtualizer for a content area.
+ * The content area must already hold one .cn-chapter element per chapter
+ * (placeholders from placeholdersHtml() or rendered chapters).
+ * @param {HTMLElement} contentEl - Scrolling content area
+ * @param {Object} opts
+ * @param {Function} opts.renderChapter - (idx) => chapter HTML
+ * @param {Function} [opts.estimateHeight] - (idx) => px, for chapters whose height isn't cached
+ * @param {Function} [opts.cacheKey] - (idx) => key of the chapter's height in the cache, or null
+ * @param {Function} [opts.shouldMeasure] - () => whether rendered heights can be measured now
+ * @param {Function} [opts.keepPosition] - (mutate) => run mutate() without moving what the reader is looking at
+ * @param {Function} [opts.onRender] - Callback(chapterEl, idx) after a chapter is rendered
+ * @param {Function} [opts.isReady] - (idx) => whether the chapter may be rendered in idle time yet;
+ *   chapters near the viewport are rendered regardless. Call sync() when more become ready.
+ * @returns {Object} Virtualizer controller
+ */
+export function createChapterVirtualizer(contentEl, opts) {
+    const keepPosition = opts.keepPosition || (mutate => mutate());
+    let idleHandle = null;
+    let destroyed = false;
+
+    const observer = new IntersectionObserver((entries) => {
+        const near = entries.filter(e => e.isIntersecting).map(e => e.target);
+        if (near.length === 0) return;
+        keepPosition(() => near.forEach(el => renderElement(el)));
+    }, { root: contentEl, rootMargin: ROOT_MARGIN });
+
+    function getChapterEl(idx) {
+        return contentEl.querySelector(`#cn-chapter-${idx}`);
+    }
+
+    function isPlaceholder(el) {
+        return el.classList.contains('cn-chapter-placeholder');
+    }
+
+    // Replace a placeholder with the rendered chapter; returns the chapter element
+    function renderElement(el) {
+        if (!el.isConnected || !isPlaceholder(el)) return el;
+        observer.unobserve(el);
+
+        const idx = parseInt(el.dataset.chapter, 10);
+        const template = document.createElement('template');
+        template.innerHTML = opts.renderChapter(idx);
+        const chapterEl = template.content.firstElementChild;
+        el.replaceWith(template.content);
+
+        const key = opts.cacheKey?.(idx);
+        if (key && opts.shouldMeasure?.() !== false && chapterEl.offsetHeight > 0) {
+            heightCache.set(key, chapterEl.offsetHeight);
+        }
+        opts.onRender?.(chapterEl, idx);
+        return chapterEl;
+    }
+
+    // Render the remaining placeholders one by one while the browser is idle
+    function scheduleIdle() {
+        if (idleHandle !== null || destroyed) return;
+        idleHandle = requestIdle((deadline) => {
+            idleHandle = null;
+            while (!destroyed && (deadline.didTimeout || deadline.timeRemaining() >= MIN_IDLE_MS)) {
+                const next = nextPlaceholder();
+                if (!next) return;
+                keepPosition(() => renderElement(next));
+                if (deadline.didTimeout) break;
+            }
+            if (!destroyed && nextPlaceholder()) scheduleIdle();
+        });
+    }
+
+    // Placeholders after the viewport come first — rendering them never moves the view
+    function nextPlaceholder() {
+        const placeholders = [...contentEl.querySelectorAll('.cn-chapter-placeholder')]
+            .filter(el => opts.isReady?.(parseInt(el.dataset.chapter, 10)) !== false);
+        if (placeholders.length === 0) return null;
+        const viewRect = contentEl.getBoundingClientRect();
+        return placeholders.find(el => {
+            const rect = el.getBoundingClientRect();
+            return rect.bottom > viewRect.top && rect.right > viewRect.left;
+        }) || placeholders[placeholders.length - 1];
+    }
+
+    /**
+     * Start watching placeholders that aren't watched yet (e.g. added by a live sync)
+     * and resume idle rendering.
+     */
+    function sync() {
+        contentEl.querySelectorAll('.cn-chapter-placeholder').forEach(el => observer.observe(el));
+        scheduleIdle();
+    }
+
+    /**
+     * Make sure a chapter is rendered.
+     * @param {number} idx
+     * @returns {HTMLElement|null} The chapter element
+     */
+    function ensureRendered(idx) {
+        const el = getChapterEl(idx);
+        if (!el || !isPlaceholder(el)) return el;
+        let chapterEl = null;
+        keepPosition(() => { chapterEl = renderElement(el); });
+        return chapterEl;
+    }
+
+    /**
+     * Render every chapter now (e.g. before exporting the content area).
+     */
+    function renderAll() {
+        keepPosition(() => {
+            contentEl.querySelectorAll('.cn-chapter-placeholder').forEach(el => renderElement(el));
+        });
+    }
+
+    /**
+     * Turn a chapter back into a placeholder, to be rendered again when needed.
+     * @param {number} idx
+     */
+    function reset(idx) {
+        const el = getChapterEl(idx);
+        if (!el) return;
+        observer.unobserve(el);
+        el.outerHTML = placeholderHtml(idx, getHeight(idx, opts));
+        observer.observe(getChapterEl(idx));
+        scheduleIdle();
+    }
+
+    sync();
+
+    return {
+        ensureRendered,
+        renderAll,
+        reset,
+        sync,
+        isRendered: (idx) => {
+            const el = getChapterEl(idx);
+            return !!el && !isPlaceholder(el);
+        },
+        destroy: () => {
+            destroyed = true;
+            observer.disconnect();
+            if (idleHandle !== null) cancelIdle(idleHandle);
+            idleHandle = null;
+        },
+    };
+}
+
+/**
+ * Build the placeholders for all chapters.
+ * @param {number} count
+ * @param {Object} opts - See createChapterVirtualizer; uses cacheKey and estimateHeight
+ * @returns {string} HTML string
+ */
+export function placeholdersHtml(count, opts) {
+    let html = '';
+    for (let idx = 0; idx < count; idx++) {
+        html += placeholderHtml(idx, getHeight(idx, opts));
+    }
+    return html;
+}
+
+/**
+ * Get a chapter's cached height, or its estimate.
+ * @param {number} idx
+ * @param {Object} opts
+ * @returns {number}
+ */
+function getHeight(idx, opts) {
+    const key = opts.cacheKey?.(idx);
+    return (key && heightCache.get(key)) || opts.estimateHeight?.(idx) || 0;
+}
+
+/**
+ * Render one placeholder — same id / data-chapter as the chapter it stands for,
+ * so chapter lookups and progress tracking don't need to know about it.
+ * @param {number} idx
+ * @param {number} height
+ * @returns {string} HTML string
+ */
+function placeholderHtml(idx, height) {
+    return `<div class="cn-chapter cn-chapter-placeholder" data-chapter="${idx}" id="cn-chapter-${idx}" style="height:${Math.round(height)}px"></div>`;
+}
@@ -0,0 +1,104 @@
+/**
+ * Chat Novel — ZIP Writer
+ * Minimal store-only (uncompressed) ZIP builder for EPUB packaging.
+ */
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a Date to MS-DOS time/date fields.
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Build a ZIP archive. Entries are stored in the given order without compression,
+ * which keeps an EPUB's leading `mimetype` entry valid.
+ * @param {Array<{name: string, data: string|Uint8Array}>} entries
+ * @param {string} [mimeType='application/zip']
+ * @returns {Blob}
+ */
+export function createZip(entries, mimeType = 'application/zip') {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const nameBytes = encoder.encode(entry.name);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);  // local file header signature
+        local.setUint16(4, 20, true);          // version needed
+        local.setUint16(6, 0x0800, true);      // flags: UTF-8 names
+        local.setUint16(8, 0, true);           // method: store
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);          // extra field length
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true); // central directory signature
+        header.setUint16(4, 20, true);         // version made by
+        header.setUint16(6, 20, true);         // version needed
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, date, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, nameBytes.length, true);
+        header.setUint32(42, offset, true);    // local header offset
+        central.push(new Uint8Array(header.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = central.reduce((a, c) => a + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);        // end of central directory signature
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: mimeType });
+}
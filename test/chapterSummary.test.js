@@ -0,0 +1,181 @@
+/**
+ * Chat Novel — Chapter summary tests
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installSillyTavern } from './support/sillyTavern.js';
+import { summarizeChapter, summarizeChapters, parseSummaryResponse } from '../src/chapterSummary.js';
+
+const RENDER_OPTIONS = {
+    userName: 'User',
+    characterName: 'Char',
+    macros: { seed: 'chat', localVariables: {}, globalVariables: {} },
+};
+
+const RESPONSE = '제목: 폭풍 전야\n요약: 두 사람이 항구에서 만난다. 폭풍이 다가온다.';
+
+/**
+ * @param {number} index
+ * @param {string[]} texts - Alternating User / Char messages
+ * @returns {Object} Chapter-like object
+ */
+function chapter(index, texts) {
+    return {
+        index,
+        messages: texts.map((mes, i) => ({ mes, name: i % 2 ? 'Char' : 'User', is_user: i % 2 === 0, _index: i })),
+    };
+}
+
+describe('summary generation with a stub generator', () => {
+    test('sends the chapter as name: line text and parses the title and summary', async () => {
+        const calls = [];
+        const generate = async (prompt, systemPrompt) => {
+            calls.push({ prompt, systemPrompt });
+            return RESPONSE;
+        };
+
+        const result = await summarizeChapter(chapter(0, ['안녕?', '*고개를 든다* 왔구나.']), { renderOptions: RENDER_OPTIONS, generate });
+
+        assert.deepEqual(result, { title: '폭풍 전야', summary: '두 사람이 항구에서 만난다. 폭풍이 다가온다.' });
+        assert.equal(calls.length, 1);
+        assert.match(calls[0].prompt, /^User: 안녕\?\n\nChar: 고개를 든다 왔구나\./);
+        assert.match(calls[0].prompt, /제목: <제목>\n요약: <요약>$/);
+        assert.match(calls[0].systemPrompt, /웹소설 편집자/);
+    });
+
+    test('reports a failed chapter and carries on with the next', async () => {
+        const chapters = [chapter(0, ['하나']), chapter(1, ['둘']), chapter(2, ['셋'])];
+        const generate = async (prompt) => {
+            if (prompt.includes('둘')) throw new Error('API down');
+            return RESPONSE;
+        };
+        const results = [];
+        const errors = [];
+
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        let done;
+        try {
+            done = await summarizeChapters(chapters, {
+                renderOptions: RENDER_OPTIONS,
+                generate,
+                onResult: (ch, summary) => results.push([ch.index, summary.title]),
+                onError: (ch, e) => errors.push([ch.index, e.message]),
+            });
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        assert.equal(done, 2);
+        assert.deepEqual(results, [[0, '폭풍 전야'], [2, '폭풍 전야']]);
+        assert.deepEqual(errors, [[1, 'API down']]);
+    });
+
+    test('aborting stops before the next chapter', async () => {
+        const abort = new AbortController();
+        let calls = 0;
+        const generate = async () => {
+            calls++;
+            abort.abort();
+            return RESPONSE;
+        };
+
+        const done = await summarizeChapters([chapter(0, ['하나']), chapter(1, ['둘'])], {
+            renderOptions: RENDER_OPTIONS,
+            generate,
+            signal: abort.signal,
+        });
+
+        assert.equal(done, 1);
+        assert.equal(calls, 1);
+    });
+
+    test('an unreadable response is an error', async () => {
+        await assert.rejects(
+            summarizeChapter(chapter(0, ['하나']), { renderOptions: RENDER_OPTIONS, generate: async () => '  ' }),
+            /해석하지 못했습니다/,
+        );
+    });
+});
+
+describe('ST generation API', () => {
+    test('generateRaw taking an options object gets one', async () => {
+        const calls = [];
+        installSillyTavern({
+            generateRaw: async ({ prompt, systemPrompt } = {}) => {
+                calls.push({ prompt, systemPrompt });
+                return RESPONSE;
+            },
+        });
+
+        const result = await summarizeChapter(chapter(0, ['하나']), { renderOptions: RENDER_OPTIONS });
+
+        assert.equal(result.title, '폭풍 전야');
+        assert.match(calls[0].prompt, /^User: 하나/);
+        assert.match(calls[0].systemPrompt, /웹소설 편집자/);
+    });
+
+    test('older positional generateRaw gets the prompt and system prompt in place', async () => {
+        const calls = [];
+        installSillyTavern({
+            generateRaw: async (prompt, api, instructOverride, quietToLoud, systemPrompt) => {
+                calls.push({ prompt, api, instructOverride, quietToLoud, systemPrompt });
+                return RESPONSE;
+            },
+        });
+
+        const result = await summarizeChapter(chapter(0, ['하나']), { renderOptions: RENDER_OPTIONS });
+
+        assert.equal(result.title, '폭풍 전야');
+        assert.equal(typeof calls[0].prompt, 'string');
+        assert.match(calls[0].prompt, /^User: 하나/);
+        assert.equal(calls[0].api, null);
+        assert.equal(calls[0].quietToLoud, false);
+        assert.match(calls[0].systemPrompt, /웹소설 편집자/);
+    });
+
+    test('falls back to generateQuietPrompt, in either signature', async () => {
+        const prompts = [];
+        installSillyTavern({
+            generateQuietPrompt: async ({ quietPrompt } = {}) => {
+                prompts.push(quietPrompt);
+                return RESPONSE;
+            },
+        });
+        await summarizeChapter(chapter(0, ['하나']), { renderOptions: RENDER_OPTIONS });
+
+        installSillyTavern({
+            generateQuietPrompt: async (quietPrompt, quietToLoud) => {
+                prompts.push(quietPrompt);
+                return RESPONSE;
+            },
+        });
+        await summarizeChapter(chapter(0, ['하나']), { renderOptions: RENDER_OPTIONS });
+
+        assert.equal(prompts.length, 2);
+        for (const prompt of prompts) {
+            assert.equal(typeof prompt, 'string');
+            assert.match(prompt, /^너는 웹소설 편집자다\.[\s\S]*\n\nUser: 하나/);
+        }
+    });
+
+    test('without a generation API the chapter fails with a message', async () => {
+        installSillyTavern();
+        await assert.rejects(
+            summarizeChapter(chapter(0, ['하나']), { renderOptions: RENDER_OPTIONS }),
+            /생성 API를 제공하지 않습니다/,
+        );
+    });
+});
+
+describe('parseSummaryResponse', () => {
+    test('reads bold labels and drops reasoning blocks', () => {
+        const result = parseSummaryResponse('<think>음...</think>\n**제목**: "항구"\n**요약**: 둘이 만난다.\n배가 떠난다.');
+        assert.deepEqual(result, { title: '항구', summary: '둘이 만난다. 배가 떠난다.' });
+    });
+
+    test('a response without labels is all summary', () => {
+        assert.deepEqual(parseSummaryResponse('둘이 만난다.'), { title: '', summary: '둘이 만난다.' });
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Chat Novel — Chapterizer tests
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chapterize } from '../src/chapterizer.js';
+
+/**
+ * @param {string[]} texts
+ * @returns {Array} Parsed-like messages
+ */
+function messages(texts) {
+    return texts.map((mes, i) => ({ mes, _index: i }));
+}
+
+/**
+ * @param {Array} chapters
+ * @returns {Array} [title, message indexes] per chapter
+ */
+function outline(chapters) {
+    return chapters.map(ch => [ch.title, ch.messages.map(m => m._index)]);
+}
+
+describe('marker mode', () => {
+    test('a heading at the start of a message starts its chapter', () => {
+        const chapters = chapterize(messages(['첫 장면.', '# 제2장 폭풍\n폭풍이 몰아쳤다.']), { mode: 'marker' });
+        assert.deepEqual(outline(chapters), [['Chapter 1', [0]], ['제2장 폭풍', [1]]]);
+    });
+
+    test('a heading ending a message titles the chapter after it', () => {
+        const chapters = chapterize(messages(['첫 장면.', '밤이 깊었다.\n\n# 제2장 폭풍', '폭풍이 몰아쳤다.']), { mode: 'marker' });
+        assert.deepEqual(outline(chapters), [['Chapter 1', [0, 1]], ['제2장 폭풍', [2]]]);
+    });
+
+    test('a heading before the trailing marker stays with its chapter', () => {
+        const chapters = chapterize(messages(['# 서막\n시작.\n\n---', '다음.']), { mode: 'marker' });
+        assert.deepEqual(outline(chapters), [['서막', [0]], ['Chapter 2', [1]]]);
+    });
+
+    test('<chapter> tags and scene breaks split', () => {
+        const chapters = chapterize(messages(['하나.', '<chapter title="둘">\n둘.', '***\n셋.']), { mode: 'marker' });
+        assert.deepEqual(outline(chapters), [['Chapter 1', [0]], ['둘', [1]], ['Chapter 3', [2]]]);
+    });
+
+    test('scene breaks can be turned off', () => {
+        const chapters = chapterize(messages(['하나.', '***\n둘.']), { mode: 'marker', sceneBreaks: false });
+        assert.deepEqual(outline(chapters), [['Chapter 1', [0, 1]]]);
+    });
+});
+
+describe('manual breaks', () => {
+    test('added and removed breaks are layered on the automatic split', () => {
+        const chapters = chapterize(messages(['a', 'b', 'c', 'd']), {
+            mode: 'count',
+            messagesPerChapter: 2,
+            breaks: { add: [1], remove: [2] },
+        });
+        assert.deepEqual(chapters.map(ch => ch.messages.map(m => m._index)), [[0], [1, 2, 3]]);
+    });
+});
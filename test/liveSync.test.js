@@ -0,0 +1,181 @@
+/**
+ * Chat Novel — Live sync tests
+ * Renders a chat, lets it change, and patches the rendered messages the way
+ * live follow does (see syncLiveChat in reader.js).
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installSillyTavern } from './support/sillyTavern.js';
+import { parseChatArray } from '../src/parser.js';
+import { chapterize } from '../src/chapterizer.js';
+import { planChapterSync } from '../src/liveSync.js';
+import { renderMessageBlock } from '../src/renderer.js';
+import { applyAllRegex, describeRegexSet } from '../src/regexEngine.js';
+import { clearRenderCache } from '../src/renderCache.js';
+
+const LAST_ONLY_PANEL = {
+    scriptName: 'Status panel',
+    findRegex: '/$/',
+    replaceString: '[STATUS]',
+    placement: [1, 2],
+    markdownOnly: true,
+    minDepth: null,
+    maxDepth: 0,
+};
+
+/**
+ * Build the renderer options the reader would for the installed scripts.
+ * @returns {Object}
+ */
+function renderOptions() {
+    const regexSet = describeRegexSet(new Set());
+    return {
+        userName: 'User',
+        characterName: 'Char',
+        macros: { seed: 'chat', localVariables: { hp: 5 }, globalVariables: {} },
+        renderCacheKey: regexSet.key,
+        regexDepthSensitive: regexSet.depthSensitive,
+        regexProcessor: (text, opts) => applyAllRegex(text, opts),
+    };
+}
+
+/**
+ * Stand-in for the reader's live chat: render it, then follow its changes.
+ */
+class LiveChat {
+    /**
+     * @param {Array} chat - ST chat messages
+     */
+    constructor(chat) {
+        this.options = renderOptions();
+        this.chapter = this.parse(chat);
+        this.rendered = new Map(this.chapter.messages.map(msg => [msg._index, renderMessageBlock(msg, this.options)]));
+    }
+
+    /**
+     * @param {Array} chat
+     * @returns {Object} The chat as one chapter
+     */
+    parse(chat) {
+        const { messages } = parseChatArray(chat.map(msg => ({ ...msg })), 'User', 'Char');
+        return chapterize(messages, { mode: 'none' })[0];
+    }
+
+    /**
+     * Patch the rendered messages to a new version of the chat.
+     * @param {Array} chat
+     * @returns {number[]} _index of each message rendered again
+     */
+    sync(chat) {
+        const chapter = this.parse(chat);
+        const plan = planChapterSync(this.chapter, chapter, this.options);
+        for (const msg of [...plan.rerender, ...plan.append]) {
+            this.rendered.set(msg._index, renderMessageBlock(msg, this.options));
+        }
+        plan.remove.forEach(msg => this.rendered.delete(msg._index));
+        this.chapter = chapter;
+        return plan.rerender.map(msg => msg._index);
+    }
+
+    /**
+     * @param {string} text
+     * @returns {number[]} _index of each rendered message containing the text
+     */
+    showing(text) {
+        return [...this.rendered].filter(([, html]) => html.includes(text)).map(([index]) => index);
+    }
+}
+
+const CHAT = [
+    { name: 'User', is_user: true, mes: '안녕?' },
+    { name: 'Char', is_user: false, mes: '왔구나.' },
+];
+
+describe('depth-limited display scripts', () => {
+    test('a last-message-only panel moves to a new message', () => {
+        clearRenderCache();
+        installSillyTavern({ extensionSettings: { regex: [LAST_ONLY_PANEL] } });
+        const live = new LiveChat(CHAT);
+        assert.deepEqual(live.showing('[STATUS]'), [1]);
+
+        const rerendered = live.sync([...CHAT, { name: 'User', is_user: true, mes: '응.' }]);
+
+        assert.deepEqual(rerendered, [0, 1]);
+        assert.deepEqual(live.showing('[STATUS]'), [2]);
+    });
+
+    test('deleting the last message gives the panel back to the one before', () => {
+        clearRenderCache();
+        installSillyTavern({ extensionSettings: { regex: [LAST_ONLY_PANEL] } });
+        const live = new LiveChat([...CHAT, { name: 'User', is_user: true, mes: '응.' }]);
+
+        live.sync(CHAT);
+
+        assert.deepEqual(live.showing('[STATUS]'), [1]);
+    });
+
+    test('without depth limits only the message that was last is rendered again', () => {
+        clearRenderCache();
+        installSillyTavern({ extensionSettings: { regex: [{ ...LAST_ONLY_PANEL, maxDepth: null }] } });
+        const live = new LiveChat(CHAT);
+
+        const rerendered = live.sync([...CHAT, { name: 'User', is_user: true, mes: '응.' }]);
+
+        assert.deepEqual(rerendered, [1]);
+        assert.deepEqual(live.showing('[STATUS]'), [0, 1, 2]);
+    });
+
+    test('an edited message is rendered again', () => {
+        clearRenderCache();
+        installSillyTavern({ extensionSettings: { regex: [] } });
+        const live = new LiveChat(CHAT);
+
+        const rerendered = live.sync([CHAT[0], { ...CHAT[1], mes: '늦었네.' }]);
+
+        assert.deepEqual(rerendered, [1]);
+        assert.deepEqual(live.showing('늦었네.'), [1]);
+    });
+});
+
+describe('current-variables note', () => {
+    const STATS = [
+        { name: 'User', is_user: true, mes: '상태는?' },
+        { name: 'Char', is_user: false, mes: 'HP {{getvar::hp}}' },
+    ];
+
+    test('the message that was last gets the note when a new one arrives', () => {
+        clearRenderCache();
+        installSillyTavern({ extensionSettings: { regex: [] } });
+        const live = new LiveChat(STATS);
+        assert.deepEqual(live.showing('cn-var-current'), []);
+
+        const rerendered = live.sync([...STATS, { name: 'User', is_user: true, mes: '그렇구나.' }]);
+
+        assert.deepEqual(rerendered, [1]);
+        assert.deepEqual(live.showing('cn-var-current'), [1]);
+    });
+
+    test('the message that becomes last again loses the note', () => {
+        clearRenderCache();
+        installSillyTavern({ extensionSettings: { regex: [] } });
+        const live = new LiveChat([...STATS, { name: 'User', is_user: true, mes: '그렇구나.' }]);
+        assert.deepEqual(live.showing('cn-var-current'), [1]);
+
+        live.sync(STATS);
+
+        assert.deepEqual(live.showing('cn-var-current'), []);
+    });
+
+    test('a changed variable snapshot re-renders the unchanged message', () => {
+        clearRenderCache();
+        installSillyTavern({ extensionSettings: { regex: [] } });
+        const live = new LiveChat([STATS[0], { ...STATS[1], variables: [{ hp: 3 }] }]);
+        assert.deepEqual(live.showing('HP 3'), [1]);
+
+        const rerendered = live.sync([STATS[0], { ...STATS[1], variables: [{ hp: 4 }] }]);
+
+        assert.deepEqual(rerendered, [1]);
+        assert.deepEqual(live.showing('HP 4'), [1]);
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Chat Novel — Markdown golden tests
+ * Checks renderMarkdown against ST's chat formatting. The "st" output in
+ * fixtures/markdown is what Showdown 2.1.0 produces with the converter options of
+ * ST's messageFormatting() (emoji, literalMidWordUnderscores, parseImgDimensions,
+ * tables, underline, simpleLineBreaks, strikethrough,
+ * disableForced4SpacesIndentedSublists and ST's underscore-italics extension).
+ * Cases where the reader differs on purpose give its own "expected" output and a note,
+ * and are listed in the README.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeFixtures } from './support/fixtures.js';
+import { renderMarkdown } from '../src/markdown.js';
+
+const FIXTURE_DIR = new URL('./fixtures/markdown/', import.meta.url);
+
+const BLOCK_TAG = '(?:p|ul|ol|li|blockquote|pre|table|thead|tbody|tr|th|td|h[1-6]|hr|div|details|summary)';
+
+/**
+ * Reduce HTML to what shows: drop the reader's classes and link/image extras and
+ * Showdown's heading ids, unify void tags, and drop whitespace around block
+ * tags and line breaks (it doesn't render).
+ * @param {string} html
+ * @returns {string}
+ */
+function normalize(html) {
+    return html
+        .replace(/\s(?:class|id|target|rel|loading)="[^"]*"/g, '')
+        .replace(/<(br|hr|img)\b([^>]*?)\s*\/?>/g, '<$1$2>')
+        .replace(new RegExp(`\\s*(</?${BLOCK_TAG}\\b[^>]*>)\\s*`, 'g'), '$1')
+        .replace(/\s*<br>\s*/g, '<br>\n')
+        .trim();
+}
+
+describeFixtures(FIXTURE_DIR, (testCase) => {
+    const expected = testCase.expected ?? testCase.st;
+    assert.equal(normalize(renderMarkdown(testCase.input)), normalize(expected));
+}, {
+    caseName: testCase => (testCase.note ? `${testCase.name} (differs: ${testCase.note})` : testCase.name),
+});
+
+describe('placeholders', () => {
+    test('iframe tokens stay on their own line, outside paragraphs', () => {
+        assert.equal(renderMarkdown('before\n%%%CN_IFRAME_0%%%\nafter'),
+            '<p class="cn-paragraph">before</p>\n%%%CN_IFRAME_0%%%\n<p class="cn-paragraph">after</p>');
+    });
+
+    test('<style> keeps markdown-like characters', () => {
+        const style = '<style>.a::before { content: "*x*"; }</style>';
+        assert.ok(renderMarkdown(`text ${style} more`).includes(style));
+    });
+
+    test('a <style> inside a code fence is escaped, not protected', () => {
+        assert.ok(renderMarkdown('```\n<style>p{}</style>\n```').includes('&lt;style&gt;'));
+    });
+});
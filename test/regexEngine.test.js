@@ -0,0 +1,54 @@
+/**
+ * Chat Novel — Regex engine tests
+ * Runs the fixtures in fixtures/regex through the display pass the way the
+ * reader does: scripts stored in ST's extension settings, options from the message.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installSillyTavern } from './support/sillyTavern.js';
+import { describeFixtures } from './support/fixtures.js';
+import { applyAllRegex, formatDepthRange, getMessageRegexOptions, regexFromString } from '../src/regexEngine.js';
+
+const FIXTURE_DIR = new URL('./fixtures/regex/', import.meta.url);
+
+describeFixtures(FIXTURE_DIR, (testCase, fixture) => {
+    installSillyTavern({ extensionSettings: { regex: testCase.scripts ?? fixture.scripts } });
+    const message = { mes: testCase.text, ...testCase.message };
+    const options = {
+        userName: 'User',
+        characterName: 'Char',
+        ...fixture.options,
+        ...getMessageRegexOptions(message),
+    };
+    assert.equal(applyAllRegex(testCase.text, options), testCase.expected);
+});
+
+describe('regexFromString', () => {
+    test('reads /pattern/flags', () => {
+        const regex = regexFromString('/a+b/gi');
+        assert.equal(regex.source, 'a+b');
+        assert.equal(regex.flags, 'gi');
+    });
+
+    test('a bare pattern gets no flags', () => {
+        assert.equal(regexFromString('a+b').flags, '');
+    });
+
+    test('unknown flags make the whole string the pattern, like ST', () => {
+        assert.equal(regexFromString('/a/q').source, '\\/a\\/q');
+    });
+
+    test('an invalid pattern gives null', () => {
+        assert.equal(regexFromString('/(/g'), null);
+    });
+});
+
+describe('formatDepthRange', () => {
+    test('describes set limits only', () => {
+        assert.equal(formatDepthRange({ minDepth: 2, maxDepth: 5 }), '깊이 2~5');
+        assert.equal(formatDepthRange({ minDepth: 3, maxDepth: null }), '깊이 3 이상');
+        assert.equal(formatDepthRange({ minDepth: -5, maxDepth: 0 }), '깊이 0 이하');
+        assert.equal(formatDepthRange({}), '');
+    });
+});
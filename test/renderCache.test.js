@@ -0,0 +1,43 @@
+/**
+ * Chat Novel — Render cache tests
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMessage } from '../src/renderer.js';
+import { clearRenderCache } from '../src/renderCache.js';
+
+const OPTIONS = {
+    userName: 'User',
+    characterName: 'Char',
+    macros: { seed: 'chat', localVariables: { hp: 5 }, globalVariables: {} },
+    renderCacheKey: 'test',
+};
+
+describe('current-variables note', () => {
+    test('a message that stops being the last gets the note instead of its cached render', () => {
+        clearRenderCache();
+        const message = { mes: 'HP {{getvar::hp}}', _depth: 0 };
+        assert.ok(!renderMessage(message, OPTIONS).includes('cn-var-current'));
+
+        message._depth = 1;
+        assert.ok(renderMessage(message, OPTIONS).includes('cn-var-current'));
+    });
+
+    test('a message that becomes the last loses the note', () => {
+        clearRenderCache();
+        const message = { mes: 'HP {{getvar::hp}}', _depth: 3 };
+        assert.ok(renderMessage(message, OPTIONS).includes('cn-var-current'));
+
+        message._depth = 0;
+        assert.ok(!renderMessage(message, OPTIONS).includes('cn-var-current'));
+    });
+
+    test('messages with stored variables need no note', () => {
+        clearRenderCache();
+        const message = { mes: 'HP {{getvar::hp}}', _depth: 3, _variables: { hp: 1 } };
+        const html = renderMessage(message, OPTIONS);
+        assert.ok(html.includes('HP 1'));
+        assert.ok(!html.includes('cn-var-current'));
+    });
+});
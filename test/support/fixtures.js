@@ -0,0 +1,30 @@
+/**
+ * Chat Novel — Test support: JSON fixtures
+ * Turns a directory of fixture files into tests — one suite per file,
+ * one test per case.
+ */
+
+import { describe, test } from 'node:test';
+import { readdirSync, readFileSync } from 'node:fs';
+
+/**
+ * Run every case of the *.json fixtures in a directory. A fixture file holds
+ * a description, its cases (each with a name) and whatever the cases share.
+ * @param {URL} dir - Fixture directory (ending in a slash)
+ * @param {Function} runCase - Callback(testCase, fixture) that checks a case
+ * @param {Object} [opts]
+ * @param {Function} [opts.caseName] - Callback(testCase) returning the test name; the case's name by default
+ */
+export function describeFixtures(dir, runCase, opts = {}) {
+    const caseName = opts.caseName ?? (testCase => testCase.name);
+
+    for (const file of readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+        const fixture = JSON.parse(readFileSync(new URL(file, dir), 'utf8'));
+
+        describe(`${file}: ${fixture.description}`, () => {
+            for (const testCase of fixture.cases) {
+                test(caseName(testCase), () => runCase(testCase, fixture));
+            }
+        });
+    }
+}
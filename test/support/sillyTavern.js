@@ -0,0 +1,25 @@
+/**
+ * Chat Novel — Test support: SillyTavern stub
+ * Installs the globals the extension reads (SillyTavern.getContext(), window)
+ * so its modules can run under Node's test runner.
+ */
+
+/**
+ * Install a stub ST context; call again to replace it.
+ * @param {Object} [context] - Context fields (extensionSettings, characters, ...)
+ * @returns {Object} The context getContext() returns
+ */
+export function installSillyTavern(context = {}) {
+    const stub = {
+        extensionSettings: {},
+        characters: [],
+        characterId: undefined,
+        name1: 'User',
+        name2: 'Char',
+        saveSettingsDebounced: () => {},
+        ...context,
+    };
+    globalThis.window ??= globalThis;
+    globalThis.SillyTavern = { getContext: () => stub };
+    return stub;
+}